@@ -0,0 +1,77 @@
+// migrate-customer-contacts.js
+// Backfill the normalized email/phone fields on requests saved before contacts were
+// split, and bring customer records' phone numbers into E.164 form.
+// Run with: node migrate-customer-contacts.js [--dry-run]
+
+require('dotenv').config();
+const { getCollections, closeConnection } = require('./src/database/mongodb');
+const { normalizeContact, normalizeEmail, normalizePhoneNumber } = require('./src/utils/validation');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateRequests(requests) {
+  const cursor = requests.find({
+    $or: [{ email: { $exists: false } }, { phone: { $exists: false } }]
+  });
+  let updated = 0;
+  let unparsed = 0;
+
+  for await (const request of cursor) {
+    const contact = normalizeContact(request.customerContact);
+
+    if (!contact.email && !contact.phone) {
+      unparsed++;
+      console.log(`- ${request.requestId}: can't read contact "${request.customerContact || ''}"`);
+    }
+
+    if (!dryRun) {
+      await requests.updateOne({ _id: request._id }, { $set: contact });
+    }
+
+    updated++;
+  }
+
+  console.log(`Requests: ${updated} backfilled, ${unparsed} with no usable email or phone`);
+}
+
+async function migrateCustomers(customers) {
+  let updated = 0;
+
+  for await (const customer of customers.find({})) {
+    const emails = [...new Set((customer.emails || []).map(normalizeEmail).filter(Boolean))];
+    const phones = [...new Set((customer.phones || []).map(normalizePhoneNumber).filter(Boolean))];
+
+    if (JSON.stringify(emails) === JSON.stringify(customer.emails || []) &&
+        JSON.stringify(phones) === JSON.stringify(customer.phones || [])) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await customers.updateOne({ _id: customer._id }, { $set: { emails, phones } });
+    }
+
+    updated++;
+  }
+
+  console.log(`Customers: ${updated} updated`);
+}
+
+async function migrate() {
+  try {
+    if (dryRun) {
+      console.log('Dry run - no documents will be changed');
+    }
+
+    const { requests, customers } = await getCollections();
+
+    await migrateRequests(requests);
+    await migrateCustomers(customers);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeConnection();
+  }
+}
+
+migrate();
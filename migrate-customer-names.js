@@ -0,0 +1,50 @@
+// migrate-customer-names.js
+// Store the phonetic and spelling keys of each request's customer name
+// (customerNamePhonetic and customerNameVariants), so /request-search customer: finds
+// names that sound alike or are a typo away on requests saved before the keys existed.
+// Run with: node migrate-customer-names.js [--dry-run]
+
+require('dotenv').config();
+const { getCollections, closeConnection } = require('./src/database/mongodb');
+const { getNameMatchKeys } = require('./src/utils/nameMatching');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  try {
+    if (dryRun) {
+      console.log('Dry run - no documents will be changed');
+    }
+
+    const { requests } = await getCollections();
+    let updated = 0;
+    let unchanged = 0;
+
+    for await (const request of requests.find({})) {
+      const keys = getNameMatchKeys(request.customerName);
+
+      if (JSON.stringify(keys.customerNamePhonetic) === JSON.stringify(request.customerNamePhonetic) &&
+          JSON.stringify(keys.customerNameVariants) === JSON.stringify(request.customerNameVariants)) {
+        unchanged++;
+        continue;
+      }
+
+      console.log(`- ${request.requestId}: ${request.customerName || ''} -> ${keys.customerNamePhonetic.join(' ')}`);
+
+      if (!dryRun) {
+        await requests.updateOne({ _id: request._id }, { $set: keys });
+      }
+
+      updated++;
+    }
+
+    console.log(`Requests: ${updated} updated, ${unchanged} already up to date`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeConnection();
+  }
+}
+
+migrate();
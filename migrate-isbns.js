@@ -0,0 +1,70 @@
+// migrate-isbns.js
+// Rewrite stored ISBNs (on requests and their line items) in canonical form: ISBN-13
+// without hyphens in `isbn`, the ISBN-10 in `isbn10` where one exists, and `isbnIsSku`
+// for values that aren't ISBNs.
+// Run with: node migrate-isbns.js [--dry-run]
+
+require('dotenv').config();
+const { getCollections, closeConnection } = require('./src/database/mongodb');
+const { canonicalizeISBN } = require('./src/utils/validation');
+const { canonicalizeLineIsbns } = require('./src/requestTypes/lineItems');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrate() {
+  try {
+    if (dryRun) {
+      console.log('Dry run - no documents will be changed');
+    }
+
+    const { requests } = await getCollections();
+    let updated = 0;
+    let skus = 0;
+
+    for await (const request of requests.find({})) {
+      const update = {};
+
+      if (request.isbn) {
+        const canonical = canonicalizeISBN(request.isbn);
+
+        if (canonical.isbn !== request.isbn || canonical.isbn10 !== request.isbn10 ||
+            canonical.isbnIsSku !== request.isbnIsSku) {
+          Object.assign(update, canonical);
+        }
+
+        if (canonical.isbnIsSku) {
+          skus++;
+        }
+      }
+
+      if (Array.isArray(request.lineItems)) {
+        const lineItems = canonicalizeLineIsbns(request.lineItems);
+
+        if (JSON.stringify(lineItems) !== JSON.stringify(request.lineItems)) {
+          update.lineItems = lineItems;
+        }
+      }
+
+      if (Object.keys(update).length === 0) {
+        continue;
+      }
+
+      console.log(`- ${request.requestId}: ${request.isbn || ''} -> ${update.isbn !== undefined ? update.isbn : request.isbn || ''}`);
+
+      if (!dryRun) {
+        await requests.updateOne({ _id: request._id }, { $set: update });
+      }
+
+      updated++;
+    }
+
+    console.log(`Requests: ${updated} updated, ${skus} with a SKU instead of an ISBN`);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closeConnection();
+  }
+}
+
+migrate();
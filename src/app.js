@@ -1,8 +1,47 @@
 require('dotenv').config();
 const { App } = require('@slack/bolt');
 const { WebClient } = require('@slack/web-api');
-const { connectToDatabase } = require('./database/mongodb');
+const { connectToDatabase, ensureIndexes } = require('./database/mongodb');
 const UnifiedEventLogger = require('./integrations/services/unifiedEventLogger');
+const RequestIdGenerator = require('./integrations/services/requestIdGenerator');
+const Scheduler = require('./integrations/services/scheduler');
+const ReminderService = require('./integrations/services/reminderService');
+const HoldExpiryService = require('./integrations/services/holdExpiryService');
+const NotificationService = require('./integrations/services/notificationService');
+const RequestQueues = require('./integrations/services/requestQueues');
+const CustomerService = require('./integrations/services/customerService');
+const RequestSearch = require('./integrations/services/requestSearch');
+const SavedSearchService = require('./integrations/services/savedSearchService');
+const CatalogAdapter = require('./integrations/catalog/catalogAdapter');
+const RequestTypes = require('./requestTypes');
+const { CONDITION_OPTIONS, PRIORITY_OPTIONS, CANCELLATION_REASON_OPTIONS } = require('./requestTypes/fields');
+const {
+  MAX_LINE_ITEMS,
+  LINE_DRIVEN_STATUSES,
+  LINE_ITEM_STATUSES,
+  getLineBlockId,
+  getNextLineId,
+  getRequestLineItems,
+  getReceivedQuantity,
+  getOutstandingQuantity,
+  receiveLineQuantity,
+  setLineQuantity,
+  applyLineStatus,
+  formatLineItemProgress,
+  formatLineItem,
+  describeLineItemChanges
+} = require('./requestTypes/lineItems');
+const { encodeRequestRef, decodeRequestRef, isRequestRef, parseActionValue } = require('./utils/requestRef');
+const { getUndoWindowMs, canRevertStatusChange } = require('./utils/permissions');
+const { formatLocalDate, canonicalizeISBN } = require('./utils/validation');
+const { compileSearchQuery } = require('./utils/searchQuery');
+const {
+  parseAmountToCents,
+  formatCents,
+  getBalanceDueCents,
+  isBalanceSettled,
+  formatPaymentSummary
+} = require('./utils/payments');
 const RequestDashboard = require('./integrations/requestDashboard');
 const BookHoldPrinter = require('./integrations/bookHoldPrinter');
 const express = require('express');
@@ -28,11 +67,6 @@ expressApp.listen(PORT, () => {
   console.log(`Health check endpoint available at: http://localhost:${PORT}/health`);
 });
 
-// Configure request types for book holds
-UnifiedEventLogger.REQUEST_TYPES.book_hold.requiredFieldsPerStatus.PAID = ['payment_method', 'order_number'];
-console.log('Updated PAID status requirements:', 
-  UnifiedEventLogger.REQUEST_TYPES.book_hold.requiredFieldsPerStatus.PAID);
-
 // Initialize MongoDB connection
 async function initDatabase() {
   try {
@@ -42,6 +76,13 @@ async function initDatabase() {
     console.error('Failed to initialize MongoDB connection:', error);
     process.exit(1); // Exit on database connection failure
   }
+  
+  // Searches still work without their indexes, only slower, so this isn't fatal
+  try {
+    await ensureIndexes();
+  } catch (error) {
+    console.error('Failed to create MongoDB indexes:', error);
+  }
 }
 
 // Initialize Slack App with Socket Mode for all environments
@@ -60,209 +101,300 @@ app.use(async ({ next }) => {
   await next();
 });
 
-// ========= VALIDATION FUNCTIONS ============
+// ========= FORM HELPERS ============
 
-// Validation function for ISBN numbers with proper length checks and checksum validation
-function validateISBN(isbn) {
-  // Remove any hyphens or spaces
-  const cleanISBN = isbn.replace(/[-\s]/g, '');
-  
-  if (cleanISBN.trim() === '') {
-    return { 
-      valid: false, 
-      error: "ISBN cannot be empty" 
-    };
-  }
-  
-  // If the ISBN is all digits, enforce length rules
-  if (/^\d+$/.test(cleanISBN)) {
-    if (cleanISBN.length === 13) {
-      if (!/^(978|979)/.test(cleanISBN)) {
-        return { 
-          valid: false, 
-          error: "ISBN-13 must start with 978 or 979" 
-        };
-      }
-      // Add checksum validation for ISBN-13
-      if (!isValidISBN13(cleanISBN)) {
-         return { 
-           valid: false, 
-           error: "Invalid ISBN-13 checksum" 
-         };
-      }
-      return { valid: true };
-    } else if (cleanISBN.length === 10) {
-      // Add checksum validation for ISBN-10
-      if (!isValidISBN10(cleanISBN)) {
-         return { 
-           valid: false, 
-           error: "Invalid ISBN-10 checksum" 
-         };
-      }
-      return { valid: true };
-    } else {
-      return { 
-        valid: false, 
-        error: "Numeric ISBN must be either 10 or 13 digits long" 
-      };
+// Helper function to convert registry options to Slack option objects
+const toSlackOptions = (options) => {
+  return options.map(option => ({
+    text: {
+      type: "plain_text",
+      text: option.text
+    },
+    value: option.value
+  }));
+};
+
+// Helper function to build an input block from a resolved registry field
+const buildFieldBlock = (field, initialValue) => {
+  const element = {
+    action_id: field.actionId,
+    placeholder: {
+      type: "plain_text",
+      text: field.placeholder
     }
-  }
-  
-  // For non-numeric input (custom SKUs), just ensure it's not empty
-  return { valid: true };
-}
+  };
 
-// Helper function to validate ISBN-13 checksum
-function isValidISBN13(isbn) {
-  let sum = 0;
-  for (let i = 0; i < 12; i++) {
-    sum += (i % 2 === 0 ? 1 : 3) * parseInt(isbn[i], 10);
+  switch (field.kind) {
+    case 'date':
+      element.type = "datepicker";
+      if (initialValue) {
+        element.initial_date = initialValue;
+      } else if (field.initialDate === 'today') {
+        element.initial_date = new Date().toISOString().split('T')[0];
+      }
+      break;
+    case 'select':
+      element.type = "static_select";
+      element.options = toSlackOptions(field.options);
+      if (initialValue) {
+        const initialOption = element.options.find(option => option.value === initialValue);
+        if (initialOption) {
+          element.initial_option = initialOption;
+        }
+      }
+      break;
+    case 'multiline':
+      element.type = "plain_text_input";
+      element.multiline = true;
+      if (initialValue) {
+        element.initial_value = initialValue;
+      }
+      break;
+    default:
+      element.type = "plain_text_input";
+      if (initialValue) {
+        element.initial_value = initialValue;
+      }
   }
-  const checksum = (10 - (sum % 10)) % 10;
-  return checksum === parseInt(isbn[12], 10);
-}
 
-// Helper function to validate ISBN-10 checksum
-function isValidISBN10(isbn) {
-  let sum = 0;
-  for (let i = 0; i < 9; i++) {
-    sum += (10 - i) * parseInt(isbn[i], 10);
+  const block = {
+    type: "input",
+    block_id: field.blockId,
+    label: {
+      type: "plain_text",
+      text: field.label
+    },
+    element
+  };
+
+  // Catalog-filled fields may be left blank; whether they end up required is checked on submit
+  if (!field.required || field.catalogKey) {
+    block.optional = true;
   }
-  let checkDigit = isbn[9].toUpperCase() === 'X' ? 10 : parseInt(isbn[9], 10);
-  sum += checkDigit;
-  return sum % 11 === 0;
-}
 
-// Validation function for Order Numbers
-function validateOrderNumber(orderNumber) {
-  // Remove any spaces that might be in the order number
-  const cleanOrderNumber = orderNumber.replace(/\s/g, '');
-  
-  // Check if it's a draft order (starts with D followed by numbers)
-  if (/^D\d+$/.test(cleanOrderNumber)) {
-    return { valid: true };
+  if (field.catalogKey) {
+    block.hint = {
+      type: "plain_text",
+      text: "Leave blank to use the catalog's details for the ISBN"
+    };
   }
-  
-  // Check if it's a 5-digit order number
-  if (/^\d{5}$/.test(cleanOrderNumber)) {
-    return { valid: true };
+
+  return block;
+};
+
+// Helper function to read a resolved registry field's value from view state
+const getSubmittedValue = (values, field) => {
+  const input = values[field.blockId] && values[field.blockId][field.actionId];
+
+  if (!input) {
+    return null;
   }
-  
-  // Check if it's a longer order number (more than 5 digits) starting with 1
-  if (/^1\d{5,}$/.test(cleanOrderNumber)) {
-    return { valid: true };
+
+  if (input.selected_option) {
+    return input.selected_option.value;
   }
-  
-  // If it doesn't match any of the valid patterns
-  return { 
-    valid: false, 
-    error: "Order number must be either: 5 digits, more than 5 digits starting with '1', or start with 'D' followed by numbers" 
-  };
-}
 
-// Helper function to guess if a contact value is an email or phone
-function guessContactType(value) {
-  // Clean the value
-  const cleanValue = value.trim();
-  
-  // Check if it contains an @ symbol - likely an email
-  if (cleanValue.includes('@')) {
-    return 'email';
+  if (input.selected_date) {
+    return input.selected_date;
   }
-  
-  // If it contains digits and common phone characters, likely a phone number
-  if (/[\d\+\-\(\)\.\s]/.test(cleanValue) && cleanValue.replace(/[^\d\+]/g, '').length >= 4) {
-    return 'phone';
+
+  return input.value && input.value.trim() !== '' ? input.value : null;
+};
+
+// Validate submitted view state against resolved registry fields.
+// Returns the collected values keyed by field key and any errors keyed by block_id.
+const validateSubmittedFields = (values, fields) => {
+  const fieldValues = {};
+  const errors = {};
+
+  for (const field of fields) {
+    const value = getSubmittedValue(values, field);
+
+    if (value === null) {
+      if (field.required) {
+        errors[field.blockId] = `${field.label} is required`;
+      }
+      continue;
+    }
+
+    const validation = RequestTypes.validateField(field, value);
+
+    if (!validation.valid) {
+      errors[field.blockId] = validation.error;
+      continue;
+    }
+
+    fieldValues[field.key] = value;
   }
-  
-  // If we can't tell, try both validations
-  return 'unknown';
-}
 
-// Validation function for email addresses
-function validateEmail(email) {
-  // Trim the email to remove leading/trailing whitespace
-  const trimmedEmail = email.trim();
-  
-  if (trimmedEmail === '') {
-    return {
-      valid: false,
-      error: "Email address cannot be empty"
+  return { fieldValues, errors };
+};
+
+// Build the line item inputs for a request form: one group per line (with a Remove
+// button while there is more than one) and an Add item button up to MAX_LINE_ITEMS
+const buildLineItemBlocks = (requestType, lineIds, existingLines = [], minimumLines = 1) => {
+  const blocks = [
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: lineIds.length > 0 ? "*Items*" : "*Items*\n_No items on this request yet._"
+      }
+    }
+  ];
+
+  lineIds.forEach((lineId, index) => {
+    const existingLine = existingLines.find(line => line.lineId === lineId);
+    const heading = {
+      type: "section",
+      block_id: getLineBlockId(lineId, 'heading'),
+      text: {
+        type: "mrkdwn",
+        text: `*Item ${index + 1}*${existingLine ? ` (${existingLine.status})` : ''}`
+      }
     };
+
+    if (lineIds.length > minimumLines) {
+      heading.accessory = {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Remove"
+        },
+        value: lineId,
+        action_id: "remove_line_item"
+      };
+    }
+
+    blocks.push(heading);
+
+    RequestTypes.getLineItemFields(requestType, lineId).forEach(field => {
+      const initialValue = existingLine ? existingLine[field.key] : (field.key === 'quantity' ? 1 : undefined);
+      blocks.push(buildFieldBlock(field, initialValue === undefined ? undefined : String(initialValue)));
+    });
+  });
+
+  if (lineIds.length < MAX_LINE_ITEMS) {
+    blocks.push({
+      type: "actions",
+      block_id: "line_item_actions",
+      elements: [
+        {
+          type: "button",
+          text: {
+            type: "plain_text",
+            text: "Add item"
+          },
+          action_id: "add_line_item"
+        }
+      ]
+    });
   }
-  
-  // Regular expression for standard email validation
-  // This checks for:
-  // - At least one character before the @ symbol
-  // - At least one character between @ and the domain
-  // - A domain with at least one period and appropriate characters
-  // - A TLD of at least 2 characters after the last period
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
-  
-  if (!emailRegex.test(trimmedEmail)) {
-    return {
-      valid: false,
-      error: "Please enter a valid email address (e.g., name@example.com)"
+
+  return blocks;
+};
+
+// Read and validate the line items on a submitted request form. Lines keep the status
+// and copies received they already had; new lines start PENDING.
+const collectLineItems = (values, requestType, lineIds, existingLines = [], defaultVendor = '') => {
+  const lineItems = [];
+  const errors = {};
+
+  for (const lineId of lineIds) {
+    const fields = RequestTypes.getLineItemFields(requestType, lineId);
+    const validation = validateSubmittedFields(values, fields);
+    const line = validation.fieldValues;
+    const existingLine = existingLines.find(existing => existing.lineId === lineId);
+
+    Object.assign(errors, validation.errors);
+
+    if (!line.isbn && !line.title && !errors[getLineBlockId(lineId, 'isbn')]) {
+      errors[getLineBlockId(lineId, 'title')] = 'Enter an ISBN or a title';
+    }
+
+    const details = {
+      lineId,
+      ...canonicalizeISBN(line.isbn),
+      title: line.title || '',
+      vendor: line.vendor || defaultVendor || ''
     };
+    const quantity = Number(line.quantity) || 1;
+
+    lineItems.push(existingLine
+      ? setLineQuantity({ ...existingLine, ...details }, quantity)
+      : { ...details, quantity, quantityReceived: 0, status: 'PENDING' });
   }
-  
-  return { valid: true };
-}
 
-// Validation function for phone numbers
-function validatePhoneNumber(phone) {
-  // Remove spaces, hyphens, periods, and parentheses
-  const cleanPhone = phone.replace(/[\s\-\.\(\)]/g, '');
+  return { lineItems, errors };
+};
+
+// Time a form submission may take before it is acknowledged, database reads included.
+// Slack allows 3 seconds; catalog lookups get whatever is left of this.
+const SUBMISSION_ACK_BUDGET_MS = 1500;
+
+// Look up a submitted form's ISBNs in the catalog. Lines get their own match, which
+// also fills in a blank title or vendor. Blank fields with a catalogKey are filled from
+// the request's match (its ISBN's, or else the first line's), clearing their "required"
+// errors. Returns the request's match, or null.
+// This runs before the submission is acknowledged, so every lookup starts at once and
+// gives up when the budget counted from startedAt (when the submission arrived) runs out.
+const applyCatalogDetails = async ({ fieldValues, errors, fields, lineItems, startedAt }) => {
+  const timeoutMs = SUBMISSION_ACK_BUDGET_MS - (Date.now() - startedAt);
+  const [requestMatch, ...lineMatches] = await Promise.all([
+    fieldValues.isbn ? CatalogAdapter.lookup(fieldValues.isbn, { timeoutMs }) : null,
+    ...(lineItems || []).map(line => CatalogAdapter.lookup(line.isbn, { timeoutMs }))
+  ]);
+  const catalog = fieldValues.isbn
+    ? requestMatch
+    : lineMatches.find(match => match) || null;
   
-  if (cleanPhone === '') {
-    return {
-      valid: false,
-      error: "Phone number cannot be empty"
-    };
+  for (const field of fields.filter(field => field.catalogKey)) {
+    if (!fieldValues[field.key] && catalog && catalog[field.catalogKey]) {
+      fieldValues[field.key] = catalog[field.catalogKey];
+      delete errors[field.blockId];
+    } else if (!fieldValues[field.key] && errors[field.blockId] && (fieldValues.isbn || (lineItems || []).some(line => line.isbn))) {
+      errors[field.blockId] = `${field.label} is required (the ISBN wasn't found in the catalog)`;
+    }
   }
   
-  // Check for international format starting with +
-  if (cleanPhone.startsWith('+')) {
-    // For international numbers, allow any length but require at least 8 digits
-    // after the + sign (minimum for most countries)
-    if (cleanPhone.length < 9) { // +1234567 is too short
-      return {
-        valid: false,
-        error: "International phone number is too short"
-      };
-    }
+  (lineItems || []).forEach((line, index) => {
+    const match = lineMatches[index];
     
-    // Make sure the rest of the number is numeric
-    if (!/^\+\d+$/.test(cleanPhone)) {
-      return {
-        valid: false,
-        error: "International phone number can only contain digits after the '+'"
-      };
+    if (match) {
+      line.catalog = match;
+      line.title = line.title || match.title;
     }
     
-    return { valid: true };
-  }
-  
-  // For domestic numbers, require exactly 10 digits
-  if (cleanPhone.length !== 10) {
-    return {
-      valid: false,
-      error: "Phone number must be 10 digits (or include '+' for international format)"
-    };
-  }
+    line.vendor = line.vendor || (match && match.publisher) || fieldValues.vendorPublisher || '';
+  });
   
-  // Make sure the number is numeric
-  if (!/^\d+$/.test(cleanPhone)) {
-    return {
-      valid: false,
-      error: "Phone number can only contain digits"
-    };
+  return fieldValues.isbn ? catalog : null;
+};
+
+// Read a request form's private_metadata: a signed ref when editing, JSON when creating
+const readRequestFormMetadata = (view) => {
+  if (isRequestRef(view.private_metadata)) {
+    const ref = decodeRequestRef(view.private_metadata);
+    return { ...ref, lineIds: ref.lineIds || [], isEdit: true };
   }
-  
-  return { valid: true };
-}
 
-// ======== END VALIDATION FUNCTIONS =========
+  const metadata = JSON.parse(view.private_metadata);
+  return { requestType: metadata.requestType, lineIds: metadata.lineIds || [], isEdit: false };
+};
+
+// ======== END FORM HELPERS =========
+
+// Helper function to build the request type menu options from the registry
+const getRequestTypeOptions = () => {
+  return RequestTypes.listRequestTypes().map(definition => ({
+    text: {
+      type: "plain_text",
+      text: definition.menuLabel || definition.name
+    },
+    value: definition.type
+  }));
+};
 
 // Step 1: Request Type Selection Modal
 const createRequestTypeModal = () => {
@@ -306,50 +438,7 @@ const createRequestTypeModal = () => {
             type: "plain_text",
             text: "Select a request type"
           },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "Special Order"
-              },
-              value: "special_order"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Book Hold"
-              },
-              value: "book_hold"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Backorder Request"
-              },
-              value: "backorder_request"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Out of Print Search"
-              },
-              value: "out_of_print"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Bulk Order"
-              },
-              value: "bulk_order"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Personalization Request"
-              },
-              value: "personalization"
-            }
-          ]
+          options: getRequestTypeOptions()
         }
       }
     ]
@@ -357,1353 +446,1020 @@ const createRequestTypeModal = () => {
 };
 
 // Helper function to format request type names
-const formatRequestTypeName = (requestType) => {
-  const names = {
-    'special_order': 'Special Order',
-    'book_hold': 'Book Hold',
-    'backorder_request': 'Backorder Request',
-    'out_of_print': 'Out-of-Print Search',
-    'bulk_order': 'Bulk Order',
-    'personalization': 'Personalization Request'
-  };
-  
-  return names[requestType] || requestType;
+const formatRequestTypeName = RequestTypes.formatRequestTypeName;
+
+// Lines a request form must keep: new requests need one, but older requests saved
+// without any can be edited without adding one (a blank line would be PENDING and
+// pull the request's status back to NEW)
+const getMinimumLineCount = (request) => {
+  return !request || getRequestLineItems(request).length > 0 ? 1 : 0;
 };
 
-// UPDATED: Fixed createTypeSpecificModal without min_date property
-const createTypeSpecificModal = (requestType) => {
-  // Calculate tomorrow's date at the beginning of the function - available to all case blocks
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 0);
-  const tomorrowFormatted = tomorrow.toISOString().split('T')[0];
+// Build the type-specific form from the request type registry. Given an existing
+// request, the form is prefilled from it and submits as an edit instead. lineIds lists
+// the line items shown on types that have them (defaults to the request's lines).
+const createTypeSpecificModal = (requestType, request = null, lineIds = null) => {
+  const withLineItems = RequestTypes.hasLineItems(requestType);
+  const existingLines = request ? getRequestLineItems(request) : [];
 
-  // Common blocks for all request types - with field ordering changes
-  const commonBlocks = [
+  if (withLineItems && !lineIds) {
+    lineIds = request ? existingLines.map(line => line.lineId) : ['L1'];
+  }
+
+  const blocks = [
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `*Creating a new ${formatRequestTypeName(requestType)}*`
+        text: request
+          ? `*Editing ${formatRequestTypeName(requestType)} ${request.requestId}*`
+          : `*Creating a new ${formatRequestTypeName(requestType)}*`
       }
     },
-    {
-      type: "input",
-      block_id: "customer_name",
-      label: {
-        type: "plain_text",
-        text: "Customer Name"
+    ...RequestTypes.getFormFields(requestType).map(field => buildFieldBlock(field, request ? request[field.key] : undefined))
+  ];
+
+  if (withLineItems) {
+    blocks.push(...buildLineItemBlocks(requestType, lineIds, existingLines, getMinimumLineCount(request)));
+  }
+
+  return {
+    type: "modal",
+    callback_id: request ? "request_edit_submission" : "request_submission",
+    private_metadata: request
+      ? encodeRequestRef({ requestId: request.requestId, requestType, version: request.version || 0, lineIds: lineIds || undefined })
+      : JSON.stringify(withLineItems ? { requestType, lineIds } : { requestType }),
+    title: {
+      type: "plain_text",
+      text: request ? "Edit Request" : "Create New Request",
+      emoji: true
+    },
+    submit: {
+      type: "plain_text",
+      text: request ? "Save" : "Submit",
+      emoji: true
+    },
+    close: {
+      type: "plain_text",
+      text: request ? "Cancel" : "Back",
+      emoji: true
+    },
+    blocks
+  };
+};
+
+// Helper function to get button text based on status
+const getStatusButtonText = RequestTypes.getStatusButtonText;
+
+// Helper function to create action buttons based on request type and status. Given the
+// request, Mark as Paid is left out while it still has a balance due.
+const getActionButtons = (requestId, requestType, currentStatus, version = 0, request = null) => {
+  const requestConfig = UnifiedEventLogger.REQUEST_TYPES[requestType];
+  
+  if (!requestConfig || !requestConfig.statusTransitions[currentStatus]) {
+    // Default buttons if config not found
+    return [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Mark In Progress"
+        },
+        value: encodeRequestRef({ requestId, requestType, expectedStatus: currentStatus, newStatus: 'PENDING', version }),
+        action_id: "update_status_to_pending", // Unique action_id
       },
-      element: {
-        type: "plain_text_input",
-        action_id: "customer_name_input",
-        placeholder: {
+      {
+        type: "button",
+        text: {
           type: "plain_text",
-          text: "Enter customer name"
-        }
+          text: "Cancel Request"
+        },
+        value: encodeRequestRef({ requestId, requestType, expectedStatus: currentStatus, newStatus: 'CANCELLED', version }),
+        action_id: "update_status_to_cancelled", // Unique action_id
+        style: "danger"
       }
+    ];
+  }
+  
+  // Generate buttons based on available transitions with unique action_ids
+  return RequestTypes.getButtonTransitions(requestType, currentStatus)
+    .filter(nextStatus => nextStatus !== 'PAID' || !request || isBalanceSettled(request))
+    .map(nextStatus => {
+      return {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: getStatusButtonText(nextStatus)
+        },
+        value: encodeRequestRef({ requestId, requestType, expectedStatus: currentStatus, newStatus: nextStatus, version }),
+        action_id: `update_status_to_${nextStatus.toLowerCase()}`, // Unique action_id per status
+        style: nextStatus === 'CANCELLED' ? "danger" : undefined
+      };
+    });
+};
+
+// Button that opens the edit form for a request
+const getEditButton = (requestId, requestType, version = 0) => {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "Edit"
     },
+    value: encodeRequestRef({ requestId, requestType, version }),
+    action_id: "edit_request"
+  };
+};
+
+// Button that opens the Add Note form for a request
+const getAddNoteButton = (requestId, requestType) => {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "Add Note"
+    },
+    value: encodeRequestRef({ requestId, requestType }),
+    action_id: "add_request_note"
+  };
+};
+
+// "Send Notification" button, offered wherever the request can move to NOTIFIED
+const getSendNotificationButtons = (request) => {
+  if (!RequestTypes.getButtonTransitions(request.type, request.status).includes('NOTIFIED')) {
+    return [];
+  }
+  
+  return [
     {
-      type: "input",
-      block_id: "customer_contact",
-      label: {
+      type: "button",
+      text: {
         type: "plain_text",
-        text: "Customer Contact"
+        text: "Send Notification"
       },
-      element: {
-        type: "plain_text_input",
-        action_id: "customer_contact_input",
-        placeholder: {
-          type: "plain_text",
-          text: "Email (name@example.com) or phone (10 digits)"
-        }
-      }
+      value: encodeRequestRef({ requestId: request.requestId, requestType: request.type, expectedStatus: request.status, newStatus: 'NOTIFIED', version: request.version || 0 }),
+      action_id: "send_customer_notification",
+      style: "primary"
     }
   ];
+};
 
-  // Type-specific blocks based on the request type
-  let typeSpecificBlocks = [];
-
-  switch (requestType) {
-    case 'special_order':
-      typeSpecificBlocks = [
-        {
-          type: "input",
-          block_id: "vendor_publisher",
-          label: {
-            type: "plain_text",
-            text: "Vendor/Publisher"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "vendor_publisher_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter vendor or publisher name"
-            }
-          }
-        },
-        // Added optional ISBN field for Special Order
-        {
-          type: "input",
-          block_id: "isbn",
-          optional: true,
-          label: {
-            type: "plain_text",
-            text: "ISBN"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "isbn_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter book ISBN (13-digit standard starts with 978 or 979)"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "request_details",
-          label: {
-            type: "plain_text",
-            text: "Request Details"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "request_details_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Provide specific details about the request"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "date_needed",
-          label: {
-            type: "plain_text",
-            text: "Date Needed"
-          },
-          element: {
-            type: "datepicker",
-            action_id: "date_needed_input",
-            // Removed min_date property
-            placeholder: {
-              type: "plain_text",
-              text: "Select a date (must be future date)"
-            }
-          }
-        }
-      ];
-      break;
+// Undo/Reopen buttons for a request. Undo is offered while a recent status change can
+// still be undone, Reopen once the request is in a final state. The handlers re-check
+// permissions and the undo window when clicked.
+const getRevertButtons = (request, isFinal) => {
+  const definition = RequestTypes.getRequestType(request.type);
+  const version = request.version || 0;
+  const buttons = [];
+  
+  const changedRecently = request.updatedAt &&
+    Date.now() - new Date(request.updatedAt) <= getUndoWindowMs();
+  
+  if (definition && request.status !== definition.statuses[0] && changedRecently) {
+    buttons.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Undo last change"
+      },
+      value: encodeRequestRef({ requestId: request.requestId, requestType: request.type, expectedStatus: request.status, version, mode: 'undo' }),
+      action_id: "undo_status_change"
+    });
+  }
+  
+  if (isFinal) {
+    buttons.push({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Reopen"
+      },
+      value: encodeRequestRef({ requestId: request.requestId, requestType: request.type, expectedStatus: request.status, version, mode: 'reopen' }),
+      action_id: "reopen_request"
+    });
+  }
+  
+  return buttons;
+};
 
-    case 'book_hold':
-      typeSpecificBlocks = [
-        {
-          type: "input",
-          block_id: "isbn",
-          label: {
-            type: "plain_text",
-            text: "ISBN"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "isbn_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter book ISBN (13-digit standard starts with 978 or 979)"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "request_details",
-          label: {
-            type: "plain_text",
-            text: "Request Details"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "request_details_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Provide specific details about the request"
-            }
-          }
+// "Assign to me" button and an Assign… user picker. The block_id carries the request
+// reference because users_select elements have no value of their own.
+const buildAssignmentBlock = (request) => {
+  const ref = encodeRequestRef({ requestId: request.requestId, requestType: request.type, version: request.version || 0 });
+  const userSelect = {
+    type: "users_select",
+    action_id: "assign_request",
+    placeholder: {
+      type: "plain_text",
+      text: "Assign…"
+    }
+  };
+  
+  if (request.assignee) {
+    userSelect.initial_user = request.assignee;
+  }
+  
+  return {
+    type: "actions",
+    block_id: ref,
+    elements: [
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Assign to me"
         },
-        {
-          type: "input",
-          block_id: "pickup_date",
-          label: {
-            type: "plain_text",
-            text: "Pick Up Date",
-          },
-          element: {
-            type: "datepicker",
-            action_id: "pickup_date_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Select a date (must be today or future date)",
-            }
-          }
-        }
-      ];
-      break;
+        value: ref,
+        action_id: "assign_to_me"
+      },
+      userSelect
+    ]
+  };
+};
 
-    case 'backorder_request':
-      typeSpecificBlocks = [
-        {
-          type: "input",
-          block_id: "vendor_publisher",
-          label: {
-            type: "plain_text",
-            text: "Vendor/Publisher",
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "vendor_publisher_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter vendor or publisher name",
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "isbn",
-          label: {
-            type: "plain_text",
-            text: "ISBN"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "isbn_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter book ISBN (13-digit standard starts with 978 or 979)"
-            }
-          }
-        },
+// Button that opens the per-line status form on line item requests
+const getUpdateLineItemsButton = (requestId, requestType, version = 0) => {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "Update Items"
+    },
+    value: encodeRequestRef({ requestId, requestType, version }),
+    action_id: "update_line_items"
+  };
+};
+
+// Lines that have been ordered and still have copies to arrive
+const getReceivableLines = (request) => {
+  return getRequestLineItems(request).filter(line =>
+    (line.status === 'ORDERED' || line.status === 'PARTIALLY_RECEIVED') && getOutstandingQuantity(line) > 0
+  );
+};
+
+// Button that opens the receiving form, offered while ordered copies are outstanding
+const getReceiveItemsButtons = (request) => {
+  if (getReceivableLines(request).length === 0) {
+    return [];
+  }
+  
+  return [
+    {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Receive Items"
+      },
+      value: encodeRequestRef({ requestId: request.requestId, requestType: request.type, version: request.version || 0 }),
+      action_id: "receive_line_items",
+      style: "primary"
+    }
+  ];
+};
+
+// Catalog details for an ISBN, e.g. "_The Hobbit_ by J.R.R. Tolkien · Mariner · Paperback · $14.99".
+// Lines already show their title, so it can be left out.
+const formatCatalogDetails = (catalog, { includeTitle = true } = {}) => {
+  const parts = [
+    catalog.format,
+    catalog.listPriceCents ? formatCents(catalog.listPriceCents) : ''
+  ];
+  
+  if (includeTitle) {
+    parts.unshift(catalog.publisher);
+  }
+  
+  const title = includeTitle && catalog.title ? `_${catalog.title}_` : '';
+  const author = catalog.author ? `by ${catalog.author}` : '';
+  const heading = [title, author].filter(Boolean).join(' ');
+  
+  return [heading, ...parts].filter(Boolean).join(' · ');
+};
+
+// Section with a request's catalog details, or null when its ISBN had no match
+const buildCatalogBlock = (request) => {
+  if (!request.catalog) {
+    return null;
+  }
+  
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Catalog:* ${formatCatalogDetails(request.catalog)}`
+    }
+  };
+};
+
+// Section listing a request's line items with overall progress, or null without any
+const buildLineItemsBlock = (request) => {
+  const lineItems = getRequestLineItems(request);
+  
+  if (lineItems.length === 0) {
+    return null;
+  }
+  
+  const lines = lineItems.map(line => {
+    const received = line.status === 'PARTIALLY_RECEIVED' ? ` (${getReceivedQuantity(line)}/${line.quantity})` : '';
+    const catalogDetails = line.catalog ? formatCatalogDetails(line.catalog, { includeTitle: false }) : '';
+    const catalog = catalogDetails ? `\n      ${catalogDetails}` : '';
+    return `• \`${line.lineId}\` ${formatLineItem(line)} - *${line.status}*${received}${catalog}`;
+  });
+  
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Items:* ${formatLineItemProgress(lineItems)}\n${lines.join('\n')}`
+    }
+  };
+};
+
+// Button that opens the payment form, offered until a request is final
+const getRecordPaymentButton = (requestId, requestType, version = 0) => {
+  return {
+    type: "button",
+    text: {
+      type: "plain_text",
+      text: "Record Payment"
+    },
+    value: encodeRequestRef({ requestId, requestType, version }),
+    action_id: "record_payment"
+  };
+};
+
+// Section with a request's payments and balance due, or null when it has neither
+const buildPaymentsBlock = (request) => {
+  const summary = formatPaymentSummary(request);
+  
+  if (!summary) {
+    return null;
+  }
+  
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Payments:* ${summary}`
+    }
+  };
+};
+
+// Fields shown in the card header or payments section rather than the type-specific section
+const CARD_HEADER_FIELDS = ['customerName', 'customerContact', 'details', 'priority', 'totalAmount'];
+
+// Build the channel card for a request from its stored (or just-submitted) data
+const buildRequestCardBlocks = (request) => {
+  const requestType = request.type;
+  
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*New ${formatRequestTypeName(requestType)}* \n*Request ID:* ${request.requestId}`
+      }
+    },
+    {
+      type: "section",
+      fields: [
         {
-          type: "input",
-          block_id: "request_details",
-          label: {
-            type: "plain_text",
-            text: "Request Details"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "request_details_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Provide specific details about the request"
-            }
-          }
+          type: "mrkdwn",
+          text: `*Type:* ${formatRequestTypeName(requestType)}`
         },
         {
-          type: "input",
-          block_id: "date_needed",
-          label: {
-            type: "plain_text",
-            text: "Date Needed"
-          },
-          element: {
-            type: "datepicker",
-            action_id: "date_needed_input",
-            // Removed min_date property
-            placeholder: {
-              type: "plain_text",
-              text: "Select a date (must be future date)"
-            }
-          }
-        }
-      ];
-      break;
-
-    case 'out_of_print':
-      typeSpecificBlocks = [
-        {
-          type: "input",
-          block_id: "vendor_publisher",
-          label: {
-            type: "plain_text",
-            text: "Vendor/Publisher"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "vendor_publisher_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter vendor or publisher name"
-            }
-          }
+          type: "mrkdwn",
+          text: `*Priority:* ${request.priority}`
         },
         {
-          type: "input",
-          block_id: "request_details",
-          label: {
-            type: "plain_text",
-            text: "Request Details"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "request_details_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Provide specific details about the request"
-            }
-          }
+          type: "mrkdwn",
+          text: `*Customer:* ${request.customerName}`
         },
         {
-          type: "input",
-          block_id: "date_needed",
-          label: {
-            type: "plain_text",
-            text: "Date Needed"
-          },
-          element: {
-            type: "datepicker",
-            action_id: "date_needed_input",
-            // Removed min_date property
-            placeholder: {
-              type: "plain_text",
-              text: "Select a date (must be future date)"
-            }
-          }
+          type: "mrkdwn",
+          text: `*Contact:* ${request.customerContact}`
         },
         {
-          type: "input",
-          block_id: "condition",
-          label: {
-            type: "plain_text",
-            text: "Condition"
-          },
-          element: {
-            type: "static_select",
-            action_id: "condition_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Select minimum acceptable condition"
-            },
-            options: [
-              {
-                text: {
-                  type: "plain_text",
-                  text: "New"
-                },
-                value: "new"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Like New"
-                },
-                value: "like_new"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Very Good"
-                },
-                value: "very_good"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Good"
-                },
-                value: "good"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Fair"
-                },
-                value: "fair"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Poor"
-                },
-                value: "poor"
-              },
-              {
-                text: {
-                  type: "plain_text",
-                  text: "Any Readable Condition"
-                },
-                value: "any"
-              }
-            ]
-          }
+          type: "mrkdwn",
+          text: `*Assignee:* ${request.assignee ? `<@${request.assignee}>` : 'Unassigned'}`
         }
-      ];
-      break;
-
-    case 'bulk_order':
-      typeSpecificBlocks = [
-        {
-          type: "input",
-          block_id: "vendor_publisher",
-          label: {
-            type: "plain_text",
-            text: "Vendor/Publisher"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "vendor_publisher_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter vendor or publisher name"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "isbn",
-          label: {
-            type: "plain_text",
-            text: "ISBN"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "isbn_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter book ISBN (13-digit standard starts with 978 or 979)"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "request_details",
-          label: {
-            type: "plain_text",
-            text: "Request Details"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "request_details_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Provide specific details about the request"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "date_needed",
-          label: {
-            type: "plain_text",
-            text: "Date Needed"
-          },
-          element: {
-            type: "datepicker",
-            action_id: "date_needed_input",
-            // Removed min_date property
-            placeholder: {
-              type: "plain_text",
-              text: "Select a date (must be future date)"
-            }
-          }
-        }
-      ];
-      break;
-
-    case 'personalization':
-      typeSpecificBlocks = [
-        {
-          type: "input",
-          block_id: "vendor_publisher",
-          label: {
-            type: "plain_text",
-            text: "Vendor/Publisher"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "vendor_publisher_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter vendor or publisher name"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "isbn",
-          label: {
-            type: "plain_text",
-            text: "ISBN"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "isbn_input",
-            placeholder: {
-              type: "plain_text",
-              text: "Enter book ISBN (13-digit standard starts with 978 or 979)"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "request_details",
-          label: {
-            type: "plain_text",
-            text: "Request Details"
-          },
-          element: {
-            type: "plain_text_input",
-            action_id: "request_details_input",
-            multiline: true,
-            placeholder: {
-              type: "plain_text",
-              text: "Provide specific details about the request"
-            }
-          }
-        },
-        {
-          type: "input",
-          block_id: "date_needed",
-          label: {
-            type: "plain_text",
-            text: "Date Needed"
-          },
-          element: {
-            type: "datepicker",
-            action_id: "date_needed_input",
-            // Removed min_date property
-            placeholder: {
-              type: "plain_text",
-              text: "Select a date (must be future date)"
-            }
-          }
-        }
-      ];
-      break;
+      ]
+    }
+  ];
+  
+  // Add the type-specific fields the registry defines, when they have values
+  const typeSpecificFields = RequestTypes.getFormFields(requestType)
+    .filter(field => !CARD_HEADER_FIELDS.includes(field.key) && request[field.key])
+    .map(field => ({
+      type: "mrkdwn",
+      text: `*${field.label}:* ${request[field.key]}`
+    }));
+  
+  if (typeSpecificFields.length > 0) {
+    blocks.push({
+      type: "section",
+      fields: typeSpecificFields
+    });
   }
-
-  // Rest of the function stays the same...
-  // ...
-  const priorityBlock = {
-    type: "input",
-    block_id: "priority",
-    label: {
-      type: "plain_text",
-      text: "Priority"
+  
+  const catalogBlock = buildCatalogBlock(request);
+  
+  if (catalogBlock) {
+    blocks.push(catalogBlock);
+  }
+  
+  // Add details and status blocks
+  blocks.push(
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Details:*\n${request.details}`
+      }
     },
-    element: {
-      type: "static_select",
-      action_id: "priority_select",
-      placeholder: {
-        type: "plain_text",
-        text: "Select priority"
-      },
-      options: [
-        {
-          text: {
-            type: "plain_text",
-            text: "Low"
-          },
-          value: "low"
-        },
-        {
-          text: {
-            type: "plain_text",
-            text: "Standard"
-          },
-          value: "standard"
-        },
-        {
-          text: {
-            type: "plain_text",
-            text: "High"
-          },
-          value: "high"
-        },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Status:* ${request.status}`
+      }
+    }
+  );
+  
+  const lineItemsBlock = RequestTypes.hasLineItems(requestType) ? buildLineItemsBlock(request) : null;
+  
+  if (lineItemsBlock) {
+    blocks.push(lineItemsBlock);
+  }
+  
+  const paymentsBlock = buildPaymentsBlock(request);
+  
+  if (paymentsBlock) {
+    blocks.push(paymentsBlock);
+  }
+  
+  if (request.status === 'CANCELLED' && request.cancellation_reason) {
+    const notes = request.cancellation_notes ? ` - ${request.cancellation_notes}` : '';
+    const refund = request.refund_owed === 'yes' ? '\n:moneybag: Refund owed to customer' : '';
+    
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Cancellation Reason:* ${formatCancellationReason(request.cancellation_reason)}${notes}${refund}`
+      }
+    });
+  }
+  
+  if (request.status === 'EXPIRED' && request.expiry_reason) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Expired:* ${request.expiry_reason}`
+      }
+    });
+  }
+  
+  const typeConfig = UnifiedEventLogger.REQUEST_TYPES[requestType];
+  const nextTransitions = (typeConfig && typeConfig.statusTransitions[request.status]) || [];
+  
+  if (nextTransitions.length > 0) {
+    blocks.push({
+      type: "actions",
+      elements: [
+        ...getActionButtons(request.requestId, requestType, request.status, request.version || 0, request),
+        ...getSendNotificationButtons(request),
+        getEditButton(request.requestId, requestType, request.version || 0),
+        getRecordPaymentButton(request.requestId, requestType, request.version || 0),
+        ...(RequestTypes.hasLineItems(requestType) ? [
+          ...getReceiveItemsButtons(request),
+          getUpdateLineItemsButton(request.requestId, requestType, request.version || 0)
+        ] : []),
+        getAddNoteButton(request.requestId, requestType),
+        ...getRevertButtons(request, false)
+      ]
+    });
+    blocks.push(buildAssignmentBlock(request));
+  } else {
+    blocks.push({
+      type: "actions",
+      elements: [
+        getAddNoteButton(request.requestId, requestType),
+        ...getRevertButtons(request, true)
+      ]
+    });
+    blocks.push({
+      type: "context",
+      elements: [
         {
-          text: {
-            type: "plain_text",
-            text: "Urgent"
-          },
-          value: "urgent"
+          type: "mrkdwn",
+          text: `This request is now in a final state (${request.status}). No further actions available.`
         }
       ]
+    });
+  }
+  
+  return blocks;
+};
+
+// Get the channel/ts of the message a button was clicked in, when it can be updated
+const getClickedMessageLocation = (body) => {
+  if (!body.message || !body.channel || (body.container && body.container.is_ephemeral)) {
+    return null;
+  }
+  
+  return { channel: body.channel.id, ts: body.message.ts };
+};
+
+// Find the channel card for a request. Cards posted before message locations were
+// stored on the request are looked up in the requests channel history.
+const findRequestCardLocation = async (client, request, fallbackLocation) => {
+  if (request.slackChannel && request.slackMessageTs) {
+    return { channel: request.slackChannel, ts: request.slackMessageTs };
+  }
+  
+  let location = fallbackLocation;
+  
+  if (!location) {
+    const channelId = process.env.REQUESTS_CHANNEL;
+    const messagesResult = await client.conversations.history({
+      channel: channelId,
+      limit: 100
+    });
+    
+    const requestMessage = messagesResult.messages.find(msg => 
+      msg.blocks && 
+      msg.blocks.some(block => 
+        block.text && 
+        block.text.text && 
+        block.text.text.includes(request.requestId)
+      )
+    );
+    
+    location = requestMessage ? { channel: channelId, ts: requestMessage.ts } : null;
+  }
+  
+  if (location) {
+    await UnifiedEventLogger.setRequestMessage(request.requestId, location.channel, location.ts);
+  }
+  
+  return location;
+};
+
+// Rebuild a request's channel card from the authoritative MongoDB record. The
+// assignee's Home tab lists the request too, so it is re-rendered alongside.
+const refreshRequestCard = async (client, requestId, fallbackLocation = null) => {
+  try {
+    const request = await UnifiedEventLogger.getRequestById(requestId);
+    
+    if (!request) {
+      return;
     }
-  };
+    
+    if (request.assignee) {
+      await publishHomeTab(client, request.assignee);
+    }
+    
+    const location = await findRequestCardLocation(client, request, fallbackLocation);
+    
+    if (!location) {
+      console.log(`No channel card found for request ${requestId}`);
+      return;
+    }
+    
+    await client.chat.update({
+      channel: location.channel,
+      ts: location.ts,
+      text: `${formatRequestTypeName(request.type)}: ${request.requestId}`,
+      blocks: buildRequestCardBlocks(request)
+    });
+  } catch (updateError) {
+    console.error('Error updating message:', updateError);
+  }
+};
+
+// Check whether a button or modal reference was built from an out-of-date view of the request
+const isStaleReference = (ref, request) => {
+  if (ref.version !== undefined) {
+    return ref.version !== (request.version || 0);
+  }
+  
+  return Boolean(ref.expectedStatus) && ref.expectedStatus !== request.status;
+};
+
+// Tell the user their click was based on an old copy of the request, then refresh the card
+const respondToStaleRequest = async (client, body, request, fallbackLocation = null) => {
+  const updatedBy = request.updatedBy ? ` by <@${request.updatedBy}>` : '';
+  const text = `:warning: Request *${request.requestId}* changed${updatedBy} before your update was applied. ` +
+    `It is now *${request.status}*. The card has been refreshed, so please check it and try again if needed.`;
+  
+  await replyToAction(client, body, text);
+  await refreshRequestCard(client, request.requestId, fallbackLocation);
+};
+
+// Reply privately to whoever clicked a button, wherever the button was
+const replyToAction = async (client, body, text) => {
+  try {
+    if (body.channel && body.channel.id) {
+      await client.chat.postEphemeral({
+        channel: body.channel.id,
+        user: body.user.id,
+        text
+      });
+    } else {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text
+      });
+    }
+  } catch (notifyError) {
+    console.error('Error sending error notification:', notifyError);
+  }
+};
+
+// Open a modal from a button click, stacking it when the button was inside another modal
+const openModalFromAction = async (client, body, view) => {
+  if (body.view && body.view.type === 'modal') {
+    return client.views.push({ trigger_id: body.trigger_id, view });
+  }
+  
+  return client.views.open({ trigger_id: body.trigger_id, view });
+};
+
+// Work out which registry fields an edit changed, as { field: { before, after } }
+const getEditedFields = (request, fieldValues, fields) => {
+  const changes = {};
+  
+  for (const field of fields) {
+    const before = request[field.key] === undefined || request[field.key] === null ? '' : String(request[field.key]);
+    const after = fieldValues[field.key] === undefined ? '' : String(fieldValues[field.key]);
+    
+    if (before !== after) {
+      changes[field.key] = { before, after };
+    }
+  }
+  
+  return changes;
+};
 
-  const blocks = [...commonBlocks, ...typeSpecificBlocks, priorityBlock];
+// Helper function to format field labels
+const formatFieldLabel = RequestTypes.formatFieldLabel;
 
+// Build the modal that collects the fields required to enter a status, optionally
+// prefilled from initialValues ({ fieldKey: value })
+const buildRequiredFieldsModal = (requestId, requestType, currentStatus, status, version, initialValues = {}) => {
+  const statusFields = RequestTypes.getStatusFields(requestType, status);
+  console.log('Building modal for', requestType, status, 'with fields:', statusFields.map(field => field.key));
+  
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `Please provide additional information required for *${formatRequestTypeName(requestType)}* request status *${status}*:`
+      }
+    },
+    ...statusFields.map(field => buildFieldBlock(field, initialValues[field.key]))
+  ];
+  
   return {
     type: "modal",
-    callback_id: "request_submission",
-    private_metadata: JSON.stringify({ requestType }),
+    callback_id: "required_fields_submission",
+    private_metadata: encodeRequestRef({ requestId, requestType, expectedStatus: currentStatus, newStatus: status, version }),
     title: {
       type: "plain_text",
-      text: "Create New Request",
-      emoji: true
+      text: "Additional Information"
     },
     submit: {
       type: "plain_text",
-      text: "Submit",
-      emoji: true
+      text: "Submit"
     },
     close: {
       type: "plain_text",
-      text: "Back",
-      emoji: true
+      text: "Cancel"
     },
     blocks
   };
 };
 
-// Updated createSpecialRequestModal function to reorder fields
-const createSpecialRequestModal = () => {
+// Build the Mark as Ordered modal from the type's ORDERED status fields
+const createMarkAsOrderedModal = (requestId, requestType, currentStatus, version) => {
   return {
     type: "modal",
-    callback_id: "request_submission",
+    callback_id: "mark_as_ordered_submission",
+    private_metadata: encodeRequestRef({ 
+      requestId, 
+      requestType, 
+      expectedStatus: currentStatus, 
+      newStatus: 'ORDERED',
+      version
+    }),
     title: {
       type: "plain_text",
-      text: "Create New Request",
-      emoji: true
+      text: "Mark as Ordered"
     },
     submit: {
       type: "plain_text",
-      text: "Submit",
-      emoji: true
+      text: "Submit"
     },
     close: {
       type: "plain_text",
-      text: "Cancel",
-      emoji: true
+      text: "Cancel"
     },
     blocks: [
       {
-        type: "input",
-        block_id: "request_type",
-        label: {
-          type: "plain_text",
-          text: "Request Type"
-        },
-        element: {
-          type: "static_select",
-          action_id: "request_type_select",
-          placeholder: {
-            type: "plain_text",
-            text: "Select a request type"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "Special Order"
-              },
-              value: "special_order"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Book Hold"
-              },
-              value: "book_hold"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Backorder Request"
-              },
-              value: "backorder_request"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Out of Print Search"
-              },
-              value: "out_of_print"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Bulk Order"
-              },
-              value: "bulk_order"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Personalization Request"
-              },
-              value: "personalization"
-            }
-          ]
-        }
-      },
-      {
-        type: "input",
-        block_id: "customer_name",
-        label: {
-          type: "plain_text",
-          text: "Customer Name"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "customer_name_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Enter customer name"
-          }
-        }
-      },
-      {
-        type: "input",
-        block_id: "customer_contact",
-        label: {
-          type: "plain_text",
-          text: "Customer Contact"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "customer_contact_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Phone or email"
-          }
-        }
-      },
-      {
-        type: "input",
-        block_id: "vendor_publisher",
-        optional: true,
-        label: {
-          type: "plain_text",
-          text: "Vendor/Publisher"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "vendor_publisher_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Required for Special Order and Out-of-Print"
-          }
-        }
-      },
-      {
-        type: "input",
-        block_id: "isbn",
-        optional: true,
-        label: {
-          type: "plain_text",
-          text: "ISBN"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "isbn_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Required for Book Hold, Backorder, Bulk Order, and Personalization"
-          }
-        }
-      },
-      {
-        type: "input",
-        block_id: "request_details",
-        label: {
-          type: "plain_text",
-          text: "Request Details"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "request_details_input",
-          multiline: true,
-          placeholder: {
-            type: "plain_text",
-            text: "Provide specific details about the request"
-          }
-        }
-      },
-      {
-        type: "input",
-        block_id: "date_needed",
-        optional: true,
-        label: {
-          type: "plain_text",
-          text: "Date Needed"
-        },
-        element: {
-          type: "datepicker",
-          action_id: "date_needed_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Select a date"
-          }
-        }
-      },
-      {
-        type: "input",
-        block_id: "condition",
-        optional: true,
-        label: {
-          type: "plain_text",
-          text: "Condition"
-        },
-        element: {
-          type: "static_select",
-          action_id: "condition_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Required for Out-of-Print"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "New"
-              },
-              value: "new"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Like New"
-              },
-              value: "like_new"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Very Good"
-              },
-              value: "very_good"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Good"
-              },
-              value: "good"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Fair"
-              },
-              value: "fair"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Poor"
-              },
-              value: "poor"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Any Readable Condition"
-              },
-              value: "any"
-            }
-          ]
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Please provide order information for request *${requestId}*:`
         }
       },
-      {
-        type: "input",
-        block_id: "priority",
-        label: {
-          type: "plain_text",
-          text: "Priority"
-        },
-        element: {
-          type: "static_select",
-          action_id: "priority_select",
-          placeholder: {
-            type: "plain_text",
-            text: "Select priority"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "Low"
-              },
-              value: "low"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Standard"
-              },
-              value: "standard"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "High"
-              },
-              value: "high"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Urgent"
-              },
-              value: "urgent"
-            }
-          ]
-        }
-      }
+      ...RequestTypes.getStatusFields(requestType, 'ORDERED').map(field => buildFieldBlock(field))
     ]
   };
 };
 
-// Helper function to get button text based on status
-const getStatusButtonText = (nextStatus) => {
-  const statusLabels = {
-    'PENDING': 'Mark In Progress',
-    'PAID': 'Mark as Paid',
-    'NOT_PAID': 'Mark as Not Paid',
-    'HELD': 'Mark as Held',
-    'READY_FOR_PICKUP': 'Ready for Pickup',
-    'PICKED_UP': 'Mark as Picked Up',
-    'ORDERED': 'Mark as Ordered',
-    'RECEIVED': 'Mark as Received',
-    'NOTIFIED': 'Customer Notified',
-    // 'IN_PROGRESS': 'Start Work', // Removed
-    'READY': 'Mark as Ready',
-    'COMPLETED': 'Mark as Completed',
-    'QUOTED': 'Quote Sent',
-    'CONFIRMED': 'Order Confirmed',
-    'SEARCHING': 'Start Search',
-    'FOUND': 'Item Found',
-    'NOT_FOUND': 'Not Found',
-    'ACQUIRED': 'Item Acquired',
-    'CANCELLED': 'Cancel Request'
+// Build the Cancel Request modal with the cancellation reason taxonomy. The refund
+// question is included once the customer has paid anything.
+const createCancelRequestModal = (requestId, requestType, currentStatus, version, paymentsTaken = false) => {
+  return {
+    type: "modal",
+    callback_id: "cancel_request_submission",
+    private_metadata: encodeRequestRef({
+      requestId,
+      requestType,
+      expectedStatus: currentStatus,
+      newStatus: 'CANCELLED',
+      version
+    }),
+    title: {
+      type: "plain_text",
+      text: "Cancel Request"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Cancel Request"
+    },
+    close: {
+      type: "plain_text",
+      text: "Back"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Why is request *${requestId}* being cancelled?`
+        }
+      },
+      ...RequestTypes.getCancellationFields(currentStatus, paymentsTaken).map(field => buildFieldBlock(field))
+    ]
   };
-  
-  return statusLabels[nextStatus] || `Change to ${nextStatus}`;
 };
 
-// Helper function to create action buttons based on request type and status
-const getActionButtons = (requestId, requestType, currentStatus) => {
-  const requestConfig = UnifiedEventLogger.REQUEST_TYPES[requestType];
+// Build the Record Payment modal, showing the balance due when the request has a total
+const buildRecordPaymentModal = (request) => {
+  const balance = getBalanceDueCents(request);
+  const balanceText = balance === null
+    ? 'No total has been set for this request.'
+    : `*Balance due:* ${formatCents(Math.max(0, balance))}`;
   
-  if (!requestConfig || !requestConfig.statusTransitions[currentStatus]) {
-    // Default buttons if config not found
-    return [
+  return {
+    type: "modal",
+    callback_id: "record_payment_submission",
+    private_metadata: encodeRequestRef({
+      requestId: request.requestId,
+      requestType: request.type,
+      version: request.version || 0
+    }),
+    title: {
+      type: "plain_text",
+      text: "Record Payment"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Record"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
       {
-        type: "button",
+        type: "section",
         text: {
-          type: "plain_text",
-          text: "Mark In Progress"
-        },
-        value: `${requestId}|${currentStatus}|PENDING`,
-        action_id: "update_status_to_pending", // Unique action_id
+          type: "mrkdwn",
+          text: `Record a payment or deposit for request *${request.requestId}*.\n${balanceText}`
+        }
       },
-      {
-        type: "button",
-        text: {
-          type: "plain_text",
-          text: "Cancel Request"
-        },
-        value: `${requestId}|${currentStatus}|CANCELLED`,
-        action_id: "update_status_to_cancelled", // Unique action_id
-        style: "danger"
-      }
-    ];
+      ...RequestTypes.getPaymentFields().map(field => buildFieldBlock(field))
+    ]
+  };
+};
+
+// Payment details from a request's most recent payment, used to prefill Mark as Paid
+const getLastPaymentValues = (request) => {
+  const payments = request.payments || [];
+  
+  if (payments.length === 0) {
+    return {};
   }
   
-  // Generate buttons based on available transitions with unique action_ids
-  return requestConfig.statusTransitions[currentStatus].map(nextStatus => {
-    return {
-      type: "button",
-      text: {
-        type: "plain_text",
-        text: getStatusButtonText(nextStatus)
-      },
-      value: `${requestId}|${currentStatus}|${nextStatus}`,
-      action_id: `update_status_to_${nextStatus.toLowerCase()}`, // Unique action_id per status
-      style: nextStatus === 'CANCELLED' ? "danger" : undefined
-    };
-  });
+  const lastPayment = payments[payments.length - 1];
+  return {
+    payment_method: lastPayment.method,
+    order_number: lastPayment.orderNumber
+  };
 };
 
-// Helper function to format field labels
-const formatFieldLabel = (field) => {
-  return field
-    .split('_')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
+// Helper function to get the display label for a cancellation reason
+const formatCancellationReason = (reason) => {
+  const option = CANCELLATION_REASON_OPTIONS.find(option => option.value === reason);
+  return option ? option.text : reason;
 };
 
-// UPDATED: Improved buildRequiredFieldsModal - removed min_date/max_date properties
-const buildRequiredFieldsModal = (requestId, requestType, status, requiredFields) => {
-  console.log('Building modal for', requestType, status, 'with fields:', requiredFields);
+// ========= APP HOME ============
+
+const ALL_FILTER_VALUE = 'all';
+
+// Helper function to build one of the Home tab filter selects
+const buildHomeFilterSelect = (key, label, options, selectedValue) => {
+  const slackOptions = [
+    { text: { type: "plain_text", text: `All ${label}` }, value: ALL_FILTER_VALUE },
+    ...toSlackOptions(options)
+  ];
   
-  // Get today's date for past/current date fields
-  const today = new Date();
-  const todayFormatted = today.toISOString().split('T')[0];
+  return {
+    type: "static_select",
+    action_id: `home_filter_${key}`,
+    placeholder: {
+      type: "plain_text",
+      text: label
+    },
+    options: slackOptions,
+    initial_option: slackOptions.find(option => option.value === selectedValue) || slackOptions[0]
+  };
+};
+
+// Build the rows for one request: a summary line plus its inline status buttons
+const buildHomeRequestRows = (request, { offerAssign = false } = {}) => {
+  const due = request.dateNeeded || request.pickupDate || request.estimated_arrival;
+  const elements = getActionButtons(request.requestId, request.type, request.status, request.version || 0, request);
   
-  // Get tomorrow's date for future date fields
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 0);
-  const tomorrowFormatted = tomorrow.toISOString().split('T')[0];
+  if (offerAssign) {
+    elements.unshift({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "Assign to me"
+      },
+      value: encodeRequestRef({ requestId: request.requestId, requestType: request.type, version: request.version || 0 }),
+      action_id: "assign_to_me"
+    });
+  }
   
-  const blocks = [
+  return [
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: `Please provide additional information required for *${formatRequestTypeName(requestType)}* request status *${status}*:`
+        text: `*${request.requestId}* · ${formatRequestTypeName(request.type)} · ${request.customerName || 'N/A'}\n` +
+          `*${request.status}*${request.priority ? ` · ${request.priority} priority` : ''}${due ? ` · due ${due}` : ''}`
       }
+    },
+    {
+      type: "actions",
+      elements
     }
   ];
-  
-  // Process each required field individually
-  for (const field of requiredFields) {
-    console.log('Processing field:', field);
-    
-    if (field === 'estimated_arrival') {
-      console.log('Adding datepicker for estimated_arrival');
-      
-      blocks.push({
-        type: "input",
-        block_id: 'estimated_arrival',
-        label: {
-          type: "plain_text",
-          text: "Estimated Arrival Date"
-        },
-        element: {
-          type: "datepicker",
-          action_id: "estimated_arrival_input",
-          initial_date: tomorrowFormatted,
-          // Removed min_date property
-          placeholder: {
-            type: "plain_text",
-            text: "Select arrival date (today or future date)"
-          }
-        }
-      });
-    } 
-    else if (field === 'payment_method') {
-      blocks.push({
-        type: "input",
-        block_id: 'payment_method',
-        label: {
-          type: "plain_text",
-          text: "Payment Method"
-        },
-        element: {
-          type: "static_select",
-          action_id: "payment_method_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Select payment method"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "POS"
-              },
-              value: "POS"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Shopify"
-              },
-              value: "Shopify"
-            }
-          ]
-        }
-      });
-    }
-    else if (field === 'order_number') {
-      blocks.push({
-        type: "input",
-        block_id: 'order_number',
-        label: {
-          type: "plain_text",
-          text: "Order Number"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "order_number_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Enter order number (5 digits, or start with 1 or D)"
-          }
-        }
-      });
-    }
-    else if (field === 'order_method') {
-      blocks.push({
-        type: "input",
-        block_id: 'order_method',
-        label: {
-          type: "plain_text",
-          text: "Order Method"
-        },
-        element: {
-          type: "static_select",
-          action_id: "order_method_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Select order method"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "Vendor Website"
-              },
-              value: "Vendor Website"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Phone"
-              },
-              value: "Phone"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Email"
-              },
-              value: "Email"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Distributor"
-              },
-              value: "Distributor"
-            }
-          ]
-        }
-      });
-    }
-    else if (field === 'notification_method') {
-      blocks.push({
-        type: "input",
-        block_id: 'notification_method',
-        label: {
-          type: "plain_text",
-          text: "Notification Method"
-        },
-        element: {
-          type: "static_select",
-          action_id: "notification_method_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Select notification method"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "Phone"
-              },
-              value: "Phone"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Email"
-              },
-              value: "Email"
-            }
-            // Removed "Text Message" option as requested
-          ]
-        }
-      });
-    }
-    else if (field === 'arrival_date' || field === 'notification_date' || field === 'completion_date') {
-      blocks.push({
-        type: "input",
-        block_id: field,
-        label: {
-          type: "plain_text",
-          text: formatFieldLabel(field)
-        },
-        element: {
-          type: "datepicker",
-          action_id: `${field}_input`,
-          initial_date: todayFormatted,
-          // Removed max_date property
-          placeholder: {
-            type: "plain_text",
-            text: `Select ${formatFieldLabel(field).toLowerCase()} (cannot be a future date)`
-          }
-        }
-      });
-    }
-    else {
-      // Default text input for all other fields
-      blocks.push({
-        type: "input",
-        block_id: field,
-        label: {
-          type: "plain_text",
-          text: formatFieldLabel(field)
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: `${field}_input`,
-          placeholder: {
-            type: "plain_text",
-            text: `Enter ${formatFieldLabel(field).toLowerCase()}`
-          }
-        }
-      });
+};
+
+// Helper function to build a titled queue section of the Home tab
+const buildHomeQueueBlocks = (title, queue, emptyText, rowOptions) => {
+  const blocks = [
+    { type: "divider" },
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: `${title} (${queue.total})`
+      }
     }
+  ];
+  
+  if (queue.requests.length === 0) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: emptyText }]
+    });
+    return blocks;
   }
   
-  return {
-    type: "modal",
-    callback_id: "required_fields_submission",
-    private_metadata: JSON.stringify({ requestId, requestType, status }),
-    title: {
-      type: "plain_text",
-      text: "Additional Information"
-    },
-    submit: {
-      type: "plain_text",
-      text: "Submit"
-    },
-    close: {
-      type: "plain_text",
-      text: "Cancel"
-    },
-    blocks
-  };
+  queue.requests.forEach(request => blocks.push(...buildHomeRequestRows(request, rowOptions)));
+  
+  if (queue.total > queue.requests.length) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `Showing ${queue.requests.length} of ${queue.total}. Narrow the filters or use \`/request-search\` to see more.` }]
+    });
+  }
+  
+  return blocks;
 };
 
-// UPDATED: createMarkAsOrderedModal without min_date property
-const createMarkAsOrderedModal = (requestId, requestType, currentStatus) => {
-  // Get tomorrow's date for the datepicker
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 0);
-  const tomorrowFormatted = tomorrow.toISOString().split('T')[0];
+// Build the whole Home tab view
+const buildHomeView = (queues, filters) => {
+  const typeOptions = RequestTypes.listRequestTypes().map(definition => ({ text: definition.name, value: definition.type }));
+  const statusOptions = [...new Set(RequestTypes.listRequestTypes().flatMap(definition => definition.statuses))]
+    .map(status => ({ text: status, value: status }));
   
   return {
-    type: "modal",
-    callback_id: "mark_as_ordered_submission",
-    private_metadata: JSON.stringify({ 
-      requestId, 
-      requestType, 
-      currentStatus, 
-      newStatus: 'ORDERED' 
-    }),
-    title: {
-      type: "plain_text",
-      text: "Mark as Ordered"
-    },
-    submit: {
-      type: "plain_text",
-      text: "Submit"
-    },
-    close: {
-      type: "plain_text",
-      text: "Cancel"
-    },
+    type: "home",
     blocks: [
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `Please provide order information for request *${requestId}*:`
-        }
-      },
-      {
-        type: "input",
-        block_id: "ordered_by",
-        label: {
-          type: "plain_text",
-          text: "Ordered By"
-        },
-        element: {
-          type: "plain_text_input",
-          action_id: "ordered_by_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Enter your name"
-          }
+          text: "*Request Management* :books:\nYour requests, the unassigned queue and anything overdue."
         }
       },
       {
-        type: "input",
-        block_id: "order_method",
-        label: {
-          type: "plain_text",
-          text: "Order Method"
-        },
-        element: {
-          type: "static_select",
-          action_id: "order_method_input",
-          placeholder: {
-            type: "plain_text",
-            text: "Select order method"
-          },
-          options: [
-            {
-              text: {
-                type: "plain_text",
-                text: "Vendor Website"
-              },
-              value: "Vendor Website"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Phone"
-              },
-              value: "Phone"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Email"
-              },
-              value: "Email"
-            },
-            {
-              text: {
-                type: "plain_text",
-                text: "Distributor"
-              },
-              value: "Distributor"
-            }
-          ]
-        }
+        type: "actions",
+        block_id: "home_filters",
+        elements: [
+          buildHomeFilterSelect('type', 'Types', typeOptions, filters.type),
+          buildHomeFilterSelect('status', 'Statuses', statusOptions, filters.status),
+          buildHomeFilterSelect('priority', 'Priorities', PRIORITY_OPTIONS, filters.priority)
+        ]
       },
-      {
-        type: "input",
-        block_id: "estimated_arrival",
-        label: {
-          type: "plain_text",
-          text: "Estimated Arrival Date"
-        },
-        element: {
-          type: "datepicker",
-          action_id: "estimated_arrival_input",
-          initial_date: tomorrowFormatted,
-          // Removed the min_date property
-          placeholder: {
-            type: "plain_text",
-            text: "Select arrival date (must be today or future date)"
-          }
-        }
-      }
+      ...buildHomeQueueBlocks('My open requests', queues.mine, "Nothing assigned to you. Use *Assign to me* to pick something up."),
+      ...buildHomeQueueBlocks('Unassigned new requests', queues.unassigned, "No unassigned new requests.", { offerAssign: true }),
+      ...buildHomeQueueBlocks('Overdue', queues.overdue, "Nothing overdue. :tada:")
     ]
   };
 };
 
+// Render and publish a user's Home tab from current data
+const publishHomeTab = async (client, userId) => {
+  try {
+    const filters = await RequestQueues.getFilters(userId);
+    const queues = await RequestQueues.getQueues(userId, filters);
+    
+    await client.views.publish({
+      user_id: userId,
+      view: buildHomeView(queues, filters)
+    });
+  } catch (error) {
+    console.error('Error publishing Home tab:', error);
+  }
+};
+
+app.event('app_home_opened', async ({ event, client }) => {
+  if (event.tab !== 'home') {
+    return;
+  }
+  
+  await publishHomeTab(client, event.user);
+});
+
+// Save a Home tab filter choice (the tab is re-rendered by the middleware below)
+app.action(/^home_filter_(type|status|priority)$/, async ({ body, ack }) => {
+  await ack();
+  
+  try {
+    const action = body.actions[0];
+    const value = action.selected_option.value;
+    
+    await RequestQueues.setFilter(
+      body.user.id,
+      action.action_id.replace('home_filter_', ''),
+      value === ALL_FILTER_VALUE ? null : value
+    );
+  } catch (error) {
+    console.error('Error saving Home tab filter:', error);
+  }
+});
+
+// Re-render the Home tab after anything done from it, and after modal submissions
+// (which may have been opened from it), so rows never show stale buttons. Assignees'
+// tabs are re-rendered by refreshRequestCard wherever the change was made.
+app.use(async ({ body, client, next }) => {
+  await next();
+  
+  if (!body || !body.user || !client) {
+    return;
+  }
+  
+  const fromHomeTab = body.type === 'block_actions' && body.view && body.view.type === 'home';
+  
+  if (fromHomeTab || body.type === 'view_submission') {
+    await publishHomeTab(client, body.user.id);
+  }
+});
+
+// ======== END APP HOME =========
+
 // Handle slash command to open the initial request type modal
 app.command('/request', async ({ body, ack, client }) => {
   // Acknowledge the command request
@@ -1751,181 +1507,32 @@ app.view('request_type_selection', async ({ body, ack, client, view }) => {
 
 // Fix for Special Order form submission validation
   app.view('request_submission', async ({ body, view, ack, client }) => {
+    const startedAt = Date.now();
+    
     try {
-      // Check if we need to validate any dates before acknowledging
-      const { requestType } = JSON.parse(view.private_metadata);
+      const { requestType, lineIds } = readRequestFormMetadata(view);
       const values = view.state.values;
   
-      // Validate customer contact information
-      if (values.customer_contact && values.customer_contact.customer_contact_input) {
-        const contactValue = values.customer_contact.customer_contact_input.value;
-        
-        if (contactValue.trim() === '') {
-          await ack({
-            response_action: "errors",
-            errors: {
-              customer_contact: "Contact information cannot be empty"
-            }
-          });
-          return;
-        }
-        
-        // Guess if this is an email or phone number
-        const contactType = guessContactType(contactValue);
-        
-        // Validate based on the guess
-        let validationResult;
-        
-        if (contactType === 'email') {
-          validationResult = validateEmail(contactValue);
-        } else if (contactType === 'phone') {
-          validationResult = validatePhoneNumber(contactValue);
-        } else {
-          // If we can't determine, try both validations
-          const emailResult = validateEmail(contactValue);
-          const phoneResult = validatePhoneNumber(contactValue);
-          
-          // If either validation passes, consider it valid
-          if (emailResult.valid || phoneResult.valid) {
-            validationResult = { valid: true };
-          } else {
-            // If both validations fail, use a general error message
-            validationResult = {
-              valid: false,
-              error: "Please enter a valid email address or phone number"
-            };
-          }
-        }
-        
-        // If validation fails, show error
-        if (!validationResult.valid) {
-          await ack({
-            response_action: "errors",
-            errors: {
-              customer_contact: validationResult.error
-            }
-          });
-          return;
-        }
-      } else {
-        // No contact information provided
-        await ack({
-          response_action: "errors",
-          errors: {
-            customer_contact: "Contact information is required"
-          }
-        });
-        return;
-      }
-  
-      // Validate ISBN for request types that require it
-      if (['book_hold', 'backorder_request', 'bulk_order', 'personalization'].includes(requestType) && 
-          values.isbn && values.isbn.isbn_input) {
-        
-        const isbnValue = values.isbn.isbn_input.value;
-        const isbnValidation = validateISBN(isbnValue);
-        
-        if (!isbnValidation.valid) {
-          await ack({
-            response_action: "errors",
-            errors: {
-              isbn: isbnValidation.error
-            }
-          });
-          return;
-        }
-      }
-      
-      // For Special Order, validate ISBN only if provided (it's optional)
-      if (requestType === 'special_order' && 
-          values.isbn && 
-          values.isbn.isbn_input && 
-          values.isbn.isbn_input.value && 
-          values.isbn.isbn_input.value.trim() !== '') {
-        
-        const isbnValidation = validateISBN(values.isbn.isbn_input.value);
-        if (!isbnValidation.valid) {
-          await ack({
-            response_action: "errors",
-            errors: {
-              isbn: isbnValidation.error
-            }
-          });
-          return;
-        }
-      }
+      // Validate every field the registry defines for this request type
+      const fields = RequestTypes.getFormFields(requestType);
+      const { fieldValues, errors } = validateSubmittedFields(values, fields);
+      let lineItems;
   
-      // Validate Vendor/Publisher for request types that require it
-      if (['special_order', 'out_of_print', 'backorder_request', 'bulk_order', 'personalization'].includes(requestType)) {
-        if (!values.vendor_publisher || 
-            !values.vendor_publisher.vendor_publisher_input || 
-            !values.vendor_publisher.vendor_publisher_input.value || 
-            values.vendor_publisher.vendor_publisher_input.value.trim() === '') {
-          
-          await ack({
-            response_action: "errors",
-            errors: {
-              vendor_publisher: "Vendor/Publisher is required"
-            }
-          });
-          return;
-        }
+      // Line item types also collect their items
+      if (RequestTypes.hasLineItems(requestType)) {
+        const collected = collectLineItems(values, requestType, lineIds, [], fieldValues.vendorPublisher);
+        lineItems = collected.lineItems;
+        Object.assign(errors, collected.errors);
       }
   
-      // For all request types that have date_needed field, validate it's a future date
-      if (['special_order', 'backorder_request', 'bulk_order', 'personalization', 'out_of_print'].includes(requestType) && 
-          values.date_needed && 
-          values.date_needed.date_needed_input && 
-          values.date_needed.date_needed_input.selected_date) {
-        
-        // Parse the "YYYY-MM-DD" string manually
-        const selectedDateString = values.date_needed.date_needed_input.selected_date;
-        const [year, month, day] = selectedDateString.split('-').map(Number);
-        const selectedDate = new Date(year, month - 1, day); // Creates a date in local time
-        
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Beginning of today
-        
-        // Create tomorrow's date properly
-        const tomorrow = new Date(today);
-        tomorrow.setDate(today.getDate() + 1); // Add 1 day to get tomorrow
-        
-        // For date_needed, tomorrow should be allowed (>= tomorrow)
-        if (selectedDate < tomorrow) {
-          await ack({
-            response_action: "errors",
-            errors: {
-              date_needed: "Date needed must be tomorrow or later"
-            }
-          });
-          return;
-        }
-      }
+      const catalog = await applyCatalogDetails({ fieldValues, errors, fields, lineItems, startedAt });
   
-      // Add specific validation for Book Hold Pick Up Date
-      if (requestType === 'book_hold' &&
-          values.pickup_date &&
-          values.pickup_date.pickup_date_input &&
-          values.pickup_date.pickup_date_input.selected_date) {
-      
-        // Parse the "YYYY-MM-DD" string manually
-        const selectedDateString = values.pickup_date.pickup_date_input.selected_date;
-        const [year, month, day] = selectedDateString.split('-').map(Number);
-        const selectedDate = new Date(year, month - 1, day); // Creates a date in local time
-      
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Set to beginning of today
-      
-        // Check if the selected date is before today
-        if (selectedDate < today) {
-          await ack({
-            response_action: "errors",
-            errors: {
-              pickup_date: "Pick Up Date must be today or a future date"
-            }
-          });
-          return;
-        }
+      if (Object.keys(errors).length > 0) {
+        await ack({
+          response_action: "errors",
+          errors
+        });
+        return;
       }
   
       // All validation has passed, now we can acknowledge the submission
@@ -1933,50 +1540,17 @@ app.view('request_type_selection', async ({ body, ack, client, view }) => {
   
       try {
         // Extract values from the submitted form
-        const requestId = `REQ-${Date.now()}`;
+        const requestId = await RequestIdGenerator.generateRequestId(requestType);
         
-        // Prepare request data based on the request type
+        // Prepare request data from the registry fields for this request type
         const requestData = {
           requestId,
           type: requestType,
-          customerName: values.customer_name.customer_name_input.value,
-          customerContact: values.customer_contact.customer_contact_input.value,
-          details: values.request_details.request_details_input.value,
-          priority: values.priority.priority_select.selected_option.value,
+          ...fieldValues,
+          ...(lineItems ? { lineItems } : {}),
+          ...(catalog ? { catalog } : {}),
           userId: body.user.id
         };
-        
-        // Add type-specific fields based on the request type
-        switch (requestType) {
-          case 'special_order':
-          case 'out_of_print':
-            requestData.vendorPublisher = values.vendor_publisher.vendor_publisher_input.value;
-            requestData.dateNeeded = values.date_needed.date_needed_input.selected_date;
-            if (requestType === 'out_of_print') {
-              requestData.condition = values.condition.condition_input.selected_option.value;
-            }
-            // Add ISBN if provided (optional for Special Order)
-            if (values.isbn && values.isbn.isbn_input && values.isbn.isbn_input.value) {
-              requestData.isbn = values.isbn.isbn_input.value;
-            }
-            break;
-            
-          case 'book_hold':
-            requestData.isbn = values.isbn.isbn_input.value;
-            // Add pickup date if provided
-            if (values.pickup_date && values.pickup_date.pickup_date_input) {
-              requestData.pickupDate = values.pickup_date.pickup_date_input.selected_date;
-            }
-            break;
-            
-          case 'backorder_request':
-          case 'bulk_order':
-          case 'personalization':
-            requestData.vendorPublisher = values.vendor_publisher.vendor_publisher_input.value;
-            requestData.isbn = values.isbn.isbn_input.value;
-            requestData.dateNeeded = values.date_needed.date_needed_input.selected_date;
-            break;
-        }
   
         console.log('Processing request submission:', requestData);
   
@@ -1997,111 +1571,17 @@ app.view('request_type_selection', async ({ body, ack, client, view }) => {
         }
   
         // Prepare message blocks for posting to channel
-        const messageBlocks = [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*New ${formatRequestTypeName(requestType)}* \n*Request ID:* ${requestId}`
-            }
-          },
-          {
-            type: "section",
-            fields: [
-              {
-                type: "mrkdwn",
-                text: `*Type:* ${formatRequestTypeName(requestType)}`
-              },
-              {
-                type: "mrkdwn",
-                text: `*Priority:* ${requestData.priority}`
-              },
-              {
-                type: "mrkdwn",
-                text: `*Customer:* ${requestData.customerName}`
-              },
-              {
-                type: "mrkdwn",
-                text: `*Contact:* ${requestData.customerContact}`
-              }
-            ]
-          }
-        ];
-  
-        // Add type-specific fields to the message
-        const typeSpecificFields = [];
-        
-        if (requestData.vendorPublisher) {
-          typeSpecificFields.push({
-            type: "mrkdwn",
-            text: `*Vendor/Publisher:* ${requestData.vendorPublisher}`
-          });
-        }
-        
-        if (requestData.isbn) {
-          typeSpecificFields.push({
-            type: "mrkdwn",
-            text: `*ISBN:* ${requestData.isbn}`
-          });
-        }
-        
-        if (requestData.dateNeeded) {
-          typeSpecificFields.push({
-            type: "mrkdwn",
-            text: `*Date Needed:* ${requestData.dateNeeded}`
-          });
-        }
-        
-        if (requestData.pickupDate) {
-          typeSpecificFields.push({
-            type: "mrkdwn",
-            text: `*Pick Up Date:* ${requestData.pickupDate}`
-          });
-        }
-        
-        if (requestData.condition) {
-          typeSpecificFields.push({
-            type: "mrkdwn",
-            text: `*Condition:* ${requestData.condition}`
-          });
-        }
-        
-        // Add type-specific fields if we have any
-        if (typeSpecificFields.length > 0) {
-          messageBlocks.push({
-            type: "section",
-            fields: typeSpecificFields
-          });
-        }
-  
-        // Add details and status blocks
-        messageBlocks.push(
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*Details:*\n${requestData.details}`
-            }
-          },
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*Status:* NEW`
-            }
-          },
-          {
-            type: "actions",
-            elements: getActionButtons(requestId, requestData.type.toLowerCase(), 'NEW')
-          }
-        );
+        const messageBlocks = buildRequestCardBlocks({ ...requestData, status: 'NEW' });
   
         // Post to requests channel
-        await client.chat.postMessage({
+        const postedCard = await client.chat.postMessage({
           channel: process.env.REQUESTS_CHANNEL,
           text: `New ${formatRequestTypeName(requestType)}: ${requestId}`,
           blocks: messageBlocks
         });
+        
+        // Remember where the card lives so later updates can refresh it directly
+        await UnifiedEventLogger.setRequestMessage(requestId, postedCard.channel, postedCard.ts);
   
         // Notify the user who submitted the request
         await client.chat.postMessage({
@@ -2154,293 +1634,1537 @@ app.view('request_type_selection', async ({ body, ack, client, view }) => {
           errors: {
             general: "An unexpected error occurred. Please try again."
           }
-        });
-      } catch (ackError) {
-        console.error('Error acknowledging with error:', ackError);
-        
-        // Last resort: try to acknowledge without an error message
-        try {
-          await ack();
-        } catch (finalError) {
-          console.error('Final error acknowledging submission:', finalError);
+        });
+      } catch (ackError) {
+        console.error('Error acknowledging with error:', ackError);
+        
+        // Last resort: try to acknowledge without an error message
+        try {
+          await ack();
+        } catch (finalError) {
+          console.error('Final error acknowledging submission:', finalError);
+        }
+      }
+    }
+  });
+
+// Fix for Mark as Ordered validation to correctly allow tomorrow
+app.view('mark_as_ordered_submission', async ({ body, view, ack, client }) => {
+  try {
+    // Extract the signed request reference from the modal
+    const metadata = decodeRequestRef(view.private_metadata);
+    const requestId = metadata.requestId;
+    const requestType = metadata.requestType;
+    const newStatus = metadata.newStatus || 'ORDERED';
+    const userId = body.user.id;
+    
+    // Log what we received
+    console.log('Mark as Ordered submission:', {
+      metadata,
+      values: view.state.values
+    });
+    
+    // Validate the ORDERED fields the registry defines for this request type
+    const { fieldValues, errors } = validateSubmittedFields(
+      view.state.values,
+      RequestTypes.getStatusFields(requestType, newStatus)
+    );
+    
+    if (Object.keys(errors).length > 0) {
+      await ack({
+        response_action: "errors",
+        errors
+      });
+      return;
+    }
+    
+    // Acknowledge the submission
+    await ack();
+    
+    // Load the authoritative record for the current status
+    const request = await UnifiedEventLogger.getRequestById(requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${requestId} not found`);
+    }
+    
+    // The request may have changed while the modal was open
+    if (isStaleReference(metadata, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    // Get values from the form
+    const additionalFields = {
+      ...fieldValues,
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Update the request status
+    const result = await UnifiedEventLogger.updateRequestStatus({
+      requestType: request.type,
+      requestId,
+      currentStatus: request.status,
+      newStatus,
+      userId,
+      expectedVersion: request.version || 0,
+      additionalFields
+    });
+    
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error updating status');
+    }
+    
+    // Update the message in the channel with the new status
+    await refreshRequestCard(client, requestId);
+    
+    // Notify the user
+    await client.chat.postMessage({
+      channel: userId,
+      text: `Status updated to ${newStatus} for request ${requestId}. Order information saved.`
+    });
+    
+  } catch (error) {
+    console.error('Error processing Mark as Ordered submission:', error);
+    await ack(); // Must acknowledge even on error
+    
+    // Notify user of error
+    try {
+      await client.chat.postMessage({
+        channel: body.user.id,
+        text: `Error updating status: ${error.message}`
+      });
+    } catch (notifyError) {
+      console.error('Error sending error notification:', notifyError);
+    }
+  }
+});
+
+// Open the request form prefilled from MongoDB so a posted request can be corrected
+app.action('edit_request', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
+    }
+    
+    await openModalFromAction(client, body, createTypeSpecificModal(request.type, request));
+  } catch (error) {
+    console.error('Error opening edit form:', error);
+    await replyToAction(client, body, `Error opening edit form: ${error.message}`);
+  }
+});
+
+// Save an edited request and record what changed
+app.view('request_edit_submission', async ({ body, view, ack, client }) => {
+  const startedAt = Date.now();
+  let ref;
+  let fieldValues;
+  let fields;
+  let lineItems;
+  let catalog;
+  
+  try {
+    ref = decodeRequestRef(view.private_metadata);
+    fields = RequestTypes.getFormFields(ref.requestType);
+    
+    const validation = validateSubmittedFields(view.state.values, fields);
+    const storedRequest = await UnifiedEventLogger.getRequestById(ref.requestId);
+    fieldValues = validation.fieldValues;
+    
+    // Values left as they were stay valid even if a rule would now reject them
+    // (e.g. a date needed that has since passed), so only changed fields must pass
+    for (const field of fields) {
+      const submittedValue = getSubmittedValue(view.state.values, field);
+      
+      if (validation.errors[field.blockId] && submittedValue !== null &&
+          storedRequest && String(storedRequest[field.key] || '') === submittedValue) {
+        delete validation.errors[field.blockId];
+        fieldValues[field.key] = submittedValue;
+      }
+    }
+    
+    if (RequestTypes.hasLineItems(ref.requestType)) {
+      const collected = collectLineItems(
+        view.state.values,
+        ref.requestType,
+        ref.lineIds || [],
+        storedRequest ? getRequestLineItems(storedRequest) : [],
+        fieldValues.vendorPublisher
+      );
+      lineItems = collected.lineItems;
+      Object.assign(validation.errors, collected.errors);
+    }
+    
+    catalog = await applyCatalogDetails({ fieldValues, errors: validation.errors, fields, lineItems, startedAt });
+    
+    if (Object.keys(validation.errors).length > 0) {
+      await ack({
+        response_action: "errors",
+        errors: validation.errors
+      });
+      return;
+    }
+  } catch (error) {
+    console.error('Error validating request edit:', error);
+    await ack({
+      response_action: "errors",
+      errors: {
+        customer_name: "This form is no longer valid. Please close it and try again."
+      }
+    });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const userId = body.user.id;
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    const changes = getEditedFields(request, fieldValues, fields);
+    const lineChanges = lineItems ? describeLineItemChanges(getRequestLineItems(request), lineItems) : [];
+    
+    if (Object.keys(changes).length === 0 && lineChanges.length === 0) {
+      await replyToAction(client, body, `No changes were made to request *${request.requestId}*.`);
+      return;
+    }
+    
+    let expectedVersion = request.version || 0;
+    
+    if (Object.keys(changes).length > 0) {
+      const result = await UnifiedEventLogger.updateRequestFields({
+        requestType: request.type,
+        requestId: request.requestId,
+        changes,
+        userId,
+        expectedVersion,
+        // A new ISBN brings its own catalog details (or clears the old ones)
+        additionalFields: changes.isbn ? { catalog } : {}
+      });
+      
+      if (result.conflict) {
+        await respondToStaleRequest(client, body, result.currentRequest);
+        return;
+      }
+      
+      if (!result.success) {
+        throw new Error(result.error || 'Unknown error saving changes');
+      }
+      
+      expectedVersion += 1;
+    }
+    
+    let lineResult = null;
+    
+    if (lineChanges.length > 0) {
+      // Editing can add or change lines but never moves the request back a status;
+      // that takes the Update Items form
+      lineResult = await UnifiedEventLogger.updateLineItems({
+        requestType: request.type,
+        requestId: request.requestId,
+        lineItems,
+        changes: lineChanges,
+        userId,
+        expectedVersion,
+        forwardOnly: true
+      });
+      
+      if (lineResult.conflict) {
+        await respondToStaleRequest(client, body, lineResult.currentRequest);
+        return;
+      }
+      
+      if (!lineResult.success) {
+        throw new Error(lineResult.error || 'Unknown error saving items');
+      }
+    }
+    
+    await refreshRequestCard(client, request.requestId);
+    
+    const changedLabels = fields
+      .filter(field => changes[field.key])
+      .map(field => field.label);
+    
+    if (lineChanges.length > 0) {
+      changedLabels.push('Items');
+    }
+    
+    const statusNote = lineResult && lineResult.newStatus !== lineResult.previousStatus
+      ? ` Status is now *${lineResult.newStatus}*.`
+      : '';
+    
+    await replyToAction(client, body, `:pencil2: Request *${request.requestId}* updated: ${changedLabels.join(', ')}.${statusNote}`);
+  } catch (error) {
+    console.error('Error saving request edit:', error);
+    await replyToAction(client, body, `Error saving changes: ${error.message}`);
+  }
+});
+
+// Add or remove a line item on an open request form. Inputs keep what was typed
+// because every line's block_ids stay the same when the view is rebuilt.
+app.action(/^(add_line_item|remove_line_item)$/, async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const action = body.actions[0];
+    const metadata = readRequestFormMetadata(body.view);
+    let lineIds = metadata.lineIds;
+    let request = null;
+    
+    if (metadata.isEdit) {
+      request = await UnifiedEventLogger.getRequestById(metadata.requestId);
+      
+      if (!request) {
+        throw new Error(`Request ${metadata.requestId} not found`);
+      }
+      
+      // Keep the version the form was opened with so stale edits are still caught
+      request = { ...request, version: metadata.version };
+    }
+    
+    if (action.action_id === 'add_line_item') {
+      if (lineIds.length >= MAX_LINE_ITEMS) {
+        return;
+      }
+      
+      lineIds = [...lineIds, getNextLineId(lineIds)];
+    } else if (lineIds.length > getMinimumLineCount(request)) {
+      lineIds = lineIds.filter(lineId => lineId !== action.value);
+    }
+    
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: createTypeSpecificModal(metadata.requestType, request, lineIds)
+    });
+  } catch (error) {
+    console.error('Error changing line items:', error);
+  }
+});
+
+// Read the status picked for a line in the Update Items form
+const getSelectedLineStatus = (values, lineId) => {
+  const input = values[getLineBlockId(lineId, 'status')];
+  const selected = input && input.line_status_input.selected_option;
+  
+  return selected ? selected.value : null;
+};
+
+// Build the ordering detail inputs shown under the lines while some are still pending.
+// They are optional in Slack and only required when a pending line is marked ordered.
+const buildLineOrderBlocks = (request, pendingLineIds) => {
+  if (pendingLineIds.length === 0) {
+    return [];
+  }
+  
+  return [
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "*Order details*\nNeeded when you mark a pending item as ordered."
+      }
+    },
+    ...RequestTypes.getStatusFields(request.type, 'ORDERED').map(field => ({
+      ...buildFieldBlock(field, request[field.key]),
+      optional: true
+    }))
+  ];
+};
+
+// Build the modal for setting the status of each of a request's line items
+const buildLineItemStatusModal = (request) => {
+  const statusOptions = toSlackOptions(LINE_ITEM_STATUSES.map(status => ({ text: status, value: status })));
+  const lines = getRequestLineItems(request);
+  const pendingLineIds = lines.filter(line => line.status === 'PENDING').map(line => line.lineId);
+  
+  return {
+    type: "modal",
+    callback_id: "line_items_status_submission",
+    private_metadata: encodeRequestRef({
+      requestId: request.requestId,
+      requestType: request.type,
+      version: request.version || 0,
+      pendingLineIds
+    }),
+    title: {
+      type: "plain_text",
+      text: "Update Items"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Set the status of each item on *${request.requestId}*. The request becomes ORDERED once every item is ordered and RECEIVED once every item has arrived (cancelled items are skipped). Use *Receive Items* to record part of a shipment.`
+        }
+      },
+      ...lines.map(line => ({
+        type: "input",
+        block_id: getLineBlockId(line.lineId, 'status'),
+        label: {
+          type: "plain_text",
+          text: `${line.lineId}: ${formatLineItem(line)}`.slice(0, 2000)
+        },
+        element: {
+          type: "static_select",
+          action_id: "line_status_input",
+          options: statusOptions,
+          initial_option: statusOptions.find(option => option.value === line.status) || statusOptions[0]
+        }
+      })),
+      ...buildLineOrderBlocks(request, pendingLineIds)
+    ]
+  };
+};
+
+// Open the per-line status form
+app.action('update_line_items', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
+    }
+    
+    if (getRequestLineItems(request).length === 0) {
+      await replyToAction(client, body, `Request *${request.requestId}* has no items yet. Use *Edit* to add some.`);
+      return;
+    }
+    
+    await openModalFromAction(client, body, buildLineItemStatusModal(request));
+  } catch (error) {
+    console.error('Error opening line item form:', error);
+    await replyToAction(client, body, `Error opening items: ${error.message}`);
+  }
+});
+
+// Save line statuses and move the request to the status they imply
+app.view('line_items_status_submission', async ({ body, view, ack, client }) => {
+  const ref = decodeRequestRef(view.private_metadata);
+  
+  // Marking a pending line ordered (or further) records how and when it was ordered
+  const placesOrder = (ref.pendingLineIds || []).some(lineId => {
+    const status = getSelectedLineStatus(view.state.values, lineId);
+    return status && status !== 'PENDING' && status !== 'CANCELLED';
+  });
+  let orderDetails = {};
+  
+  if (placesOrder) {
+    const { fieldValues, errors } = validateSubmittedFields(
+      view.state.values,
+      RequestTypes.getStatusFields(ref.requestType, 'ORDERED')
+    );
+    
+    if (Object.keys(errors).length > 0) {
+      await ack({ response_action: "errors", errors });
+      return;
+    }
+    
+    orderDetails = fieldValues;
+  }
+  
+  await ack();
+  
+  try {
+    const userId = body.user.id;
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    const existingLines = getRequestLineItems(request);
+    const lineItems = existingLines.map(line => {
+      const status = getSelectedLineStatus(view.state.values, line.lineId);
+      
+      return status ? applyLineStatus(line, status) : line;
+    });
+    
+    const changes = describeLineItemChanges(existingLines, lineItems);
+    
+    if (changes.length === 0) {
+      await replyToAction(client, body, `No item statuses were changed on *${request.requestId}*.`);
+      return;
+    }
+    
+    const result = await UnifiedEventLogger.updateLineItems({
+      requestType: request.type,
+      requestId: request.requestId,
+      lineItems,
+      changes,
+      userId,
+      expectedVersion: request.version || 0,
+      additionalFields: orderDetails
+    });
+    
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error saving items');
+    }
+    
+    await refreshRequestCard(client, request.requestId);
+    
+    const statusNote = result.newStatus !== result.previousStatus
+      ? ` Status is now *${result.newStatus}*.`
+      : '';
+    
+    await replyToAction(client, body, `:package: Items on *${request.requestId}* updated: ${formatLineItemProgress(lineItems)}.${statusNote}`);
+  } catch (error) {
+    console.error('Error saving line items:', error);
+    await replyToAction(client, body, `Error saving items: ${error.message}`);
+  }
+});
+
+// Build the receiving modal: the date received plus how many copies of each
+// outstanding line arrived in this shipment
+const buildReceiveItemsModal = (request) => {
+  return {
+    type: "modal",
+    callback_id: "receive_items_submission",
+    private_metadata: encodeRequestRef({
+      requestId: request.requestId,
+      requestType: request.type,
+      version: request.version || 0
+    }),
+    title: {
+      type: "plain_text",
+      text: "Receive Items"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Record Receipt"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Enter the copies that arrived for *${request.requestId}*. Leave an item blank if none of it came in.`
+        }
+      },
+      ...RequestTypes.getReceiptFields().map(field => buildFieldBlock(field)),
+      ...getReceivableLines(request).map(line => ({
+        type: "input",
+        block_id: getLineBlockId(line.lineId, 'received'),
+        optional: true,
+        label: {
+          type: "plain_text",
+          text: `${line.lineId}: ${formatLineItem(line)} (${getReceivedQuantity(line)} of ${line.quantity} received)`.slice(0, 2000)
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "line_received_input",
+          placeholder: {
+            type: "plain_text",
+            text: `Up to ${getOutstandingQuantity(line)}`
+          }
+        }
+      }))
+    ]
+  };
+};
+
+// Open the receiving form
+app.action('receive_line_items', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
+    }
+    
+    if (getReceivableLines(request).length === 0) {
+      await replyToAction(client, body, `Nothing is waiting to be received on *${request.requestId}*.`);
+      return;
+    }
+    
+    await openModalFromAction(client, body, buildReceiveItemsModal(request));
+  } catch (error) {
+    console.error('Error opening receiving form:', error);
+    await replyToAction(client, body, `Error opening receiving form: ${error.message}`);
+  }
+});
+
+// Record a shipment against the request's lines
+app.view('receive_items_submission', async ({ body, view, ack, client }) => {
+  let ref;
+  let request;
+  let receivedDate;
+  const receipts = [];
+  
+  try {
+    ref = decodeRequestRef(view.private_metadata);
+    request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    const { fieldValues, errors } = validateSubmittedFields(view.state.values, RequestTypes.getReceiptFields());
+    receivedDate = fieldValues.arrival_date;
+    
+    for (const line of getReceivableLines(request)) {
+      const blockId = getLineBlockId(line.lineId, 'received');
+      const input = view.state.values[blockId] && view.state.values[blockId].line_received_input;
+      const value = input && input.value ? input.value.trim() : '';
+      
+      if (!value) {
+        continue;
+      }
+      
+      const validation = RequestTypes.validateField({ label: 'Quantity received', validators: ['quantity'] }, value);
+      
+      if (!validation.valid) {
+        errors[blockId] = validation.error;
+      } else if (Number(value) > getOutstandingQuantity(line)) {
+        errors[blockId] = `Only ${getOutstandingQuantity(line)} ${getOutstandingQuantity(line) === 1 ? 'copy is' : 'copies are'} still outstanding`;
+      } else {
+        receipts.push({ lineId: line.lineId, quantity: Number(value) });
+      }
+    }
+    
+    if (Object.keys(errors).length === 0 && receipts.length === 0) {
+      const [firstLine] = getReceivableLines(request);
+      errors[getLineBlockId(firstLine.lineId, 'received')] = 'Enter the copies received for at least one item';
+    }
+    
+    if (Object.keys(errors).length > 0) {
+      await ack({
+        response_action: "errors",
+        errors
+      });
+      return;
+    }
+  } catch (error) {
+    console.error('Error validating receipt:', error);
+    await ack({
+      response_action: "errors",
+      errors: {
+        arrival_date: "This form is no longer valid. Please close it and try again."
+      }
+    });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const userId = body.user.id;
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    const lineItems = getRequestLineItems(request).map(line => {
+      const receipt = receipts.find(item => item.lineId === line.lineId);
+      return receipt ? receiveLineQuantity(line, receipt.quantity) : line;
+    });
+    
+    const result = await UnifiedEventLogger.receiveLineItems({
+      requestType: request.type,
+      requestId: request.requestId,
+      lineItems,
+      receipts,
+      receivedDate,
+      userId,
+      expectedVersion: request.version || 0
+    });
+    
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error recording receipt');
+    }
+    
+    await refreshRequestCard(client, request.requestId);
+    
+    const statusNote = result.newStatus !== result.previousStatus
+      ? ` Status is now *${result.newStatus}*.`
+      : '';
+    
+    await replyToAction(client, body, `:package: Receipt recorded for *${request.requestId}*: ${formatLineItemProgress(lineItems)}.${statusNote}`);
+  } catch (error) {
+    console.error('Error recording receipt:', error);
+    await replyToAction(client, body, `Error recording receipt: ${error.message}`);
+  }
+});
+
+// Open the payment form
+app.action('record_payment', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
+    }
+    
+    if (RequestTypes.isFinalStatus(request.type, request.status)) {
+      await replyToAction(client, body, `*${request.requestId}* is ${request.status}, so no more payments can be recorded.`);
+      return;
+    }
+    
+    await openModalFromAction(client, body, buildRecordPaymentModal(request));
+  } catch (error) {
+    console.error('Error opening payment form:', error);
+    await replyToAction(client, body, `Error opening payment form: ${error.message}`);
+  }
+});
+
+// Add a payment or deposit to the request's ledger
+app.view('record_payment_submission', async ({ body, view, ack, client }) => {
+  let ref;
+  let request;
+  let fieldValues;
+  
+  try {
+    ref = decodeRequestRef(view.private_metadata);
+    request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    const validation = validateSubmittedFields(view.state.values, RequestTypes.getPaymentFields());
+    fieldValues = validation.fieldValues;
+    
+    const balance = getBalanceDueCents(request);
+    
+    if (RequestTypes.isFinalStatus(request.type, request.status)) {
+      validation.errors.payment_amount = `${request.requestId} is ${request.status}, so no more payments can be recorded`;
+    } else if (!validation.errors.payment_amount && balance !== null &&
+        parseAmountToCents(fieldValues.payment_amount) > Math.max(0, balance)) {
+      validation.errors.payment_amount = `The balance due is only ${formatCents(Math.max(0, balance))}`;
+    }
+    
+    if (Object.keys(validation.errors).length > 0) {
+      await ack({
+        response_action: "errors",
+        errors: validation.errors
+      });
+      return;
+    }
+  } catch (error) {
+    console.error('Error validating payment:', error);
+    await ack({
+      response_action: "errors",
+      errors: {
+        payment_amount: "This form is no longer valid. Please close it and try again."
+      }
+    });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const userId = body.user.id;
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    const result = await UnifiedEventLogger.recordPayment({
+      requestType: request.type,
+      requestId: request.requestId,
+      payment: {
+        amountCents: parseAmountToCents(fieldValues.payment_amount),
+        method: fieldValues.payment_method,
+        orderNumber: fieldValues.order_number,
+        date: fieldValues.payment_date
+      },
+      userId,
+      expectedVersion: request.version || 0
+    });
+    
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error recording payment');
+    }
+    
+    await refreshRequestCard(client, request.requestId);
+    
+    const balanceNote = result.balanceDueCents === null
+      ? ''
+      : result.balanceDueCents > 0
+        ? ` Balance due: ${formatCents(result.balanceDueCents)}.`
+        : ' Paid in full.';
+    await replyToAction(client, body, `:moneybag: Payment of ${formatCents(result.payment.amountCents)} recorded for *${request.requestId}*.${balanceNote}`);
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    await replyToAction(client, body, `Error recording payment: ${error.message}`);
+  }
+});
+
+// Build the modal asking why a status change is being undone or a request reopened
+const buildRevertStatusModal = (request, lastChange, mode) => {
+  const targetStatus = lastChange.previousStatus;
+  
+  return {
+    type: "modal",
+    callback_id: "status_revert_submission",
+    private_metadata: encodeRequestRef({
+      requestId: request.requestId,
+      requestType: request.type,
+      expectedStatus: request.status,
+      newStatus: targetStatus,
+      version: request.version || 0,
+      mode
+    }),
+    title: {
+      type: "plain_text",
+      text: mode === 'reopen' ? "Reopen Request" : "Undo Last Change"
+    },
+    submit: {
+      type: "plain_text",
+      text: mode === 'reopen' ? "Reopen" : "Undo"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Request *${request.requestId}* will move from *${request.status}* back to *${targetStatus}*` +
+            (lastChange.userId ? ` (changed by <@${lastChange.userId}> on ${new Date(lastChange.timestamp).toLocaleString()}).` : '.')
+        }
+      },
+      {
+        type: "input",
+        block_id: "revert_reason",
+        label: {
+          type: "plain_text",
+          text: "Reason"
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "revert_reason_input",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "Why is this change being reverted?"
+          }
         }
       }
+    ]
+  };
+};
+
+// Work out whether a request's last status change can be reverted by this user.
+// Returns { lastChange } or { error } with a message for the user.
+const checkStatusRevert = async (request, userId, mode) => {
+  const typeConfig = UnifiedEventLogger.REQUEST_TYPES[request.type];
+  const isFinal = !typeConfig || !(typeConfig.statusTransitions[request.status] || []).length;
+  
+  if (mode === 'reopen' && !isFinal) {
+    return { error: `Request *${request.requestId}* is still open (${request.status}).` };
+  }
+  
+  const lastChange = await UnifiedEventLogger.getLastStatusChange(request.requestId);
+  
+  if (lastChange && (lastChange.newStatus !== request.status || !lastChange.previousStatus)) {
+    return { error: `The history for *${request.requestId}* doesn't match its current status, so the change can't be reverted automatically.` };
+  }
+  
+  if (mode === 'undo' && lastChange && lastChange.additionalMetadata && lastChange.additionalMetadata.derivedFromLineItems) {
+    return { error: `*${request.requestId}* moved to ${request.status} because of its items. Use *Update Items* to change them instead.` };
+  }
+  
+  const permission = canRevertStatusChange(userId, mode, lastChange);
+  
+  if (!permission.allowed) {
+    return { error: permission.reason };
+  }
+  
+  return { lastChange };
+};
+
+// Handle Undo last change and Reopen buttons by asking for a reason
+app.action(/^(undo_status_change|reopen_request)$/, async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
     }
-  });
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
+    }
+    
+    const { lastChange, error } = await checkStatusRevert(request, body.user.id, ref.mode);
+    
+    if (error) {
+      await replyToAction(client, body, `:no_entry: ${error}`);
+      return;
+    }
+    
+    await openModalFromAction(client, body, buildRevertStatusModal(request, lastChange, ref.mode));
+  } catch (error) {
+    console.error('Error starting status revert:', error);
+    await replyToAction(client, body, `Error reverting status: ${error.message}`);
+  }
+});
 
-// Fix for Mark as Ordered validation to correctly allow tomorrow
-app.view('mark_as_ordered_submission', async ({ body, view, ack, client }) => {
+// Revert the status once a reason has been given
+app.view('status_revert_submission', async ({ body, view, ack, client }) => {
+  const reasonInput = view.state.values.revert_reason && view.state.values.revert_reason.revert_reason_input;
+  const reason = reasonInput && reasonInput.value ? reasonInput.value.trim() : '';
+  
+  if (!reason) {
+    await ack({
+      response_action: "errors",
+      errors: {
+        revert_reason: "Please give a reason"
+      }
+    });
+    return;
+  }
+  
+  await ack();
+  
   try {
-    // Extract metadata from the modal
-    const metadata = JSON.parse(view.private_metadata);
-    const requestId = metadata.requestId;
-    const requestType = metadata.requestType;
-    const currentStatus = metadata.currentStatus || 'NEW';
-    const newStatus = metadata.newStatus || 'ORDERED';
+    const ref = decodeRequestRef(view.private_metadata);
     const userId = body.user.id;
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
     
-    // Log what we received
-    console.log('Mark as Ordered submission:', {
-      metadata,
-      values: view.state.values
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    // Permissions and the undo window are checked again at submission time
+    const { lastChange, error } = await checkStatusRevert(request, userId, ref.mode);
+    
+    if (error) {
+      await replyToAction(client, body, `:no_entry: ${error}`);
+      return;
+    }
+    
+    const result = await UnifiedEventLogger.revertRequestStatus({
+      requestType: request.type,
+      requestId: request.requestId,
+      currentStatus: request.status,
+      targetStatus: lastChange.previousStatus,
+      userId,
+      reason,
+      mode: ref.mode,
+      revertedEventId: lastChange._id,
+      expectedVersion: request.version || 0
     });
     
-    // Validate estimated arrival date - must be at least tomorrow
-    const estimatedArrivalValue = view.state.values.estimated_arrival?.estimated_arrival_input;
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
     
-    if (estimatedArrivalValue && estimatedArrivalValue.selected_date) {
-      const selectedDate = new Date(estimatedArrivalValue.selected_date);
-      selectedDate.setHours(0, 0, 0, 0); // Beginning of selected day
-      
-      // Calculate today and tomorrow correctly
-      const today = new Date();
-      today.setHours(0, 0, 0, 0); // Beginning of today
-      
-      const tomorrow = new Date();
-      tomorrow.setDate(today.getDate() + 0);
-      tomorrow.setHours(0, 0, 0, 0); // Beginning of tomorrow
-      
-      // For estimated arrival, tomorrow should be allowed (>= tomorrow)
-      if (selectedDate < tomorrow) {
-        await ack({
-          response_action: "errors",
-          errors: {
-            estimated_arrival: "Estimated arrival date must be tomorrow or later"
-          }
-        });
-        return;
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error reverting status');
+    }
+    
+    // Rebuilding the card restores the action buttons for the earlier status
+    await refreshRequestCard(client, request.requestId);
+    
+    await replyToAction(client, body, `:leftwards_arrow_with_hook: Request *${request.requestId}* moved back to *${lastChange.previousStatus}*.`);
+  } catch (error) {
+    console.error('Error reverting status:', error);
+    await replyToAction(client, body, `Error reverting status: ${error.message}`);
+  }
+});
+
+// Replace the buttons on a hold expiry prompt with a note saying what was done
+const resolveHoldExpiryPrompt = async (client, body, note, keepButtons = false) => {
+  const location = getClickedMessageLocation(body);
+  
+  if (!location) {
+    return;
+  }
+  
+  const blocks = body.message.blocks.filter(block => keepButtons || block.type !== 'actions');
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: note
+      }
+    ]
+  });
+  
+  try {
+    await client.chat.update({
+      channel: location.channel,
+      ts: location.ts,
+      text: body.message.text,
+      blocks
+    });
+  } catch (updateError) {
+    console.error('Error updating hold expiry prompt:', updateError);
+  }
+};
+
+// Handle the Extend / Contact Customer / Release Hold buttons on a hold expiry prompt
+app.action(/^hold_expiry_(extend|contact|release)$/, async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const choice = body.actions[0].action_id.replace('hold_expiry_', '');
+    const userId = body.user.id;
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await resolveHoldExpiryPrompt(client, body, `Hold is now *${request.status}*; no action needed.`);
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    if (choice === 'contact') {
+      await HoldExpiryService.logCustomerContact(request, userId);
+      await replyToAction(client, body, `Contact ${request.customerName} at *${request.customerContact}* about hold *${request.requestId}*.`);
+      await resolveHoldExpiryPrompt(client, body, `<@${userId}> is contacting the customer.`, true);
+      return;
+    }
+    
+    const result = choice === 'extend'
+      ? await HoldExpiryService.extendHold(request, userId)
+      : await HoldExpiryService.releaseHold(request, userId);
+    
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error updating hold');
+    }
+    
+    await refreshRequestCard(client, request.requestId);
+    await resolveHoldExpiryPrompt(client, body, choice === 'extend'
+      ? `<@${userId}> extended the hold to *${result.pickupDate}*.`
+      : `<@${userId}> released the hold. It is now *EXPIRED*.`);
+  } catch (error) {
+    console.error('Error handling hold expiry action:', error);
+    await replyToAction(client, body, `Error updating hold: ${error.message}`);
+  }
+});
+
+// Build the notification preview modal, prefilled from the request type's template
+const buildCustomerNotificationModal = (request, recipient) => {
+  const message = NotificationService.buildMessage(request);
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `Sending by *${recipient.method}* to *${recipient.to}*. Request *${request.requestId}* will be marked *NOTIFIED*.`
+      }
+    }
+  ];
+  
+  if (recipient.channel === 'email') {
+    blocks.push({
+      type: "input",
+      block_id: "notification_subject",
+      label: {
+        type: "plain_text",
+        text: "Subject"
+      },
+      element: {
+        type: "plain_text_input",
+        action_id: "notification_subject_input",
+        initial_value: message.subject
       }
+    });
+  }
+  
+  blocks.push({
+    type: "input",
+    block_id: "notification_body",
+    label: {
+      type: "plain_text",
+      text: "Message"
+    },
+    element: {
+      type: "plain_text_input",
+      action_id: "notification_body_input",
+      multiline: true,
+      initial_value: message.body
     }
+  });
+  
+  return {
+    type: "modal",
+    callback_id: "customer_notification_submission",
+    private_metadata: encodeRequestRef({
+      requestId: request.requestId,
+      requestType: request.type,
+      expectedStatus: request.status,
+      newStatus: 'NOTIFIED',
+      version: request.version || 0
+    }),
+    title: {
+      type: "plain_text",
+      text: "Notify Customer"
+    },
+    submit: {
+      type: "plain_text",
+      text: "Send"
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel"
+    },
+    blocks
+  };
+};
 
-      // Validate order number if present
-  if (view.state.values.order_number && view.state.values.order_number.order_number_input) {
-    const orderNumberValue = view.state.values.order_number.order_number_input.value;
-    const orderValidation = validateOrderNumber(orderNumberValue);
+// Open the notification preview for a request
+app.action('send_customer_notification', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
     
-    if (!orderValidation.valid) {
-      await ack({
-        response_action: "errors",
-        errors: {
-          order_number: orderValidation.error
-        }
-      });
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
+    
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
+    }
+    
+    let recipient;
+    
+    try {
+      recipient = NotificationService.getRecipient(request);
+    } catch (contactError) {
+      await replyToAction(client, body, `${contactError.message}. Use *Customer Notified* to record a manual notification instead.`);
       return;
     }
+    
+    await openModalFromAction(client, body, buildCustomerNotificationModal(request, recipient));
+  } catch (error) {
+    console.error('Error opening notification form:', error);
+    await replyToAction(client, body, `Error preparing notification: ${error.message}`);
   }
+});
+
+// Send the notification, then mark the request NOTIFIED with the method and date filled in
+app.view('customer_notification_submission', async ({ body, view, ack, client }) => {
+  const values = view.state.values;
+  const subjectInput = values.notification_subject && values.notification_subject.notification_subject_input;
+  const bodyInput = values.notification_body && values.notification_body.notification_body_input;
+  const messageBody = bodyInput && bodyInput.value ? bodyInput.value.trim() : '';
+  
+  if (!messageBody) {
+    await ack({
+      response_action: "errors",
+      errors: {
+        notification_body: "Message can't be empty"
+      }
+    });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(view.private_metadata);
+    const userId = body.user.id;
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
     
-    // Acknowledge the submission
-    await ack();
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
     
-    // Get values from the form
-    const additionalFields = {
-      ordered_by: view.state.values.ordered_by.ordered_by_input.value,
-      order_method: view.state.values.order_method.order_method_input.selected_option.value,
-      estimated_arrival: estimatedArrivalValue.selected_date,
-      updatedBy: userId,
-      updatedAt: new Date().toISOString()
-    };
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
+    const sent = await NotificationService.sendCustomerNotification(request, {
+      userId,
+      subject: subjectInput && subjectInput.value ? subjectInput.value.trim() : undefined,
+      body: messageBody
+    });
+    
+    if (!sent.success) {
+      await replyToAction(client, body, `:x: Couldn't notify the customer for *${request.requestId}*: ${sent.error}`);
+      return;
+    }
     
-    // Update the request status
     const result = await UnifiedEventLogger.updateRequestStatus({
-      requestType,
-      requestId,
-      currentStatus,
-      newStatus,
+      requestType: request.type,
+      requestId: request.requestId,
+      currentStatus: request.status,
+      newStatus: 'NOTIFIED',
       userId,
-      additionalFields
+      expectedVersion: request.version || 0,
+      additionalFields: {
+        notification_method: sent.method,
+        notification_date: formatLocalDate(new Date()),
+        updatedBy: userId,
+        updatedAt: new Date().toISOString()
+      }
+    });
+    
+    if (result.conflict) {
+      await replyToAction(client, body, `The customer was notified, but *${request.requestId}* changed in the meantime so its status was not updated.`);
+      await refreshRequestCard(client, request.requestId);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error updating status');
+    }
+    
+    await refreshRequestCard(client, request.requestId);
+    await replyToAction(client, body, `:envelope: Notified ${request.customerName} by ${sent.method} (${sent.to}). Request *${request.requestId}* is now *NOTIFIED*.`);
+  } catch (error) {
+    console.error('Error sending customer notification:', error);
+    await replyToAction(client, body, `Error sending notification: ${error.message}`);
+  }
+});
+
+// Handle "Assign to me" and the Assign… user picker on request cards
+app.action(/^(assign_to_me|assign_request)$/, async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const action = body.actions[0];
+    const ref = decodeRequestRef(action.action_id === 'assign_to_me' ? action.value : action.block_id);
+    const userId = body.user.id;
+    const assignee = action.action_id === 'assign_to_me' ? userId : action.selected_user;
+    
+    const result = await UnifiedEventLogger.assignRequest({
+      requestType: ref.requestType,
+      requestId: ref.requestId,
+      assignee,
+      userId,
+      expectedVersion: ref.version
     });
     
-    if (!result.success) {
-      throw new Error(result.error || 'Unknown error updating status');
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error assigning request');
+    }
+    
+    if (result.unchanged) {
+      return;
     }
     
-    // Rest of the function remains unchanged
-    // Update the message in the channel with the new status
+    await refreshRequestCard(client, ref.requestId, getClickedMessageLocation(body));
+    
+    // The request leaves the previous assignee's queue
+    if (result.previousAssignee) {
+      await publishHomeTab(client, result.previousAssignee);
+    }
+    
+    // Let the new assignee know, unless they assigned themselves
+    if (assignee && assignee !== userId) {
+      await client.chat.postMessage({
+        channel: assignee,
+        text: `<@${userId}> assigned request *${ref.requestId}* to you. Use \`/request-mine\` to see everything assigned to you.`
+      });
+    }
+  } catch (error) {
+    console.error('Error assigning request:', error);
+    await replyToAction(client, body, `Error assigning request: ${error.message}`);
+  }
+});
+
+// Record a note and echo it into the card's thread so the discussion stays together
+const saveRequestNote = async (client, request, text, userId, source) => {
+  const result = await UnifiedEventLogger.addNote({
+    requestType: request.type,
+    requestId: request.requestId,
+    text,
+    userId,
+    source
+  });
+  
+  if (!result.success) {
+    throw new Error(result.error || 'Unknown error saving note');
+  }
+  
+  if (request.slackChannel && request.slackMessageTs) {
     try {
-      // Find the message in the channel
-      const channelId = process.env.REQUESTS_CHANNEL;
-      const messagesResult = await client.conversations.history({
-        channel: channelId,
-        limit: 100
+      await client.chat.postMessage({
+        channel: request.slackChannel,
+        thread_ts: request.slackMessageTs,
+        text: `:memo: Note from <@${userId}>: ${text}`
       });
-      
-      const requestMessage = messagesResult.messages.find(msg => 
-        msg.blocks && 
-        msg.blocks.some(block => 
-          block.text && 
-          block.text.text && 
-          block.text.text.includes(requestId)
-        )
-      );
-      
-      if (requestMessage) {
-        // Update message blocks with new status
-        const updatedBlocks = [...requestMessage.blocks];
-        
-        // Find and update status section
-        const statusIndex = updatedBlocks.findIndex(block => 
-          block.text && block.text.text && block.text.text.includes('*Status:*')
-        );
-        
-        if (statusIndex !== -1) {
-          updatedBlocks[statusIndex] = {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*Status:* ${newStatus}`
-            }
-          };
-        }
-        
-        // Update action buttons
-        const typeConfig = UnifiedEventLogger.REQUEST_TYPES[requestType];
-        const actionsIndex = updatedBlocks.findIndex(block => block.type === "actions");
-        
-        if (actionsIndex !== -1 && typeConfig) {
-          const nextTransitions = typeConfig.statusTransitions[newStatus] || [];
-          
-          if (nextTransitions.length > 0) {
-            updatedBlocks[actionsIndex] = {
-              type: "actions",
-              elements: getActionButtons(requestId, requestType, newStatus)
-            };
-          } else {
-            updatedBlocks.splice(actionsIndex, 1);
-            updatedBlocks.push({
-              type: "context",
-              elements: [
-                {
-                  type: "mrkdwn",
-                  text: `This request is now in a final state (${newStatus}). No further actions available.`
-                }
-              ]
-            });
+    } catch (postError) {
+      console.error('Error posting note to request thread:', postError);
+    }
+  }
+};
+
+// Open the Add Note form
+app.action('add_request_note', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(body.actions[0].value);
+    
+    await openModalFromAction(client, body, {
+      type: "modal",
+      callback_id: "add_note_submission",
+      private_metadata: encodeRequestRef({ requestId: ref.requestId, requestType: ref.requestType }),
+      title: {
+        type: "plain_text",
+        text: "Add Note"
+      },
+      submit: {
+        type: "plain_text",
+        text: "Save"
+      },
+      close: {
+        type: "plain_text",
+        text: "Cancel"
+      },
+      blocks: [
+        {
+          type: "input",
+          block_id: "note_text",
+          label: {
+            type: "plain_text",
+            text: `Note for ${ref.requestId}`
+          },
+          element: {
+            type: "plain_text_input",
+            action_id: "note_text_input",
+            multiline: true
           }
         }
-        
-        // Update the message
-        await client.chat.update({
-          channel: channelId,
-          ts: requestMessage.ts,
-          blocks: updatedBlocks
-        });
+      ]
+    });
+  } catch (error) {
+    console.error('Error opening note form:', error);
+    await replyToAction(client, body, `Error opening note form: ${error.message}`);
+  }
+});
+
+// Save a note from the Add Note form
+app.view('add_note_submission', async ({ body, view, ack, client }) => {
+  const input = view.state.values.note_text && view.state.values.note_text.note_text_input;
+  const text = input && input.value ? input.value.trim() : '';
+  
+  if (!text) {
+    await ack({
+      response_action: "errors",
+      errors: {
+        note_text: "Note can't be empty"
       }
-    } catch (updateError) {
-      console.error('Error updating message:', updateError);
-    }
-    
-    // Notify the user
-    await client.chat.postMessage({
-      channel: userId,
-      text: `Status updated to ${newStatus} for request ${requestId}. Order information saved.`
     });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const ref = decodeRequestRef(view.private_metadata);
+    const request = await UnifiedEventLogger.getRequestById(ref.requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${ref.requestId} not found`);
+    }
     
+    await saveRequestNote(client, request, text, body.user.id, 'button');
   } catch (error) {
-    console.error('Error processing Mark as Ordered submission:', error);
-    await ack(); // Must acknowledge even on error
+    console.error('Error saving note:', error);
+    await replyToAction(client, body, `Error saving note: ${error.message}`);
+  }
+});
+
+// Opt-in (CAPTURE_THREAD_NOTES=true): record human replies under a request card as notes.
+// Needs the message.channels event subscription and the bot in the requests channel.
+app.event('message', async ({ event }) => {
+  if (process.env.CAPTURE_THREAD_NOTES !== 'true') {
+    return;
+  }
+  
+  // Only plain replies from people, not edits, bot posts or the card itself
+  if (!event.thread_ts || event.thread_ts === event.ts || event.subtype || event.bot_id || !event.text) {
+    return;
+  }
+  
+  try {
+    const request = await UnifiedEventLogger.getRequestByMessage(event.channel, event.thread_ts);
     
-    // Notify user of error
-    try {
-      await client.chat.postMessage({
-        channel: body.user.id,
-        text: `Error updating status: ${error.message}`
-      });
-    } catch (notifyError) {
-      console.error('Error sending error notification:', notifyError);
+    if (!request) {
+      return;
     }
+    
+    await UnifiedEventLogger.addNote({
+      requestType: request.type,
+      requestId: request.requestId,
+      text: event.text,
+      userId: event.user,
+      source: 'thread',
+      messageTs: event.ts
+    });
+  } catch (error) {
+    console.error('Error capturing thread reply as note:', error);
   }
 });
 
 // Handle all status update actions with dynamic action_id pattern
-// Update the status update action handler to handle required fields correctly
 app.action(/^update_status_to_.*$/, async ({ body, ack, client }) => {
   await ack();
   
   try {
-    const actionId = body.actions[0].action_id;
-    const [requestId, currentStatus, newStatus] = body.actions[0].value.split('|');
+    // Buttons carry a signed reference (older cards still use requestId|currentStatus|newStatus)
+    const ref = parseActionValue(body.actions[0].value);
+    const { requestId, newStatus } = ref;
     const userId = body.user.id;
     
-    // Extract request type from message
-    let requestType = null;
-    
-    // First, try to find explicit Type field
-    const typeBlock = body.message.blocks.find(block => 
-      block.fields && block.fields.some(field => field.text.includes('*Type:*'))
-    );
+    // Load the authoritative record rather than trusting what the message shows
+    const request = await UnifiedEventLogger.getRequestById(requestId);
     
-    if (typeBlock) {
-      const typeField = typeBlock.fields.find(field => field.text.includes('*Type:*'));
-      if (typeField) {
-        // Extract the type name after "*Type:*"
-        const typeName = typeField.text.replace('*Type:*', '').trim();
-        
-        // Map from display name to internal type code
-        const displayToTypeMap = {
-          'Special Order': 'special_order',
-          'Book Hold': 'book_hold',
-          'Backorder Request': 'backorder_request',
-          'Out-of-Print Search': 'out_of_print',
-          'Bulk Order': 'bulk_order',
-          'Personalization Request': 'personalization'
-        };
-        
-        requestType = displayToTypeMap[typeName] || typeName.toLowerCase().replace(/\s+/g, '_');
-        console.log(`Extracted request type from Type field: "${typeName}" -> "${requestType}"`);
-      }
+    if (!request) {
+      throw new Error(`Request ${requestId} not found`);
     }
     
-    // If not found in Type field, try title block
-    if (!requestType) {
-      const titleBlock = body.message.blocks.find(block => 
-        block.text && block.text.text && block.text.text.includes('*New ')
-      );
-      
-      if (titleBlock) {
-        const titleText = titleBlock.text.text;
-        const match = titleText.match(/\*New ([^*]+)\*/);
-        if (match && match[1]) {
-          const typeName = match[1].trim();
-          
-          // Same mapping as above
-          const displayToTypeMap = {
-            'Special Order': 'special_order',
-            'Book Hold': 'book_hold',
-            'Backorder Request': 'backorder_request',
-            'Out-of-Print Search': 'out_of_print',
-            'Bulk Order': 'bulk_order',
-            'Personalization Request': 'personalization'
-          };
-          
-          requestType = displayToTypeMap[typeName] || typeName.toLowerCase().replace(/\s+/g, '_');
-          console.log(`Extracted request type from title: "${typeName}" -> "${requestType}"`);
-        }
-      }
-    }
+    const requestType = request.type;
+    const currentStatus = request.status;
+    const currentVersion = request.version || 0;
     
-    if (!requestType) {
-      throw new Error('Could not determine request type');
+    // Reject clicks on a card that no longer reflects the request
+    if (isStaleReference(ref, request)) {
+      await respondToStaleRequest(client, body, request, getClickedMessageLocation(body));
+      return;
     }
 
     console.log(`Updating status for request type: ${requestType}`);
 
-    if (newStatus === 'PAID') {
-      console.log('Fields required for PAID status:', 
-        UnifiedEventLogger.REQUEST_TYPES[requestType].requiredFieldsPerStatus[newStatus]);
+    // On line item requests these statuses follow the items (older cards may still show the buttons)
+    if (RequestTypes.hasLineItems(requestType) && LINE_DRIVEN_STATUSES.includes(newStatus)) {
+      await replyToAction(client, body, `The status of *${requestId}* follows its items. Use *Update Items* to mark them ordered or received.`);
+      await refreshRequestCard(client, requestId, getClickedMessageLocation(body));
+      return;
+    }
+
+    // Cancelling always asks for a reason
+    if (newStatus === 'CANCELLED') {
+      const paymentsTaken = (request.payments || []).length > 0;
+      await openModalFromAction(client, body, createCancelRequestModal(requestId, requestType, currentStatus, currentVersion, paymentsTaken));
+      return; // The update happens after the modal is submitted
+    }
+
+    // A request with a total can't be marked paid until it is covered (older cards may still show the button)
+    if (newStatus === 'PAID' && !isBalanceSettled(request)) {
+      await replyToAction(client, body, `*${requestId}* still has ${formatCents(getBalanceDueCents(request))} due. Use *Record Payment* to add the remaining payment first.`);
+      await refreshRequestCard(client, requestId, getClickedMessageLocation(body));
+      return;
     }
 
-    // Get the type configuration
-    const typeConfig = UnifiedEventLogger.REQUEST_TYPES[requestType];
-    
     // Check if additional fields are required for this status transition
-    if (typeConfig && 
-        typeConfig.requiredFieldsPerStatus && 
-        typeConfig.requiredFieldsPerStatus[newStatus] && 
-        typeConfig.requiredFieldsPerStatus[newStatus].length > 0) {
-      
+    if (RequestTypes.getStatusFields(requestType, newStatus).length > 0) {
       // If fields are required, open a modal to collect them BEFORE updating status
-      const requiredFields = typeConfig.requiredFieldsPerStatus[newStatus];
-      
       // Special handling for Mark as Ordered
       if (newStatus === 'ORDERED') {
         console.log('Special handling for Mark as Ordered');
@@ -2449,7 +3173,7 @@ app.action(/^update_status_to_.*$/, async ({ body, ack, client }) => {
           // Use the dedicated Mark as Ordered modal
           await client.views.open({
             trigger_id: body.trigger_id,
-            view: createMarkAsOrderedModal(requestId, requestType, currentStatus)
+            view: createMarkAsOrderedModal(requestId, requestType, currentStatus, currentVersion)
           });
           return; // Exit early - actual update will happen after modal submission
         } catch (error) {
@@ -2460,18 +3184,16 @@ app.action(/^update_status_to_.*$/, async ({ body, ack, client }) => {
       
       // Try to open modal to collect required fields
       try {
-        // Build the modal using our improved function that handles datepickers properly
-        const modal = buildRequiredFieldsModal(requestId, requestType, newStatus, requiredFields);
-        
-        // Add current status to metadata
-        const modalMetadata = JSON.parse(modal.private_metadata);
-        modalMetadata.currentStatus = currentStatus;
-        modal.private_metadata = JSON.stringify(modalMetadata);
-        
-        // Open the modal
         await client.views.open({
           trigger_id: body.trigger_id,
-          view: modal
+          view: buildRequiredFieldsModal(
+            requestId,
+            requestType,
+            currentStatus,
+            newStatus,
+            currentVersion,
+            newStatus === 'PAID' ? getLastPaymentValues(request) : {}
+          )
         });
         return; // Exit early - the actual update will happen after modal submission
       } catch (modalError) {
@@ -2487,227 +3209,145 @@ app.action(/^update_status_to_.*$/, async ({ body, ack, client }) => {
       currentStatus,
       newStatus,
       userId,
+      expectedVersion: currentVersion,
       additionalFields: {
         updatedBy: userId,
         updatedAt: new Date().toISOString()
       }
     });
 
-    if (!result.success) {
-      throw new Error(result.error || 'Unknown error updating status');
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest, getClickedMessageLocation(body));
+      return;
     }
 
-    // Update the message with new status and action buttons
-    const updatedBlocks = [...body.message.blocks];
-    
-    // Find and update the status section
-    const statusIndex = updatedBlocks.findIndex(block => 
-      block.text && block.text.text && block.text.text.includes('*Status:*')
-    );
-    
-    if (statusIndex !== -1) {
-      updatedBlocks[statusIndex] = {
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `*Status:* ${newStatus}`
-        }
-      };
-    } else {
-      // Add a status section if not found
-      updatedBlocks.splice(updatedBlocks.length - 1, 0, {
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `*Status:* ${newStatus}`
-        }
-      });
-    }
-    
-    // Update action buttons or remove them for terminal states
-    const nextTransitions = (typeConfig && typeConfig.statusTransitions[newStatus]) || [];
-    
-    if (nextTransitions.length > 0) {
-      // Update action buttons
-      updatedBlocks[updatedBlocks.length - 1] = {
-        type: "actions",
-        elements: getActionButtons(requestId, requestType, newStatus)
-      };
-    } else {
-      // Remove action buttons for terminal states
-      updatedBlocks.pop();
-      
-      // Add a context block indicating completion
-      updatedBlocks.push({
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `This request is now in a final state (${newStatus}). No further actions available.`
-          }
-        ]
-      });
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error updating status');
     }
 
-    // Update the message
-    await client.chat.update({
-      channel: body.channel.id,
-      ts: body.message.ts,
-      blocks: updatedBlocks
-    });
+    // Rebuild the channel card from the updated record
+    await refreshRequestCard(client, requestId, getClickedMessageLocation(body));
   } catch (error) {
     console.error('Error updating request status:', error);
     
     // Notify user of error
-    try {
-      await client.chat.postEphemeral({
-        channel: body.channel.id,
-        user: body.user.id,
-        text: `Error updating status: ${error.message}`
-      });
-    } catch (notifyError) {
-      console.error('Error sending error notification:', notifyError);
-    }
+    await replyToAction(client, body, `Error updating status: ${error.message}`);
   }
 });
 
-// FINAL FIX: Required Fields validation with stronger validation for past-only dates
-app.view('required_fields_submission', async ({ body, view, ack, client }) => {
+// Cancel a request once a reason has been given
+app.view('cancel_request_submission', async ({ body, view, ack, client }) => {
+  let metadata;
+  let fieldValues;
+  
   try {
-    // Extract metadata and form values
-    const metadata = JSON.parse(view.private_metadata);
-    const requestId = metadata.requestId;
-    const requestType = metadata.requestType;
-    const newStatus = metadata.status || metadata.newStatus;
-    const currentStatus = metadata.currentStatus || 'NEW';
-    const values = view.state.values;
-    const userId = body.user.id;
-
-    // Validate order number if present
-    if (values.order_number && values.order_number.order_number_input) {
-      const orderNumberValue = values.order_number.order_number_input.value;
-      const orderValidation = validateOrderNumber(orderNumberValue);
-      
-      if (!orderValidation.valid) {
-        await ack({
-          response_action: "errors",
-          errors: {
-            order_number: orderValidation.error
-          }
-        });
-        return;
-      }
-    }
-
-    // Debugging: Log the status we're validating for
-    console.log(`Validating dates for status: ${newStatus}`);
-
-    // Perform date validation
-    // Calculate dates once for consistent comparison
-    const now = new Date(); // Current exact time
+    metadata = decodeRequestRef(view.private_metadata);
     
-    // Today at beginning of day (midnight)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // The refund question is only on the form when payments had been taken
+    const validation = validateSubmittedFields(
+      view.state.values,
+      RequestTypes.getCancellationFields(metadata.expectedStatus, Boolean(view.state.values.refund_owed))
+    );
+    fieldValues = validation.fieldValues;
     
-    // Tomorrow at beginning of day (midnight)
-    const tomorrow = new Date();
-    tomorrow.setDate(today.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
+    if (fieldValues.cancellation_reason === 'other' && !fieldValues.cancellation_notes) {
+      validation.errors.cancellation_notes = "Please describe the reason";
+    }
     
-    console.log("Date objects for comparison:", {
-      now: now.toISOString(),
-      today: today.toISOString(),
-      tomorrow: tomorrow.toISOString()
-    });
-
-    // Check if any date fields need validation
-    let dateValidationErrors = {}; // Object to store multiple errors
-
-    // For Mark as Received, arrival_date must not be tomorrow or later
-    if (newStatus === 'RECEIVED' && values.arrival_date && values.arrival_date.arrival_date_input) {
-      const selectedDate = new Date(values.arrival_date.arrival_date_input.selected_date + "T00:00:00");
-      selectedDate.setHours(0, 0, 0, 0);
-      
-      console.log(`RECEIVED: Validating arrival_date:`, {
-        selectedDate: selectedDate.toISOString(),
-        today: today.toISOString(),
-        tomorrow: tomorrow.toISOString(),
-        selectedEqualsToday: selectedDate.getTime() === today.getTime(),
-        selectedEqualsTomorrow: selectedDate.getTime() === tomorrow.getTime(),
-        selectedGreaterThanEqualTomorrow: selectedDate.getTime() >= tomorrow.getTime()
+    if (Object.keys(validation.errors).length > 0) {
+      await ack({
+        response_action: "errors",
+        errors: validation.errors
       });
-      
-      // Check if the date is tomorrow or later (future date not allowed)
-      if (selectedDate.getTime() >= tomorrow.getTime()) {
-        dateValidationErrors.arrival_date = 'Arrival date must be today or earlier, not a future date';
+      return;
+    }
+  } catch (error) {
+    console.error('Error validating cancellation:', error);
+    await ack({
+      response_action: "errors",
+      errors: {
+        cancellation_reason: "This form is no longer valid. Please close it and try again."
       }
+    });
+    return;
+  }
+  
+  await ack();
+  
+  try {
+    const { requestId } = metadata;
+    const userId = body.user.id;
+    const request = await UnifiedEventLogger.getRequestById(requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${requestId} not found`);
     }
     
-    // For Customer Notified, notification_date must not be tomorrow or later
-    if (newStatus === 'NOTIFIED' && values.notification_date && values.notification_date.notification_date_input) {
-      const selectedDate = new Date(values.notification_date.notification_date_input.selected_date + "T00:00:00");
-      selectedDate.setHours(0, 0, 0, 0);
-      
-      console.log(`NOTIFIED: Validating notification_date:`, {
-        selectedDate: selectedDate.toISOString(),
-        today: today.toISOString(),
-        tomorrow: tomorrow.toISOString(),
-        selectedEqualsToday: selectedDate.getTime() === today.getTime(),
-        selectedEqualsTomorrow: selectedDate.getTime() === tomorrow.getTime(),
-        selectedGreaterThanEqualTomorrow: selectedDate.getTime() >= tomorrow.getTime()
-      });
-      
-      // Check if the date is tomorrow or later (future date not allowed)
-      if (selectedDate.getTime() >= tomorrow.getTime()) {
-        dateValidationErrors.notification_date = 'Notification date must be today or earlier, not a future date';
-      }
+    if (isStaleReference(metadata, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
     }
     
-    // For Mark as Completed, completion_date must not be tomorrow or later
-    if (newStatus === 'COMPLETED' && values.completion_date && values.completion_date.completion_date_input) {
-      const selectedDate = new Date(values.completion_date.completion_date_input.selected_date + "T00:00:00");
-      selectedDate.setHours(0, 0, 0, 0);
-      
-      console.log(`COMPLETED: Validating completion_date:`, {
-        selectedDate: selectedDate.toISOString(),
-        today: today.toISOString(),
-        tomorrow: tomorrow.toISOString(),
-        selectedEqualsToday: selectedDate.getTime() === today.getTime(),
-        selectedEqualsTomorrow: selectedDate.getTime() === tomorrow.getTime(),
-        selectedGreaterThanEqualTomorrow: selectedDate.getTime() >= tomorrow.getTime()
-      });
-      
-      // Check if the date is tomorrow or later (future date not allowed)
-      if (selectedDate.getTime() >= tomorrow.getTime()) {
-        dateValidationErrors.completion_date = 'Completion date must be today or earlier, not a future date';
+    // Stored on the request and, via the status change, on the event
+    const result = await UnifiedEventLogger.updateRequestStatus({
+      requestType: request.type,
+      requestId,
+      currentStatus: request.status,
+      newStatus: 'CANCELLED',
+      userId,
+      expectedVersion: request.version || 0,
+      additionalFields: {
+        cancellation_reason: fieldValues.cancellation_reason,
+        cancellation_notes: fieldValues.cancellation_notes || '',
+        refund_owed: fieldValues.refund_owed || 'no',
+        updatedBy: userId,
+        updatedAt: new Date().toISOString()
       }
+    });
+    
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
     }
-
-    // For estimated arrival dates, ensure they are at least tomorrow
-    if (values.estimated_arrival && values.estimated_arrival.estimated_arrival_input) {
-      const selectedDate = new Date(values.estimated_arrival.estimated_arrival_input.selected_date);
-      selectedDate.setHours(0, 0, 0, 0);
-      
-      console.log('Validating estimated_arrival:', {
-        selectedDate: selectedDate.toISOString(),
-        tomorrow: tomorrow.toISOString(),
-        selectedLessThanTomorrow: selectedDate.getTime() < tomorrow.getTime()
-      });
-      
-      // For estimated arrival, must be tomorrow or later
-      if (selectedDate.getTime() < tomorrow.getTime()) {
-        dateValidationErrors.estimated_arrival = 'Estimated arrival date must be tomorrow or later';
-      }
+    
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error cancelling request');
     }
+    
+    await refreshRequestCard(client, requestId);
+    
+    const refundNote = fieldValues.refund_owed === 'yes' ? ' A refund is owed to the customer.' : '';
+    await replyToAction(client, body, `Request *${requestId}* cancelled (${formatCancellationReason(fieldValues.cancellation_reason)}).${refundNote}`);
+  } catch (error) {
+    console.error('Error cancelling request:', error);
+    await replyToAction(client, body, `Error cancelling request: ${error.message}`);
+  }
+});
+
+// FINAL FIX: Required Fields validation with stronger validation for past-only dates
+app.view('required_fields_submission', async ({ body, view, ack, client }) => {
+  try {
+    // Extract the signed request reference and form values
+    const metadata = decodeRequestRef(view.private_metadata);
+    const requestId = metadata.requestId;
+    const requestType = metadata.requestType;
+    const newStatus = metadata.newStatus;
+    const values = view.state.values;
+    const userId = body.user.id;
+
+    // Validate the status fields the registry defines for this transition
+    const { fieldValues, errors } = validateSubmittedFields(
+      values,
+      RequestTypes.getStatusFields(requestType, newStatus)
+    );
 
     // If validation errors found, reject the submission
-    if (Object.keys(dateValidationErrors).length > 0) {
-      console.log('Date validation errors:', dateValidationErrors);
+    if (Object.keys(errors).length > 0) {
+      console.log('Required field validation errors:', errors);
       
       await ack({
         response_action: "errors",
-        errors: dateValidationErrors
+        errors
       });
       return;
     }
@@ -2715,52 +3355,55 @@ app.view('required_fields_submission', async ({ body, view, ack, client }) => {
     // Acknowledge the submission if validation passes
     await ack();
     
+    // Load the authoritative record for the current status
+    const request = await UnifiedEventLogger.getRequestById(requestId);
+    
+    if (!request) {
+      throw new Error(`Request ${requestId} not found`);
+    }
+    
+    const currentStatus = request.status;
+    
+    // The request may have changed while the modal was open
+    if (isStaleReference(metadata, request)) {
+      await respondToStaleRequest(client, body, request);
+      return;
+    }
+    
     console.log('Modal metadata:', metadata);
     console.log('Processing status update from', currentStatus, 'to', newStatus);
     console.log('Form submission values:', JSON.stringify(values, null, 2));
     
     // Extract field values
     const additionalFields = {
+      ...fieldValues,
       updatedBy: userId,
       updatedAt: new Date().toISOString()
     };
     
-    Object.keys(values).forEach(blockId => {
-      const block = values[blockId];
-      const actionId = Object.keys(block)[0];
-      
-      // Special handling for dropdown selects
-      if (block[actionId].selected_option) {
-        additionalFields[blockId] = block[actionId].selected_option.value;
-      } 
-      // Special handling for datepickers
-      else if (block[actionId].selected_date) {
-        additionalFields[blockId] = block[actionId].selected_date;
-      }
-      // For text inputs and other fields
-      else if (block[actionId].value) {
-        additionalFields[blockId] = block[actionId].value;
-      }
-    });
-    
-    // Rest of the function remains unchanged
     // Now perform the actual status update with the collected fields
     const result = await UnifiedEventLogger.updateRequestStatus({
-      requestType,
+      requestType: request.type,
       requestId,
-      currentStatus: currentStatus,
+      currentStatus,
       newStatus,
       userId,
+      expectedVersion: request.version || 0,
       additionalFields
     });
     
+    if (result.conflict) {
+      await respondToStaleRequest(client, body, result.currentRequest);
+      return;
+    }
+    
     if (!result.success) {
       throw new Error(result.error || 'Unknown error updating status');
     }
     
     // Log the additional fields
     await UnifiedEventLogger.logEvent({
-      requestType,
+      requestType: request.type,
       requestId,
       action: `FIELDS_ADDED`,
       userId,
@@ -2768,82 +3411,7 @@ app.view('required_fields_submission', async ({ body, view, ack, client }) => {
     });
     
     // Find and update the message in the channel
-    try {
-      // Search for messages in the requests channel
-      const channelId = process.env.REQUESTS_CHANNEL;
-      const messagesResult = await client.conversations.history({
-        channel: channelId,
-        limit: 100 // Adjust as needed
-      });
-      
-      const requestMessage = messagesResult.messages.find(msg => 
-        msg.blocks && 
-        msg.blocks.some(block => 
-          block.text && 
-          block.text.text && 
-          block.text.text.includes(requestId)
-        )
-      );
-      
-      if (requestMessage) {
-        // Update the message with new status
-        const updatedBlocks = [...requestMessage.blocks];
-        
-        // Find and update the status section
-        const statusIndex = updatedBlocks.findIndex(block => 
-          block.text && block.text.text && block.text.text.includes('*Status:*')
-        );
-        
-        if (statusIndex !== -1) {
-          updatedBlocks[statusIndex] = {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*Status:* ${newStatus}`
-            }
-          };
-        }
-        
-        // Get the type configuration
-        const typeConfig = UnifiedEventLogger.REQUEST_TYPES[requestType];
-        
-        // Update action buttons
-        const actionsIndex = updatedBlocks.findIndex(block => block.type === "actions");
-        if (actionsIndex !== -1) {
-          const nextTransitions = (typeConfig && typeConfig.statusTransitions[newStatus]) || [];
-          
-          if (nextTransitions.length > 0) {
-            updatedBlocks[actionsIndex] = {
-              type: "actions",
-              elements: getActionButtons(requestId, requestType, newStatus)
-            };
-          } else {
-            // Remove action buttons for terminal states
-            updatedBlocks.splice(actionsIndex, 1);
-            
-            // Add a context block indicating completion
-            updatedBlocks.push({
-              type: "context",
-              elements: [
-                {
-                  type: "mrkdwn",
-                  text: `This request is now in a final state (${newStatus}). No further actions available.`
-                }
-              ]
-            });
-          }
-        }
-        
-        // Update the message
-        await client.chat.update({
-          channel: channelId,
-          ts: requestMessage.ts,
-          blocks: updatedBlocks
-        });
-      }
-    } catch (updateError) {
-      console.error('Error updating message:', updateError);
-    }
+    await refreshRequestCard(client, requestId);
     
     // Notify the user
     await client.chat.postMessage({
@@ -2931,6 +3499,55 @@ app.command('/request-dashboard', async ({ body, ack, client }) => {
           text: `*${priority}:* ${count}`
         }))
       },
+      ...(Object.keys(metrics.outstandingByVendor).length > 0 ? [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "*Copies Outstanding by Vendor:*"
+          }
+        },
+        {
+          type: "section",
+          fields: Object.entries(metrics.outstandingByVendor)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([vendor, quantity]) => ({
+              type: "mrkdwn",
+              text: `*${vendor}:* ${quantity}`
+            }))
+        }
+      ] : []),
+      ...(metrics.cancelledRequests > 0 ? [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*Cancellations by Reason:* (${metrics.cancelledRequests} total)`
+          }
+        },
+        {
+          type: "section",
+          fields: Object.entries(metrics.cancellationsByReason).map(([reason, count]) => ({
+            type: "mrkdwn",
+            text: `*${reason === 'unspecified' ? 'No reason given' : formatCancellationReason(reason)}:* ${count}`
+          }))
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: "*Cancellations by Type:*"
+          }
+        },
+        {
+          type: "section",
+          fields: Object.entries(metrics.cancellationsByType).map(([type, count]) => ({
+            type: "mrkdwn",
+            text: `*${formatRequestTypeName(type)}:* ${count}`
+          }))
+        }
+      ] : []),
       {
         type: "context",
         elements: [
@@ -2958,6 +3575,321 @@ app.command('/request-dashboard', async ({ body, ack, client }) => {
   }
 });
 
+// ======== SEARCH RESULTS ========
+
+// Slack's limit on button values, which carry the search state between pages
+const MAX_ACTION_VALUE_LENGTH = 2000;
+
+// Short keys keep the search state small enough to fit the query in a button value
+const SEARCH_STATE_KEYS = {
+  query: 'q',
+  sort: 's',
+  after: 'a',
+  before: 'b',
+  offset: 'o',
+  textIndex: 't'
+};
+
+// Encode a search state ({ query, sort, after, before, offset, textIndex }) for a button value
+const encodeSearchState = (state) => JSON.stringify(
+  Object.entries(SEARCH_STATE_KEYS).reduce((value, [key, shortKey]) => {
+    if (state[key] !== undefined && state[key] !== null) {
+      value[shortKey] = state[key];
+    }
+    return value;
+  }, {})
+);
+
+const decodeSearchState = (value) => {
+  const parsed = JSON.parse(value);
+
+  return Object.entries(SEARCH_STATE_KEYS).reduce((state, [key, shortKey]) => {
+    state[key] = parsed[shortKey];
+    return state;
+  }, {});
+};
+
+// Compile a search and load the page of results its state points at
+const runSearch = async (state, userId) => {
+  const compiled = compileSearchQuery(state.query, { userId });
+
+  if (!compiled.valid) {
+    return { error: compiled.error };
+  }
+
+  console.log('Search filter:', JSON.stringify(compiled.filter));
+
+  return {
+    page: await RequestSearch.getPage(compiled.filter, {
+      ...state,
+      textSearch: compiled.textSearch,
+      similarFilter: compiled.similarFilter
+    })
+  };
+};
+
+// One search result, with a button to open the request's details
+const buildSearchResultBlock = (request) => {
+  // Format the date in a readable way
+  const createdDate = new Date(request.createdAt).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  
+  // Get a shorter version of the details for preview
+  const detailsPreview = request.details ? 
+    (request.details.length > 50 ? request.details.substring(0, 50) + '...' : request.details) :
+    'N/A';
+  
+  // Catalog titles for the request's ISBN or its items
+  const catalogTitles = [request.catalog, ...getRequestLineItems(request).map(line => line.catalog)]
+    .filter(catalog => catalog && catalog.title)
+    .map(catalog => formatCatalogDetails(catalog));
+  const catalogPreview = catalogTitles.length > 0
+    ? `\n*Catalog:* ${catalogTitles.slice(0, 2).join('; ')}${catalogTitles.length > 2 ? ` (+${catalogTitles.length - 2} more)` : ''}`
+    : '';
+  
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*${request.requestId}* (${createdDate})\n*Type:* ${request.type} | *Status:* ${request.status}\n*Customer:* ${request.customerName || 'N/A'}\n*Contact:* ${request.customerContact || 'N/A'}${catalogPreview}\n*Details:* ${detailsPreview}`
+    },
+    accessory: {
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: "View Details"
+      },
+      value: request.requestId,
+      action_id: "view_request_details"
+    }
+  };
+};
+
+// Sort buttons, with the current sort highlighted
+const buildSearchSortBlock = (state, page) => {
+  return {
+    type: "actions",
+    elements: page.sorts.map(({ key, label }) => ({
+      type: "button",
+      text: {
+        type: "plain_text",
+        text: `Sort: ${label}`
+      },
+      value: encodeSearchState({ query: state.query, sort: key, offset: 0 }),
+      action_id: `search_sort_${key}`,
+      ...(key === page.sort ? { style: "primary" } : {})
+    }))
+  };
+};
+
+/**
+ * Build a page of search results. The searcher's copy has sort, paging and share
+ * buttons; a copy shared to the channel just lists the page.
+ * @param {object} state - Search state the page was loaded with
+ * @param {object} page - Page from RequestSearch.getPage
+ * @param {object} options - { sharedBy }: the user who shared the results
+ * @returns {Array} - Slack blocks
+ */
+const buildSearchResultsBlocks = (state, page, { sharedBy } = {}) => {
+  const sortLabel = RequestSearch.getSort(page.sort).label;
+  const count = page.requests.length;
+  
+  // Pages reached with Previous are numbered back from the page they were reached from
+  const start = !page.hasPrevious ? 0 : state.before ? Math.max(0, state.offset - count) : state.offset;
+  
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Search Results for "${state.query}"* (${page.total} found${page.possibleMatches ? `, ${page.possibleMatches} of them possible matches` : ''})${sharedBy ? `, shared by <@${sharedBy}>` : ''}`
+      }
+    }
+  ];
+  
+  page.requests.forEach((request, index) => {
+    // Possible matches come after the exact ones, under their own heading
+    if (request.exactMatch === 0 && (index === 0 || page.requests[index - 1].exactMatch !== 0)) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "*Possible matches:* customer names that sound alike or are a typo away from your search"
+          }
+        ]
+      });
+    } else if (index > 0) {
+      blocks.push({ type: "divider" });
+    }
+    
+    blocks.push(buildSearchResultBlock(request));
+  });
+  
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: count > 0
+          ? `_Showing ${start + 1}–${start + count} of ${page.total}, sorted by ${sortLabel.toLowerCase()}_`
+          : "_No more results this way. Go back for earlier pages._"
+      }
+    ]
+  });
+  
+  if (sharedBy) {
+    return blocks;
+  }
+  
+  const currentState = encodeSearchState(state);
+  const previousState = encodeSearchState({ query: state.query, sort: state.sort, before: page.firstCursor, offset: start, textIndex: page.textIndex });
+  const nextState = encodeSearchState({ query: state.query, sort: state.sort, after: page.lastCursor, offset: start + count, textIndex: page.textIndex });
+  
+  // A very long query can't be carried between pages
+  if ([currentState, previousState, nextState].some(value => value.length > MAX_ACTION_VALUE_LENGTH)) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: "_This query is too long to page through or share. Shorten it to see other results._"
+        }
+      ]
+    });
+    return blocks;
+  }
+  
+  blocks.push(buildSearchSortBlock(state, page));
+  blocks.push({
+    type: "actions",
+    elements: [
+      ...(page.hasPrevious && page.firstCursor ? [{
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "◀ Previous"
+        },
+        value: previousState,
+        action_id: "search_previous"
+      }] : []),
+      ...(page.hasNext && page.lastCursor ? [{
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Next ▶"
+        },
+        value: nextState,
+        action_id: "search_next"
+      }] : []),
+      {
+        type: "button",
+        text: {
+          type: "plain_text",
+          text: "Share to channel"
+        },
+        value: currentState,
+        action_id: "search_share"
+      }
+    ]
+  });
+  
+  // Add a help context at the bottom
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "_Combine terms to narrow a search, e.g. `/request-search type:special status:open customer:smith`. Run `/request-search` on its own for the full syntax._"
+      }
+    ]
+  });
+  
+  return blocks;
+};
+
+// ======== END SEARCH RESULTS =========
+
+// ======== SAVED SEARCHES ========
+
+const SAVED_SEARCH_COMMANDS = ['save', 'saved', 'delete', 'subscribe', 'unsubscribe'];
+
+// A saved search's line in /request-search saved
+const formatSavedSearchLine = (search, userId) => {
+  const owner = search.shared ? ` (team, saved by <@${search.ownerId}>)` : '';
+  const subscribed = (search.subscribers || []).includes(userId) ? ' :bell:' : '';
+
+  return `• *${search.name}*${owner}${subscribed}: \`${search.query}\``;
+};
+
+// Handle the saved search subcommands of /request-search, replying to the user only
+const handleSavedSearchCommand = async (subcommand, searchInput, body, client) => {
+  const reply = (text) => client.chat.postEphemeral({
+    channel: body.channel_id,
+    user: body.user_id,
+    text
+  });
+  const userId = body.user_id;
+  const [, searchName] = searchInput.split(/\s+/);
+  
+  switch (subcommand) {
+    case 'save': {
+      const match = searchInput.match(/^save\s+(--team\s+)?(\S+)\s+([\s\S]+)$/i);
+      
+      if (!match) {
+        await reply("Save a search with `/request-search save <name> <query>`, or `/request-search save --team <name> <query>` to share it with the team.");
+        return;
+      }
+      
+      const [, teamFlag, name, query] = match;
+      const result = await SavedSearchService.saveSearch({ userId, name, query, shared: Boolean(teamFlag) });
+      
+      if (!result.success) {
+        await reply(`Couldn't save the search: ${result.error}`);
+        return;
+      }
+      
+      const { search } = result;
+      await reply(`${result.replaced ? 'Updated' : 'Saved'} ${search.shared ? 'team search' : 'search'} *${search.name}*: \`${search.query}\`\nRun it with \`/request-search run ${search.name}\`, or get a DM when a request starts matching it with \`/request-search subscribe ${search.name}\`.`);
+      return;
+    }
+    case 'saved': {
+      const searches = await SavedSearchService.listSearches(userId);
+      
+      if (searches.length === 0) {
+        await reply("There are no saved searches yet. Save one with `/request-search save <name> <query>`.");
+        return;
+      }
+      
+      await reply(`*Saved searches*\n${searches.map(search => formatSavedSearchLine(search, userId)).join('\n')}\n_:bell: means you get a DM about new matches._`);
+      return;
+    }
+    case 'delete': {
+      const result = await SavedSearchService.deleteSearch(userId, searchName);
+      await reply(result.success ? `Deleted the saved search *${result.search.name}*.` : `Couldn't delete the search: ${result.error}`);
+      return;
+    }
+    default: {
+      const subscribed = subcommand === 'subscribe';
+      const result = await SavedSearchService.setSubscription(userId, searchName, subscribed);
+      
+      if (!result.success) {
+        await reply(`Couldn't ${subcommand}: ${result.error}`);
+        return;
+      }
+      
+      await reply(subscribed
+        ? `You'll get a DM when a request is created or changes status and matches *${result.search.name}*.`
+        : `You'll no longer get DMs about *${result.search.name}*.`);
+    }
+  }
+};
+
+// ======== END SAVED SEARCHES =========
+
 // Enhanced /request-search command handler with field name conversion
 app.command('/request-search', async ({ body, ack, client }) => {
   await ack();
@@ -2975,21 +3907,28 @@ app.command('/request-search', async ({ body, ack, client }) => {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: "*Request Search Help*\nUse the search command with one of these formats:"
+              text: "*Request Search Help*\nCombine any of these terms; a request has to match all of them:"
+            }
+          },
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: "• `[text]` or `\"a phrase\"` - Search across all fields\n• `customer:[name]` - Customer name (names that sound alike or are a typo away are listed after as possible matches)\n• `contact:[email or phone]` - Customer contact\n• `isbn:[number]` - ISBN\n• `type:[request type]` - Request type\n• `status:[status]` - Status, or `status:open` / `status:closed`\n• `priority:[low|standard|high|urgent]` - Priority\n• `vendor:[name]` - Vendor or publisher\n• `created:[date]` / `needed:[date]` - Created or needed on a date; use `>`, `>=`, `<` or `<=` before the date for ranges\n• `assignee:@person` - Assigned to someone (or `assignee:me`, `assignee:none`)\n• `id:[request ID]` - Request ID\n\nPut `OR` between terms to match either, `-` before a term to exclude it, and use parentheses to group terms."
             }
           },
           {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: "• `/request-search [text]` - Search across all fields\n• `/request-search customer:[name]` - Search by customer name\n• `/request-search contact:[email or phone]` - Search by customer contact\n• `/request-search isbn:[number]` - Search by ISBN\n• `/request-search type:[request type]` - Search by request type\n• `/request-search status:[status]` - Search by status"
+              text: "*Examples:*\n• `/request-search customer:smith`\n• `/request-search type:special status:open customer:smith priority:urgent`\n• `/request-search type:out_of_print -status:ordered (priority:high OR priority:urgent)`\n• `/request-search created:>=2026-01-01 needed:<2026-11-01`"
             }
           },
           {
             type: "section",
             text: {
               type: "mrkdwn",
-              text: "*Examples:*\n• `/request-search customer:smith`\n• `/request-search status:completed`\n• `/request-search isbn:9781234567890`"
+              text: "*Saved searches:*\n• `/request-search save <name> <query>` - Save a query for yourself (add `--team` before the name to share it)\n• `/request-search run <name>` - Run a saved search\n• `/request-search saved` - List your and the team's saved searches\n• `/request-search subscribe <name>` / `unsubscribe <name>` - Get a DM when a request starts matching\n• `/request-search delete <name>` - Delete a saved search\n\nTo search for one of these words, put it in quotes, e.g. `/request-search \"delete\" smith`."
             }
           }
         ]
@@ -2997,167 +3936,60 @@ app.command('/request-search', async ({ body, ack, client }) => {
       return;
     }
 
-    // Parse the search term and field
-    let searchField = null;
-    let searchTerm = searchInput;
-    let searchOptions = {};
-
-    // Check if search uses field:value format
-    const fieldMatches = searchInput.match(/^(\w+):(.+)$/);
-    if (fieldMatches) {
-      const [, field, term] = fieldMatches;
-      searchField = field.toLowerCase();
-      searchTerm = term.trim();
-      
-      // Map the search field to MongoDB field (using lowercase field names that match your DB)
-      switch (searchField) {
-        case 'customer':
-          searchOptions = { customerName: { $regex: searchTerm, $options: 'i' } };
-          break;
-        case 'contact':
-          searchOptions = { customerContact: { $regex: searchTerm, $options: 'i' } };
-          break;
-        case 'isbn':
-          searchOptions = { isbn: { $regex: searchTerm, $options: 'i' } };
-          break;
-        case 'type':
-          // Map common request type names to actual values
-          let typeValue = searchTerm.toLowerCase();
-          const typeMap = {
-            'special': 'special_order',
-            'hold': 'book_hold',
-            'backorder': 'backorder_request',
-            'out': 'out_of_print',
-            'bulk': 'bulk_order',
-            'personalization': 'personalization'
-          };
-          
-          // Check if search term is a partial match for any type
-          for (const [key, value] of Object.entries(typeMap)) {
-            if (typeValue.includes(key)) {
-              typeValue = value;
-              break;
-            }
-          }
-          
-          searchOptions = { type: { $regex: typeValue, $options: 'i' } };
-          break;
-        case 'status':
-          // Map status names (case-insensitive)
-          let statusValue = searchTerm.toUpperCase();
-          searchOptions = { status: { $regex: statusValue, $options: 'i' } };
-          break;
-        case 'id':
-          searchOptions = { requestId: { $regex: searchTerm, $options: 'i' } };
-          break;
-        default:
-          // If field is not recognized, do a general search
-          searchField = null;
-      }
-    }
-
-    // If no specific field was recognized or specified, perform a general search
-    if (!searchField) {
-      // This will be handled by the searchRequests method
-      searchOptions = {};
-    }
-
-    console.log('Search options:', JSON.stringify(searchOptions));
-
-    // Perform the search
-    const results = await UnifiedEventLogger.searchRequests(searchTerm, searchOptions);
+    // save, saved, delete, subscribe and unsubscribe manage saved searches, and
+    // run <name> searches with a saved query. Quoting the first word ("save") searches
+    // for it instead.
+    const [firstWord, searchName] = searchInput.split(/\s+/);
+    const subcommand = firstWord.toLowerCase();
+    let query = searchInput;
     
-    if (results.length === 0) {
-      await client.chat.postEphemeral({
-        channel: body.channel_id,
-        user: body.user_id,
-        text: `No results found for "${searchInput}"`
-      });
+    if (SAVED_SEARCH_COMMANDS.includes(subcommand)) {
+      await handleSavedSearchCommand(subcommand, searchInput, body, client);
       return;
     }
-
-    // Format results for Slack message
-    const resultBlocks = [
-      {
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `*Search Results for "${searchInput}"* (${results.length} found)`
-        }
-      }
-    ];
     
-    // Add results (limit to 10 to avoid message size limitations)
-    const limitedResults = results.slice(0, 10);
-    
-    limitedResults.forEach(request => {
-      // Format the date in a readable way
-      const createdDate = new Date(request.createdAt).toLocaleString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        year: 'numeric'
-      });
-      
-      // Get a shorter version of the details for preview
-      const detailsPreview = request.details ? 
-        (request.details.length > 50 ? request.details.substring(0, 50) + '...' : request.details) :
-        'N/A';
-      
-      resultBlocks.push({
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `*${request.requestId}* (${createdDate})\n*Type:* ${request.type} | *Status:* ${request.status}\n*Customer:* ${request.customerName || 'N/A'}\n*Contact:* ${request.customerContact || 'N/A'}\n*Details:* ${detailsPreview}`
-        },
-        accessory: {
-          type: "button",
-          text: {
-            type: "plain_text",
-            text: "View Details"
-          },
-          value: request.requestId,
-          action_id: "view_request_details"
-        }
-      });
+    if (subcommand === 'run') {
+      const search = await SavedSearchService.findSearch(body.user_id, searchName);
       
-      // Add a divider between results
-      resultBlocks.push({
-        type: "divider"
-      });
-    });
+      if (!search) {
+        await client.chat.postEphemeral({
+          channel: body.channel_id,
+          user: body.user_id,
+          text: `There's no saved search called "${searchName || ''}". Use \`/request-search saved\` to list yours and the team's.`
+        });
+        return;
+      }
+      
+      query = search.query;
+    }
+    
+    // Results are only shown to the searcher until they share them
+    const state = { query, offset: 0 };
+    const { error, page } = await runSearch(state, body.user_id);
     
-    // Remove the last divider
-    if (resultBlocks.length > 1) {
-      resultBlocks.pop();
+    if (error) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: `Couldn't read your search: ${error}`
+      });
+      return;
     }
     
-    // Add note if results were truncated
-    if (results.length > 10) {
-      resultBlocks.push({
-        type: "context",
-        elements: [
-          {
-            type: "mrkdwn",
-            text: `_Showing 10 of ${results.length} results. Refine your search for more specific results._`
-          }
-        ]
+    if (page.total === 0) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: `No results found for "${query}"`
       });
+      return;
     }
 
-    // Add a help context at the bottom
-    resultBlocks.push({
-      type: "context",
-      elements: [
-        {
-          type: "mrkdwn",
-          text: "_Try searching with specific fields: `/request-search customer:[name]`, `/request-search isbn:[number]`, etc._"
-        }
-      ]
-    });
-
-    await client.chat.postMessage({
+    await client.chat.postEphemeral({
       channel: body.channel_id,
-      blocks: resultBlocks
+      user: body.user_id,
+      text: `Search results for "${query}"`,
+      blocks: buildSearchResultsBlocks(state, page)
     });
   } catch (error) {
     console.error('Error searching requests:', error);
@@ -3170,12 +4002,68 @@ app.command('/request-search', async ({ body, ack, client }) => {
   }
 });
 
+// Page through or re-sort search results, replacing the searcher's results message
+app.action(/^search_(previous|next|sort_\w+)$/, async ({ body, ack, client, respond }) => {
+  await ack();
+  
+  try {
+    const state = decodeSearchState(body.actions[0].value);
+    const { error, page } = await runSearch(state, body.user.id);
+    
+    if (error) {
+      throw new Error(error);
+    }
+    
+    await respond({
+      replace_original: true,
+      text: `Search results for "${state.query}"`,
+      blocks: buildSearchResultsBlocks(state, page)
+    });
+  } catch (error) {
+    console.error('Error updating search results:', error);
+    
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Error updating search results: ${error.message}`
+    });
+  }
+});
+
+// Post the page of results the searcher is looking at to the channel
+app.action('search_share', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const state = decodeSearchState(body.actions[0].value);
+    const { error, page } = await runSearch(state, body.user.id);
+    
+    if (error) {
+      throw new Error(error);
+    }
+    
+    await client.chat.postMessage({
+      channel: body.channel.id,
+      text: `Search results for "${state.query}", shared by <@${body.user.id}>`,
+      blocks: buildSearchResultsBlocks(state, page, { sharedBy: body.user.id })
+    });
+  } catch (error) {
+    console.error('Error sharing search results:', error);
+    
+    await client.chat.postEphemeral({
+      channel: body.channel.id,
+      user: body.user.id,
+      text: `Error sharing search results: ${error.message}`
+    });
+  }
+});
+
 // Updated view_request_details handler to match your document structure
 app.action('view_request_details', async ({ body, ack, client }) => {
   await ack();
   
   try {
-    const requestId = body.actions[0].value;
+    const requestId = RequestIdGenerator.normalizeRequestId(body.actions[0].value);
     
     // Get request details - updated to find by requestId field
     const request = await UnifiedEventLogger.getRequestById(requestId);
@@ -3219,6 +4107,10 @@ app.action('view_request_details', async ({ body, ack, client }) => {
           {
             type: "mrkdwn",
             text: `*Created:* ${new Date(request.createdAt).toLocaleString()}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Assignee:* ${request.assignee ? `<@${request.assignee}>` : 'Unassigned'}`
           }
         ]
       }
@@ -3241,6 +4133,12 @@ app.action('view_request_details', async ({ body, ack, client }) => {
       });
     }
     
+    const catalogBlock = buildCatalogBlock(request);
+    
+    if (catalogBlock) {
+      detailsBlocks.push(catalogBlock);
+    }
+    
     // Add details section
     detailsBlocks.push({
       type: "section",
@@ -3250,6 +4148,42 @@ app.action('view_request_details', async ({ body, ack, client }) => {
       }
     });
     
+    const lineItemsBlock = RequestTypes.hasLineItems(request.type) ? buildLineItemsBlock(request) : null;
+    
+    if (lineItemsBlock) {
+      detailsBlocks.push(lineItemsBlock);
+    }
+    
+    // Add the payments ledger
+    const paymentsBlock = buildPaymentsBlock(request);
+    
+    if (paymentsBlock) {
+      const paymentLines = (request.payments || []).map(payment =>
+        `• ${payment.date}: ${formatCents(payment.amountCents)} by ${payment.method} (order ${payment.orderNumber})`
+      );
+      
+      paymentsBlock.text.text = [paymentsBlock.text.text, ...paymentLines].join('\n');
+      detailsBlocks.push(paymentsBlock);
+    }
+    
+    // Add the most recent notes
+    const notes = await UnifiedEventLogger.getRequestNotes(request.requestId);
+    
+    if (notes.length > 0) {
+      const noteLines = notes.slice(-5).map(note => {
+        const postedAt = new Date(note.additionalMetadata.postedAt || note.timestamp).toLocaleString();
+        return `• <@${note.userId}> (${postedAt}): ${note.additionalMetadata.text}`;
+      });
+      
+      detailsBlocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Notes* (${notes.length}):\n${noteLines.join('\n')}`
+        }
+      });
+    }
+    
     // Add order details if available
     const orderFields = [];
     if (request.order_number) orderFields.push({ type: "mrkdwn", text: `*Order Number:* ${request.order_number}` });
@@ -3291,7 +4225,11 @@ app.action('view_request_details', async ({ body, ack, client }) => {
       
       detailsBlocks.push({
         type: "actions",
-        elements: getActionButtons(request.requestId, requestType, request.status)
+        elements: [
+          ...getActionButtons(request.requestId, requestType, request.status, request.version || 0, request),
+          getEditButton(request.requestId, requestType, request.version || 0),
+          getRecordPaymentButton(request.requestId, requestType, request.version || 0)
+        ]
       });
     }
     
@@ -3329,18 +4267,262 @@ app.action('view_request_details', async ({ body, ack, client }) => {
   }
 });
 
+// List the caller's open requests, grouped by status
+app.command('/request-mine', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const assigned = await UnifiedEventLogger.getRequestsByAssignee(body.user_id);
+    const openRequests = assigned.filter(request => !RequestTypes.isFinalStatus(request.type, request.status));
+    
+    if (openRequests.length === 0) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: "You have no open requests assigned to you. Use *Assign to me* on a request card to take one on."
+      });
+      return;
+    }
+    
+    const byStatus = openRequests.reduce((acc, request) => {
+      (acc[request.status] = acc[request.status] || []).push(request);
+      return acc;
+    }, {});
+    
+    // Show statuses in workflow order, with any unusual ones at the end
+    const statusOrder = [...new Set([
+      ...RequestTypes.listRequestTypes().flatMap(definition => definition.statuses),
+      ...Object.keys(byStatus)
+    ])];
+    
+    const blocks = [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Your open requests* (${openRequests.length})`
+        }
+      }
+    ];
+    
+    for (const status of statusOrder.filter(status => byStatus[status])) {
+      const lines = byStatus[status].slice(0, 20).map(request => {
+        const due = request.dateNeeded || request.pickupDate;
+        return `• *${request.requestId}* ${formatRequestTypeName(request.type)} — ${request.customerName || 'N/A'}${due ? ` (due ${due})` : ''}`;
+      });
+      
+      if (byStatus[status].length > 20) {
+        lines.push(`_…and ${byStatus[status].length - 20} more_`);
+      }
+      
+      blocks.push(
+        { type: "divider" },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*${status}* (${byStatus[status].length})\n${lines.join('\n')}`
+          }
+        }
+      );
+    }
+    
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `You have ${openRequests.length} open requests`,
+      blocks
+    });
+  } catch (error) {
+    console.error('Error listing assigned requests:', error);
+    
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `Error listing your requests: ${error.message}`
+    });
+  }
+});
+
+// One line per request in the customer profile
+const formatCustomerRequestLine = (request) => {
+  const created = new Date(request.createdAt).toLocaleDateString();
+  return `• *${request.requestId}* ${formatRequestTypeName(request.type)} — ${request.status} (${created})`;
+};
+
+// Build the profile for one customer: contact details, lifetime totals, open and past requests
+const buildCustomerProfileBlocks = (customer, requests) => {
+  const { open, past, totals } = CustomerService.summarizeRequests(requests);
+  const contacts = [...(customer.emails || []), ...(customer.phones || [])].join(', ') || 'N/A';
+  
+  const listRequests = (list, limit) => {
+    const lines = list.slice(0, limit).map(formatCustomerRequestLine);
+    
+    if (list.length > limit) {
+      lines.push(`_…and ${list.length - limit} more_`);
+    }
+    
+    return lines.length > 0 ? lines.join('\n') : '_None_';
+  };
+  
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${customer.name}* (${customer.customerId})\n*Contact:* ${contacts}\n*Customer since:* ${new Date(customer.createdAt).toLocaleDateString()}`
+      }
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Requests:* ${totals.requests}` },
+        { type: "mrkdwn", text: `*Open:* ${totals.open}` },
+        { type: "mrkdwn", text: `*Completed:* ${totals.completed}` },
+        { type: "mrkdwn", text: `*Cancelled:* ${totals.cancelled}` },
+        { type: "mrkdwn", text: `*Ordered:* ${formatCents(totals.orderedCents)}` },
+        { type: "mrkdwn", text: `*Paid:* ${formatCents(totals.paidCents)}` }
+      ]
+    },
+    { type: "divider" },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Open requests* (${open.length})\n${listRequests(open, 15)}`
+      }
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*Past requests* (${past.length})\n${listRequests(past, 10)}`
+      }
+    }
+  ];
+};
+
+// Look up a customer by name, email or phone: /request-customer jane@example.com
+app.command('/request-customer', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const text = body.text.trim();
+    
+    if (!text) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: "Usage: `/request-customer [name, email or phone]`, e.g. `/request-customer smith` or `/request-customer 555-123-4567`"
+      });
+      return;
+    }
+    
+    const customers = await CustomerService.findCustomers(text);
+    
+    if (customers.length === 0) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: `No customers found matching "${text}".`
+      });
+      return;
+    }
+    
+    // Several people share the name: list them so the search can be narrowed by contact
+    if (customers.length > 1) {
+      const lines = customers.map(customer => {
+        const contacts = [...(customer.emails || []), ...(customer.phones || [])].join(', ');
+        return `• *${customer.name}* (${customer.customerId}) — ${contacts}`;
+      });
+      
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: `${customers.length} customers match "${text}". Search by email or phone to see one:\n${lines.join('\n')}`
+      });
+      return;
+    }
+    
+    const [customer] = customers;
+    const requests = await CustomerService.getCustomerRequests(customer.customerId);
+    
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `Customer ${customer.name} (${customer.customerId})`,
+      blocks: buildCustomerProfileBlocks(customer, requests)
+    });
+  } catch (error) {
+    console.error('Error looking up customer:', error);
+    
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `Error looking up customer: ${error.message}`
+    });
+  }
+});
+
+// Add a note to a request: /request-note SO-2026-0042 Customer called to check in
+app.command('/request-note', async ({ body, ack, client }) => {
+  await ack();
+  
+  try {
+    const [rawRequestId, ...words] = (body.text || '').trim().split(/\s+/);
+    const text = words.join(' ').trim();
+    
+    if (!rawRequestId || !text) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: "Please provide a request ID and a note. Usage: `/request-note [REQUEST-ID] [note]`"
+      });
+      return;
+    }
+    
+    const requestId = RequestIdGenerator.normalizeRequestId(rawRequestId);
+    const request = await UnifiedEventLogger.getRequestById(requestId);
+    
+    if (!request) {
+      await client.chat.postEphemeral({
+        channel: body.channel_id,
+        user: body.user_id,
+        text: `No request found with ID ${requestId}`
+      });
+      return;
+    }
+    
+    await saveRequestNote(client, request, text, body.user_id, 'command');
+    
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `:memo: Note added to *${requestId}*`
+    });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: `Error adding note: ${error.message}`
+    });
+  }
+});
+
 // Add command to view request history
 app.command('/request-history', async ({ body, ack, client }) => {
   await ack();
   
   try {
-    const requestId = body.text.trim();
+    const requestId = RequestIdGenerator.normalizeRequestId(body.text);
     
     if (!requestId) {
       await client.chat.postEphemeral({
         channel: body.channel_id,
         user: body.user_id,
-        text: "Please provide a request ID. Usage: `/request-history [REQUEST-ID]`"
+        text: "Please provide a request ID. Usage: `/request-history [REQUEST-ID]` (e.g. `SO-2026-0042`)"
       });
       return;
     }
@@ -3368,24 +4550,50 @@ app.command('/request-history', async ({ body, ack, client }) => {
     ];
     
     history.forEach(event => {
-      const timestamp = new Date(event.Timestamp).toLocaleString();
-      let eventText = `*${timestamp}*: ${event.Action}`;
+      // Events are stored with camelCase fields; older log imports used PascalCase
+      const action = event.action || event.Action;
+      const userId = event.userId || event.UserId;
+      const previousStatus = event.previousStatus || event.PreviousStatus;
+      const newStatus = event.newStatus || event.NewStatus;
+      const timestamp = new Date(event.timestamp || event.Timestamp).toLocaleString();
+      let eventText = `*${timestamp}*: ${action}`;
       
-      if (event.UserId) {
-        eventText += ` by <@${event.UserId}>`;
+      if (userId) {
+        eventText += ` by <@${userId}>`;
       }
       
-      if (event.PreviousStatus && event.NewStatus) {
-        eventText += `\nStatus changed from *${event.PreviousStatus}* to *${event.NewStatus}*`;
+      if (previousStatus && newStatus) {
+        eventText += `\nStatus changed from *${previousStatus}* to *${newStatus}*`;
       }
       
-      if (event.AdditionalMetadata) {
+      const rawMetadata = event.additionalMetadata || event.AdditionalMetadata;
+      
+      if (action === 'NOTE_ADDED' && rawMetadata) {
+        eventText += `\n> ${rawMetadata.text}`;
+      } else if (action === 'ITEMS_RECEIVED' && rawMetadata) {
+        eventText += `\n• ${rawMetadata.lineId}: ${rawMetadata.quantity} received on ${rawMetadata.receivedDate} (${rawMetadata.quantityReceived} of ${rawMetadata.quantityOrdered})`;
+      } else if (action === 'PAYMENT_RECORDED' && rawMetadata) {
+        const balance = rawMetadata.balanceDueCents === null || rawMetadata.balanceDueCents === undefined
+          ? ''
+          : `, balance due ${formatCents(Math.max(0, rawMetadata.balanceDueCents))}`;
+        eventText += `\n• ${formatCents(rawMetadata.amountCents)} by ${rawMetadata.method} on ${rawMetadata.date} (order ${rawMetadata.orderNumber})${balance}`;
+      } else if (action === 'LINE_ITEMS_UPDATED' && rawMetadata && rawMetadata.changes) {
+        rawMetadata.changes.forEach(change => {
+          eventText += `\n• ${change}`;
+        });
+      } else if (action === 'REQUEST_EDITED' && rawMetadata && rawMetadata.changes) {
+        Object.entries(rawMetadata.changes).forEach(([key, change]) => {
+          eventText += `\n• ${formatFieldLabel(key)}: ${change.before || '_(empty)_'} → ${change.after || '_(empty)_'}`;
+        });
+      } else if (rawMetadata) {
         try {
-          const metadata = JSON.parse(event.AdditionalMetadata);
+          const metadata = typeof rawMetadata === 'string' ? JSON.parse(rawMetadata) : rawMetadata;
           if (Object.keys(metadata).length > 0) {
             eventText += "\nAdditional data:";
             Object.entries(metadata).forEach(([key, value]) => {
-              if (key !== 'previousStatus' && key !== 'newStatus') {
+              if (key === 'lineItems' && Array.isArray(value)) {
+                eventText += `\n• Items: ${value.map(formatLineItem).join('; ')}`;
+              } else if (key !== 'previousStatus' && key !== 'newStatus') {
                 eventText += `\n• ${formatFieldLabel(key)}: ${value}`;
               }
             });
@@ -3433,12 +4641,19 @@ app.error(async (error) => {
     // Start the Slack app with Socket Mode
     await app.start();
     console.log('⚡️ Request Management app connected via Socket Mode!');
+    
+    // Background jobs (reminders, etc.) can be turned off with SCHEDULER_ENABLED=false
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      Scheduler.registerJob('request_reminders', ReminderService.getIntervalMs(), (context) => ReminderService.runReminders(context));
+      Scheduler.registerJob('book_hold_expiry', HoldExpiryService.getIntervalMs(), (context) => HoldExpiryService.runSweep(context));
+      Scheduler.registerJob('search_subscriptions', SavedSearchService.getIntervalMs(), (context) => SavedSearchService.runSubscriptions(context));
+      Scheduler.start({ client: app.client });
+    }
   } catch (error) {
     console.error('Failed to start app:', error);
   }
 })();
 
 module.exports = {
-  app,
-  createSpecialRequestModal
+  app
 };
\ No newline at end of file
@@ -37,10 +37,100 @@ async function getCollections() {
   
   return {
     requests: db.collection('requests'),
-    events: db.collection('events')
+    events: db.collection('events'),
+    counters: db.collection('counters'),
+    scheduledJobs: db.collection('scheduled_jobs'),
+    reminders: db.collection('reminders'),
+    userPreferences: db.collection('user_preferences'),
+    customers: db.collection('customers'),
+    savedSearches: db.collection('saved_searches'),
+    searchNotifications: db.collection('search_notifications')
   };
 }
 
+// Indexes behind searches and lookups. The text index serves free text searches, so
+// it covers what people type: names, contacts, details, ISBNs, vendors and titles.
+// Language 'none' keeps names and ISBNs from being stemmed or dropped as stop words.
+const INDEXES = {
+  requests: [
+    { key: { requestId: 1 } },
+    { key: { createdAt: -1 } },
+    { key: { type: 1, status: 1 } },
+    { key: { customerId: 1 } },
+    { key: { assignee: 1 } },
+    { key: { email: 1 } },
+    { key: { phone: 1 } },
+    { key: { isbn: 1 } },
+    { key: { 'lineItems.isbn': 1 } },
+    { key: { customerNamePhonetic: 1 } },
+    { key: { customerNameVariants: 1 } },
+    {
+      key: {
+        customerName: 'text',
+        customerContact: 'text',
+        details: 'text',
+        isbn: 'text',
+        isbn10: 'text',
+        vendorPublisher: 'text',
+        'lineItems.vendor': 'text',
+        'lineItems.title': 'text',
+        'catalog.title': 'text',
+        'lineItems.catalog.title': 'text'
+      },
+      name: 'request_text_search',
+      default_language: 'none',
+      weights: {
+        customerName: 10,
+        isbn: 10,
+        isbn10: 10,
+        'lineItems.title': 5,
+        'catalog.title': 5,
+        'lineItems.catalog.title': 5
+      }
+    }
+  ],
+  customers: [
+    { key: { customerId: 1 } },
+    { key: { emails: 1 } },
+    { key: { phones: 1 } }
+  ],
+  events: [
+    { key: { requestId: 1, timestamp: -1 } },
+    { key: { action: 1, timestamp: 1 } }
+  ],
+  saved_searches: [
+    { key: { name: 1, shared: 1, ownerId: 1 } },
+    { key: { subscribers: 1 } }
+  ],
+  // Only notifications waiting for a retry have failedAt
+  search_notifications: [
+    { key: { failedAt: 1 }, sparse: true }
+  ]
+};
+
+/**
+ * Create the indexes the app relies on. Existing indexes are left as they are, so
+ * this is safe to run at every startup. An index that can't be created (say, a text
+ * index already defined differently) is logged and the others are still created.
+ */
+async function ensureIndexes() {
+  const { db } = await connectToDatabase();
+  let failed = 0;
+
+  for (const [collectionName, indexes] of Object.entries(INDEXES)) {
+    for (const { key, ...options } of indexes) {
+      try {
+        await db.collection(collectionName).createIndex(key, options);
+      } catch (error) {
+        failed++;
+        console.error(`Failed to create index on ${collectionName} ${JSON.stringify(key)}:`, error.message);
+      }
+    }
+  }
+
+  console.log(failed ? `MongoDB indexes checked, ${failed} could not be created` : 'MongoDB indexes are in place');
+}
+
 /**
  * Close the MongoDB connection
  */
@@ -65,7 +155,9 @@ process.on('SIGTERM', async () => {
 });
 
 module.exports = {
+  INDEXES,
   connectToDatabase,
   getCollections,
+  ensureIndexes,
   closeConnection
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+// integrations/catalog/catalogAdapter.js
+//
+// Looks up title, author, publisher, format and list price for an ISBN through a
+// pluggable provider. A provider is an object with a `name` and `async lookup(isbn)`
+// returning `{ title, author, publisher, format, listPrice }` or null when it doesn't
+// know the ISBN. CATALOG_PROVIDER selects the provider (default 'local', which reads a
+// catalog file; see providers/localCatalogProvider.js).
+const { parseAmountToCents } = require('../../utils/payments');
+const { canonicalizeISBN } = require('../../utils/validation');
+
+// Providers are loaded lazily so unused ones don't need their configuration
+const PROVIDERS = {
+  local: () => require('./providers/localCatalogProvider')
+};
+
+// Lookups happen before a form submission is acknowledged, which Slack allows 3 seconds,
+// so CATALOG_LOOKUP_TIMEOUT_MS can lower the timeout but not raise it past the maximum
+const DEFAULT_TIMEOUT_MS = 1500;
+const MAX_TIMEOUT_MS = 2000;
+
+class CatalogAdapter {
+  // Make another provider available to CATALOG_PROVIDER
+  registerProvider(name, loadProvider) {
+    PROVIDERS[name] = loadProvider;
+  }
+
+  getProvider() {
+    const name = process.env.CATALOG_PROVIDER || 'local';
+    const loadProvider = PROVIDERS[name];
+
+    if (!loadProvider) {
+      throw new Error(`Unknown catalog provider: ${name}`);
+    }
+
+    return loadProvider();
+  }
+
+  // Providers are asked for the canonical ISBN-13 (or the SKU as typed)
+  normalizeIsbn(isbn) {
+    return canonicalizeISBN(isbn).isbn;
+  }
+
+  /**
+   * Look up catalog details for an ISBN. Failures and slow providers are logged and
+   * treated as no match, so a lookup never holds up a request.
+   * @param {string} isbn - ISBN as typed
+   * @param {object} [options] - { timeoutMs } to give up sooner than the configured timeout
+   * @returns {object|null} - { isbn, title, author, publisher, format, listPriceCents, provider }
+   */
+  async lookup(isbn, { timeoutMs: maxTimeoutMs = MAX_TIMEOUT_MS } = {}) {
+    const normalized = this.normalizeIsbn(isbn);
+
+    if (!normalized || maxTimeoutMs <= 0) {
+      return null;
+    }
+
+    let timer;
+
+    try {
+      const provider = this.getProvider();
+      const timeoutMs = Math.min(Number(process.env.CATALOG_LOOKUP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS, MAX_TIMEOUT_MS, maxTimeoutMs);
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+      });
+
+      const record = await Promise.race([provider.lookup(normalized), timeout]);
+
+      if (!record) {
+        return null;
+      }
+
+      const listPriceCents = record.listPrice ? parseAmountToCents(record.listPrice) : null;
+
+      return {
+        isbn: normalized,
+        title: record.title || '',
+        author: record.author || '',
+        publisher: record.publisher || '',
+        format: record.format || '',
+        listPriceCents: Number.isFinite(listPriceCents) ? listPriceCents : null,
+        provider: provider.name
+      };
+    } catch (error) {
+      console.error(`Catalog lookup failed for ${isbn}:`, error.message);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new CatalogAdapter();
@@ -0,0 +1,134 @@
+// integrations/catalog/providers/localCatalogProvider.js
+//
+// Catalog provider backed by a local file, CATALOG_FILE (default data/catalog.json at
+// the project root). A .json file holds an array of records; a .csv file has a header
+// row. Either way the columns are isbn, title, author, publisher, format and
+// list_price (or listPrice); ISBNs may be ISBN-10 or ISBN-13, with or without hyphens.
+// The file is re-read when it changes.
+const fs = require('fs');
+const path = require('path');
+const { canonicalizeISBN } = require('../../../utils/validation');
+
+// Split CSV text into rows of cells, handling quoted cells with commas, newlines and ""
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Turn CSV rows into records keyed by the header row
+const csvToRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => keys.reduce((record, key, index) => {
+    record[key] = (cells[index] || '').trim();
+    return record;
+  }, {}));
+};
+
+class LocalCatalogProvider {
+  constructor() {
+    this.name = 'local';
+    this.loadedPath = null;
+    this.loadedAt = 0;
+    this.records = new Map();
+  }
+
+  getCatalogPath() {
+    return process.env.CATALOG_FILE || path.join(__dirname, '../../../../data/catalog.json');
+  }
+
+  // Read the catalog file into a map keyed by ISBN, unless it hasn't changed
+  load() {
+    const catalogPath = this.getCatalogPath();
+    let stats;
+
+    try {
+      stats = fs.statSync(catalogPath);
+    } catch (error) {
+      if (this.loadedPath !== catalogPath) {
+        console.warn(`Catalog file ${catalogPath} not found, so ISBN lookups will find nothing`);
+        this.loadedPath = catalogPath;
+        this.records = new Map();
+      }
+      return this.records;
+    }
+
+    if (this.loadedPath === catalogPath && this.loadedAt === stats.mtimeMs) {
+      return this.records;
+    }
+
+    const text = fs.readFileSync(catalogPath, 'utf8');
+    const records = catalogPath.toLowerCase().endsWith('.csv') ? csvToRecords(text) : JSON.parse(text);
+
+    this.records = new Map(records
+      .filter(record => record.isbn)
+      .map(record => [canonicalizeISBN(String(record.isbn)).isbn, record]));
+    this.loadedPath = catalogPath;
+    this.loadedAt = stats.mtimeMs;
+
+    console.log(`Loaded ${this.records.size} catalog records from ${catalogPath}`);
+    return this.records;
+  }
+
+  async lookup(isbn) {
+    const record = this.load().get(isbn);
+
+    if (!record) {
+      return null;
+    }
+
+    return {
+      title: record.title || '',
+      author: record.author || '',
+      publisher: record.publisher || '',
+      format: record.format || '',
+      listPrice: record.list_price || record.listPrice || ''
+    };
+  }
+}
+
+module.exports = new LocalCatalogProvider();
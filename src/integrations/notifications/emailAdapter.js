@@ -0,0 +1,55 @@
+// integrations/notifications/emailAdapter.js
+//
+// Sends customer email over SMTP. For local testing point SMTP_HOST/SMTP_PORT at an
+// SMTP sink such as MailHog or smtp4dev (e.g. localhost:1025) instead of a real server.
+const nodemailer = require('nodemailer');
+
+class EmailAdapter {
+  constructor() {
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (this.transport) {
+      return this.transport;
+    }
+
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured, so email notifications cannot be sent');
+    }
+
+    const options = {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true'
+    };
+
+    if (process.env.SMTP_USER) {
+      options.auth = {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      };
+    }
+
+    this.transport = nodemailer.createTransport(options);
+    return this.transport;
+  }
+
+  /**
+   * Send a plain text email
+   * @param {object} message - { to, subject, body }
+   * @returns {object} - { provider, messageId }
+   */
+  async send({ to, subject, body }) {
+    const info = await this.getTransport().sendMail({
+      from: process.env.NOTIFICATION_FROM_EMAIL || process.env.SMTP_USER,
+      to,
+      subject,
+      text: body
+    });
+
+    return { provider: 'smtp', messageId: info.messageId };
+  }
+}
+
+module.exports = new EmailAdapter();
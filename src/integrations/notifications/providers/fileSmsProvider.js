@@ -0,0 +1,35 @@
+// integrations/notifications/providers/fileSmsProvider.js
+//
+// SMS provider that writes messages to a local outbox file instead of sending them.
+// Used until a real SMS provider is configured, and for testing.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileSmsProvider {
+  constructor() {
+    this.name = 'file';
+  }
+
+  getOutboxPath() {
+    return process.env.SMS_OUTBOX_FILE || path.join(__dirname, '../../../../logs/sms_outbox.log');
+  }
+
+  async send({ to, body }) {
+    const messageId = `file-${crypto.randomUUID()}`;
+    const entry = {
+      messageId,
+      to,
+      body,
+      sentAt: new Date().toISOString()
+    };
+
+    const outboxPath = this.getOutboxPath();
+    fs.mkdirSync(path.dirname(outboxPath), { recursive: true });
+    fs.appendFileSync(outboxPath, `${JSON.stringify(entry)}\n`);
+
+    return { messageId };
+  }
+}
+
+module.exports = new FileSmsProvider();
@@ -0,0 +1,50 @@
+// integrations/notifications/smsAdapter.js
+//
+// Sends customer SMS through a pluggable provider. A provider is an object with a
+// `name` and `async send({ to, body })` returning `{ messageId }`. SMS_PROVIDER selects
+// the provider (default 'file', which writes to a local outbox instead of sending).
+// Numbers are sent in E.164 form, the same as they're stored on requests and customers.
+const { normalizePhoneNumber } = require('../../utils/validation');
+
+// Providers are loaded lazily so unused ones don't need their configuration
+const PROVIDERS = {
+  file: () => require('./providers/fileSmsProvider')
+};
+
+class SmsAdapter {
+  // Make another provider available to SMS_PROVIDER
+  registerProvider(name, loadProvider) {
+    PROVIDERS[name] = loadProvider;
+  }
+
+  getProvider() {
+    const name = process.env.SMS_PROVIDER || 'file';
+    const loadProvider = PROVIDERS[name];
+
+    if (!loadProvider) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+
+    return loadProvider();
+  }
+
+  /**
+   * Send a text message
+   * @param {object} message - { to, body }
+   * @returns {object} - { provider, messageId }
+   */
+  async send({ to, body }) {
+    const phone = normalizePhoneNumber(to);
+
+    if (!phone) {
+      throw new Error(`"${to || ''}" isn't a phone number a text can be sent to`);
+    }
+
+    const provider = this.getProvider();
+    const result = await provider.send({ to: phone, body });
+
+    return { provider: provider.name, messageId: result.messageId };
+  }
+}
+
+module.exports = new SmsAdapter();
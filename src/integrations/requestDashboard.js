@@ -1,5 +1,6 @@
 // integrations/requestDashboard.js
 const { getCollections } = require('../database/mongodb');
+const { getRequestLineItems, getOutstandingQuantity } = require('../requestTypes/lineItems');
 
 class RequestDashboard {
   constructor() {
@@ -44,9 +45,13 @@ class RequestDashboard {
       pendingRequests: 0,
       completedRequests: 0,
       inProgressRequests: 0,
+      cancelledRequests: 0,
       averagePriority: 0,
       requestsByType: {},
-      requestsByPriority: {}
+      requestsByPriority: {},
+      cancellationsByReason: {},
+      cancellationsByType: {},
+      outstandingByVendor: {}
     };
 
     // Priority mapping
@@ -72,11 +77,35 @@ class RequestDashboard {
           break;
         case 'IN_PROGRESS':
         case 'ORDERED':
+        case 'PARTIALLY_RECEIVED':
         case 'RECEIVED':
         case 'NOTIFIED':
         case 'PAID':
           metrics.inProgressRequests++;
           break;
+        case 'CANCELLED':
+          metrics.cancelledRequests++;
+          break;
+      }
+
+      // Cancellation breakdown (requests cancelled before reasons were recorded are 'unspecified')
+      if (row.status === 'CANCELLED') {
+        const reason = row.cancellation_reason || 'unspecified';
+        metrics.cancellationsByReason[reason] =
+          (metrics.cancellationsByReason[reason] || 0) + 1;
+        metrics.cancellationsByType[row.type] =
+          (metrics.cancellationsByType[row.type] || 0) + 1;
+      }
+
+      // Copies ordered from each vendor that haven't arrived yet, on open requests
+      if (row.status !== 'CANCELLED' && row.status !== 'COMPLETED') {
+        getRequestLineItems(row)
+          .filter(line => line.status === 'ORDERED' || line.status === 'PARTIALLY_RECEIVED')
+          .forEach(line => {
+            const vendor = line.vendor || row.vendorPublisher || 'Unknown vendor';
+            metrics.outstandingByVendor[vendor] =
+              (metrics.outstandingByVendor[vendor] || 0) + getOutstandingQuantity(line);
+          });
       }
 
       // Type counting
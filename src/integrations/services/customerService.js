@@ -0,0 +1,138 @@
+// integrations/services/customerService.js
+//
+// Customers are shared across requests. A customer is identified by their normalized
+// email addresses and phone numbers, and each request stores the customerId of the
+// customer it was created for.
+const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const { normalizeContact, escapeRegExp } = require('../../utils/validation');
+const { getPaidCents, parseAmountToCents } = require('../../utils/payments');
+
+// Most customers listed when a name matches more than one
+const MATCH_LIMIT = 10;
+
+class CustomerService {
+  // Reduce a contact to the forms customers are keyed by: lowercased email and E.164 phone
+  getContactKeys(contact) {
+    const { email, phone } = normalizeContact(contact);
+
+    return {
+      emails: email ? [email] : [],
+      phones: phone ? [phone] : []
+    };
+  }
+
+  // MongoDB conditions matching customers who share any of the given contacts
+  buildContactQuery({ emails, phones }) {
+    const conditions = [
+      ...emails.map(email => ({ emails: email })),
+      ...phones.map(phone => ({ phones: phone }))
+    ];
+
+    return conditions.length > 0 ? { $or: conditions } : null;
+  }
+
+  // Customer IDs look like CU-00042
+  async generateCustomerId() {
+    const { counters } = await getCollections();
+    const result = await counters.findOneAndUpdate(
+      { _id: 'customer' },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    // Driver v5 wraps the document in { value }, later versions return it directly
+    const counter = result && result.value !== undefined ? result.value : result;
+
+    return `CU-${String(counter.seq).padStart(5, '0')}`;
+  }
+
+  /**
+   * Find the customer with this contact, creating them if needed, and keep their name current
+   * @param {object} customer - { name, contact }
+   * @returns {string|null} - The customerId, or null when the contact can't be normalized
+   */
+  async upsertCustomer({ name, contact }) {
+    const contacts = this.getContactKeys(contact);
+    const query = this.buildContactQuery(contacts);
+
+    if (!query) {
+      return null;
+    }
+
+    const { customers } = await getCollections();
+    const now = new Date();
+    const existing = await customers.findOne(query);
+
+    if (existing) {
+      await customers.updateOne(
+        { customerId: existing.customerId },
+        {
+          $set: { name, updatedAt: now, lastRequestAt: now },
+          $addToSet: {
+            emails: { $each: contacts.emails },
+            phones: { $each: contacts.phones }
+          }
+        }
+      );
+
+      return existing.customerId;
+    }
+
+    const customerId = await this.generateCustomerId();
+
+    await customers.insertOne({
+      customerId,
+      name,
+      ...contacts,
+      createdAt: now,
+      updatedAt: now,
+      lastRequestAt: now
+    });
+
+    return customerId;
+  }
+
+  // Look customers up by contact when the text is an email or phone number, otherwise by name
+  async findCustomers(text) {
+    const { customers } = await getCollections();
+    const contactQuery = this.buildContactQuery(this.getContactKeys(text));
+
+    if (contactQuery) {
+      return customers.find(contactQuery).limit(MATCH_LIMIT).toArray();
+    }
+
+    return customers
+      .find({ name: { $regex: escapeRegExp(text.trim()), $options: 'i' } })
+      .sort({ lastRequestAt: -1 })
+      .limit(MATCH_LIMIT)
+      .toArray();
+  }
+
+  // A customer's requests, newest first
+  async getCustomerRequests(customerId) {
+    const { requests } = await getCollections();
+    return requests.find({ customerId }).sort({ createdAt: -1 }).toArray();
+  }
+
+  // Split a customer's requests into open and past, with lifetime totals
+  summarizeRequests(requests) {
+    const open = requests.filter(request => !RequestTypes.isFinalStatus(request.type, request.status));
+    const past = requests.filter(request => RequestTypes.isFinalStatus(request.type, request.status));
+
+    const totals = {
+      requests: requests.length,
+      open: open.length,
+      completed: past.filter(request => request.status === 'COMPLETED').length,
+      cancelled: past.filter(request => request.status === 'CANCELLED').length,
+      paidCents: requests.reduce((sum, request) => sum + getPaidCents(request), 0),
+      orderedCents: requests
+        .filter(request => request.status !== 'CANCELLED' && request.totalAmount)
+        .reduce((sum, request) => sum + parseAmountToCents(request.totalAmount), 0)
+    };
+
+    return { open, past, totals };
+  }
+}
+
+module.exports = new CustomerService();
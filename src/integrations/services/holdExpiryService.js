@@ -0,0 +1,155 @@
+// integrations/services/holdExpiryService.js
+//
+// Daily sweep for book holds whose pickup date (plus a grace period) has passed.
+// Each expired hold gets one prompt in its card thread asking staff to extend the
+// hold, contact the customer, or release it to the EXPIRED status.
+const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const UnifiedEventLogger = require('./unifiedEventLogger');
+const ReminderService = require('./reminderService');
+const { encodeRequestRef } = require('../../utils/requestRef');
+const { formatLocalDate, parseLocalDate } = require('../../utils/validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getGraceDays = () => {
+  const days = Number(process.env.BOOK_HOLD_GRACE_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : 2;
+};
+
+const getExtendDays = () => Number(process.env.BOOK_HOLD_EXTEND_DAYS) || 7;
+
+// Build the buttons for an expiry prompt. References carry the status only, so
+// the prompt stays usable after unrelated edits to the request.
+const buildExpiryPromptBlocks = (request) => {
+  const ref = { requestId: request.requestId, requestType: request.type, expectedStatus: request.status };
+
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:hourglass: *Hold expired* — ${request.customerName} hasn't picked up hold *${request.requestId}* ` +
+          `(pickup date ${request.pickupDate}). Extend, contact the customer, or release the hold?`
+      }
+    },
+    {
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          text: { type: "plain_text", text: `Extend ${getExtendDays()} days` },
+          value: encodeRequestRef(ref),
+          action_id: "hold_expiry_extend"
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Contact Customer" },
+          value: encodeRequestRef(ref),
+          action_id: "hold_expiry_contact"
+        },
+        {
+          type: "button",
+          text: { type: "plain_text", text: "Release Hold" },
+          value: encodeRequestRef(ref),
+          action_id: "hold_expiry_release",
+          style: "danger"
+        }
+      ]
+    }
+  ];
+};
+
+// Sent at most once per pickup date, so extending a hold re-arms the prompt
+const HOLD_EXPIRED_RULE = {
+  id: 'hold_pickup_expired',
+  description: 'Book hold pickup date has passed',
+  query: ({ now }) => ({
+    type: 'book_hold',
+    pickupDate: { $lt: formatLocalDate(new Date(now.getTime() - getGraceDays() * DAY_MS)), $gt: '' }
+  }),
+  key: (request) => request.pickupDate,
+  message: (request) =>
+    `Hold expired: ${request.requestId} for ${request.customerName} was due for pickup on ${request.pickupDate}`,
+  blocks: buildExpiryPromptBlocks
+};
+
+class HoldExpiryService {
+  getIntervalMs() {
+    return DAY_MS;
+  }
+
+  // Scheduled job: prompt once for every open hold past its pickup date and grace period
+  async runSweep({ client, now = new Date() }) {
+    const { requests } = await getCollections();
+    const candidates = await requests.find(HOLD_EXPIRED_RULE.query({ now })).toArray();
+    const summary = { expired: 0, prompted: 0 };
+
+    for (const request of candidates) {
+      if (RequestTypes.isFinalStatus(request.type, request.status)) {
+        continue;
+      }
+
+      summary.expired++;
+
+      if (await ReminderService.sendReminderOnce(client, HOLD_EXPIRED_RULE, request, now)) {
+        summary.prompted++;
+      }
+    }
+
+    console.log(`Hold expiry sweep: ${summary.expired} expired holds, ${summary.prompted} prompted`);
+    return summary;
+  }
+
+  // Push the pickup date out from today (or the current pickup date, if later)
+  async extendHold(request, userId, now = new Date()) {
+    const today = parseLocalDate(formatLocalDate(now));
+    const current = request.pickupDate ? parseLocalDate(request.pickupDate) : today;
+    const base = current > today ? current : today;
+    const newPickupDate = formatLocalDate(new Date(base.getFullYear(), base.getMonth(), base.getDate() + getExtendDays()));
+
+    const result = await UnifiedEventLogger.updateRequestFields({
+      requestType: request.type,
+      requestId: request.requestId,
+      changes: { pickupDate: { before: request.pickupDate || '', after: newPickupDate } },
+      userId,
+      expectedVersion: request.version || 0
+    });
+
+    return { ...result, pickupDate: newPickupDate };
+  }
+
+  // Move the hold to EXPIRED, recording why on the request and the status change event
+  async releaseHold(request, userId) {
+    return UnifiedEventLogger.updateRequestStatus({
+      requestType: request.type,
+      requestId: request.requestId,
+      currentStatus: request.status,
+      newStatus: 'EXPIRED',
+      userId,
+      expectedVersion: request.version || 0,
+      additionalFields: {
+        expiry_reason: `Not picked up by ${request.pickupDate} (${getGraceDays()} day grace period); released by staff`,
+        released_by: userId,
+        updatedBy: userId,
+        updatedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  // Record that someone has taken on contacting the customer
+  async logCustomerContact(request, userId) {
+    return UnifiedEventLogger.logEvent({
+      requestType: request.type,
+      requestId: request.requestId,
+      action: 'HOLD_EXPIRY_CUSTOMER_CONTACT',
+      userId,
+      additionalMetadata: {
+        pickupDate: request.pickupDate,
+        customerContact: request.customerContact
+      }
+    });
+  }
+}
+
+module.exports = new HoldExpiryService();
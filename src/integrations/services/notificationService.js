@@ -0,0 +1,110 @@
+// integrations/services/notificationService.js
+const RequestTypes = require('../../requestTypes');
+const UnifiedEventLogger = require('./unifiedEventLogger');
+const EmailAdapter = require('../notifications/emailAdapter');
+const SmsAdapter = require('../notifications/smsAdapter');
+const { normalizeContact } = require('../../utils/validation');
+
+// Used for request types without their own notificationTemplate
+const DEFAULT_TEMPLATE = {
+  subject: 'Your request {requestId} is ready',
+  body: 'Hi {customerName},\n\nYour {typeName} ({requestId}) is ready for you at {storeName}.\n\nThank you!'
+};
+
+class NotificationService {
+  // Work out how to reach the customer, preferring email when both are on file. Requests
+  // saved before contacts were normalized only have the contact as typed.
+  getRecipient(request) {
+    const contact = request.email || request.phone
+      ? { email: request.email, phone: request.phone }
+      : normalizeContact(request.customerContact);
+
+    if (contact.email) {
+      return { channel: 'email', method: 'Email', to: contact.email };
+    }
+
+    if (contact.phone) {
+      return { channel: 'sms', method: 'SMS', to: contact.phone };
+    }
+
+    throw new Error(`Can't tell whether "${request.customerContact || ''}" is an email address or phone number`);
+  }
+
+  // Fill the request type's template with values from the request
+  buildMessage(request) {
+    const definition = RequestTypes.getRequestType(request.type);
+    const template = (definition && definition.notificationTemplate) || DEFAULT_TEMPLATE;
+    const values = {
+      ...request,
+      typeName: RequestTypes.formatRequestTypeName(request.type),
+      storeName: process.env.STORE_NAME || 'the store'
+    };
+
+    const render = (text) => text.replace(/\{(\w+)\}/g, (match, key) => {
+      return values[key] !== undefined && values[key] !== null ? String(values[key]) : '';
+    });
+
+    return {
+      subject: render(template.subject),
+      body: render(template.body)
+    };
+  }
+
+  /**
+   * Send a notification to the customer and record it in the events collection
+   * @param {object} request - Request document
+   * @param {object} options - { userId, subject, body } (subject/body default to the template)
+   * @returns {object} - { success, method, channel, to, messageId, error }
+   */
+  async sendCustomerNotification(request, options = {}) {
+    const { userId } = options;
+    let recipient;
+
+    try {
+      recipient = this.getRecipient(request);
+
+      const message = this.buildMessage(request);
+      const subject = options.subject || message.subject;
+      const body = options.body || message.body;
+
+      const delivery = recipient.channel === 'email'
+        ? await EmailAdapter.send({ to: recipient.to, subject, body })
+        : await SmsAdapter.send({ to: recipient.to, body });
+
+      await UnifiedEventLogger.logEvent({
+        requestType: request.type,
+        requestId: request.requestId,
+        action: 'CUSTOMER_NOTIFICATION_SENT',
+        userId,
+        additionalMetadata: {
+          channel: recipient.channel,
+          to: recipient.to,
+          subject: recipient.channel === 'email' ? subject : '',
+          body,
+          provider: delivery.provider,
+          messageId: delivery.messageId
+        }
+      });
+
+      return { success: true, ...recipient, messageId: delivery.messageId };
+    } catch (error) {
+      console.error(`Error notifying customer for ${request.requestId}:`, error);
+
+      await UnifiedEventLogger.logEvent({
+        requestType: request.type,
+        requestId: request.requestId,
+        action: 'CUSTOMER_NOTIFICATION_FAILED',
+        userId,
+        additionalMetadata: {
+          channel: recipient ? recipient.channel : '',
+          to: recipient ? recipient.to : request.customerContact,
+          error: error.message
+        }
+      });
+
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,69 @@
+// integrations/services/reminderRules.js
+//
+// Rules the reminder job checks against open requests. Each rule selects candidate
+// requests with a MongoDB query; `key` identifies what is being reminded about (e.g. the
+// date that passed), so a reminder goes out once per occurrence, and again only if that
+// value changes. Rules can be limited with REMINDER_RULES (comma separated rule IDs).
+const { formatLocalDate } = require('../../utils/validation');
+const { getRequestLineItems, getOutstandingQuantity } = require('../../requestTypes/lineItems');
+
+const getNotifiedUnpaidDays = () => Number(process.env.REMINDER_NOTIFIED_UNPAID_DAYS) || 7;
+
+const REMINDER_RULES = [
+  {
+    id: 'date_needed_passed',
+    description: 'Date needed has passed',
+    query: ({ today }) => ({ dateNeeded: { $lt: today, $gt: '' } }),
+    key: (request) => request.dateNeeded,
+    message: (request) =>
+      `:alarm_clock: Request *${request.requestId}* for ${request.customerName} was needed by *${request.dateNeeded}* and is still *${request.status}*.`
+  },
+  {
+    id: 'arrival_overdue',
+    description: 'Estimated arrival has passed without everything being received',
+    query: ({ today }) => ({ status: { $in: ['ORDERED', 'PARTIALLY_RECEIVED'] }, estimated_arrival: { $lt: today, $gt: '' } }),
+    key: (request) => request.estimated_arrival,
+    message: (request) => {
+      if (request.status === 'PARTIALLY_RECEIVED') {
+        const outstanding = getRequestLineItems(request)
+          .reduce((total, line) => total + getOutstandingQuantity(line), 0);
+
+        return `:package: Request *${request.requestId}* was expected to arrive by *${request.estimated_arrival}* but only part of it is in, with ${outstanding} ${outstanding === 1 ? 'copy' : 'copies'} still outstanding. Check with ${request.vendorPublisher || 'the vendor'}?`;
+      }
+
+      return `:package: Request *${request.requestId}* was expected to arrive by *${request.estimated_arrival}* but hasn't been marked received. Check with ${request.vendorPublisher || 'the vendor'}?`;
+    }
+  },
+  {
+    id: 'notified_unpaid',
+    description: 'Customer notified but has not paid',
+    query: ({ now }) => {
+      const cutoff = new Date(now);
+      cutoff.setDate(cutoff.getDate() - getNotifiedUnpaidDays());
+
+      return { status: 'NOTIFIED', notification_date: { $lte: formatLocalDate(cutoff), $gt: '' } };
+    },
+    key: (request) => request.notification_date,
+    message: (request) =>
+      `:money_with_wings: ${request.customerName} was notified about request *${request.requestId}* on *${request.notification_date}* and hasn't paid after ${getNotifiedUnpaidDays()} days.`
+  }
+];
+
+// Get the rules enabled by REMINDER_RULES (all rules when unset)
+const getEnabledRules = () => {
+  const enabledIds = (process.env.REMINDER_RULES || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (enabledIds.length === 0) {
+    return REMINDER_RULES;
+  }
+
+  return REMINDER_RULES.filter(rule => enabledIds.includes(rule.id));
+};
+
+module.exports = {
+  REMINDER_RULES,
+  getEnabledRules
+};
@@ -0,0 +1,123 @@
+// integrations/services/reminderService.js
+const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const UnifiedEventLogger = require('./unifiedEventLogger');
+const { getEnabledRules } = require('./reminderRules');
+const { formatLocalDate } = require('../../utils/validation');
+
+// Default time between reminder runs
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+class ReminderService {
+  getIntervalMs() {
+    const minutes = Number(process.env.REMINDER_INTERVAL_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+  }
+
+  // Scheduled job: evaluate every enabled rule and send reminders not already sent
+  async runReminders({ client, now = new Date() }) {
+    const { requests } = await getCollections();
+    const today = formatLocalDate(now);
+    const summary = { checked: 0, sent: 0, failed: 0 };
+
+    for (const rule of getEnabledRules()) {
+      const candidates = await requests.find(rule.query({ now, today })).toArray();
+
+      for (const request of candidates) {
+        if (RequestTypes.isFinalStatus(request.type, request.status)) {
+          continue;
+        }
+
+        summary.checked++;
+
+        const sent = await this.sendReminderOnce(client, rule, request, now);
+
+        if (sent === true) {
+          summary.sent++;
+        } else if (sent === false) {
+          summary.failed++;
+        }
+      }
+    }
+
+    console.log(`Reminder run: ${summary.sent} sent, ${summary.failed} failed, ${summary.checked} checked`);
+    return summary;
+  }
+
+  // Claim the reminder before sending so concurrent runs can't both send it. Returns
+  // true when sent, null when it had already been sent, false when sending failed.
+  async sendReminderOnce(client, rule, request, now) {
+    const { reminders } = await getCollections();
+    const key = String(rule.key(request));
+    const reminderId = `${request.requestId}:${rule.id}:${key}`;
+
+    const claim = await reminders.updateOne(
+      { _id: reminderId },
+      {
+        $setOnInsert: {
+          requestId: request.requestId,
+          ruleId: rule.id,
+          key,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    if (!claim.upsertedCount) {
+      return null;
+    }
+
+    try {
+      const delivery = await this.deliverReminder(
+        client,
+        request,
+        rule.message(request),
+        rule.blocks ? rule.blocks(request) : undefined
+      );
+
+      await reminders.updateOne(
+        { _id: reminderId },
+        { $set: { sentAt: now, ...delivery } }
+      );
+
+      await UnifiedEventLogger.logEvent({
+        requestType: request.type,
+        requestId: request.requestId,
+        action: 'REMINDER_SENT',
+        userId: 'system',
+        additionalMetadata: { rule: rule.id, key, ...delivery }
+      });
+
+      return true;
+    } catch (error) {
+      console.error(`Failed to send ${rule.id} reminder for ${request.requestId}:`, error);
+
+      // Release the claim so the next run tries again
+      await reminders.deleteOne({ _id: reminderId });
+      return false;
+    }
+  }
+
+  // DM the assignee when there is one, otherwise reply in the request card's thread.
+  // Rules may supply blocks (e.g. buttons); text is the notification fallback.
+  async deliverReminder(client, request, text, blocks) {
+    if (request.assignee) {
+      const posted = await client.chat.postMessage({ channel: request.assignee, text, blocks });
+      return { deliveredTo: 'assignee', channel: posted.channel || request.assignee, messageTs: posted.ts };
+    }
+
+    const channel = request.slackChannel || process.env.REQUESTS_CHANNEL;
+
+    const posted = await client.chat.postMessage({
+      channel,
+      thread_ts: request.slackMessageTs,
+      text,
+      blocks
+    });
+
+    return { deliveredTo: request.slackMessageTs ? 'thread' : 'channel', channel, messageTs: posted.ts };
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,105 @@
+// integrations/services/requestIdGenerator.js
+const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const { escapeRegExp } = require('../../utils/validation');
+
+// Default format produces IDs like SO-2026-0042. Supported tokens:
+// {prefix} - the request type's idPrefix, {year} - four digit year,
+// {seq} or {seq:N} - the counter value, zero padded to N digits
+const DEFAULT_ID_FORMAT = '{prefix}-{year}-{seq:4}';
+
+// IDs issued before sequential IDs were introduced
+const LEGACY_ID_PATTERN = /^REQ-\d+$/i;
+
+class RequestIdGenerator {
+  constructor(format = process.env.REQUEST_ID_FORMAT || DEFAULT_ID_FORMAT) {
+    this.format = format;
+
+    if (!/\{seq(:\d+)?\}/.test(this.format)) {
+      throw new Error(`REQUEST_ID_FORMAT must include a {seq} token: ${this.format}`);
+    }
+  }
+
+  // Fill in every token except the sequence number
+  renderPrefix(requestType, date) {
+    const definition = RequestTypes.getRequestType(requestType);
+
+    if (!definition) {
+      throw new Error(`Unknown request type: ${requestType}`);
+    }
+
+    return this.format
+      .replace(/\{prefix\}/g, definition.idPrefix)
+      .replace(/\{year\}/g, String(date.getFullYear()));
+  }
+
+  // Generate the next ID for a request type using an atomic counter in MongoDB
+  async generateRequestId(requestType, date = new Date()) {
+    const template = this.renderPrefix(requestType, date);
+
+    // One counter per rendered template, so sequences restart each year when {year} is used
+    const counterKey = template.replace(/\{seq(:\d+)?\}/, '');
+
+    const { counters } = await getCollections();
+    const result = await counters.findOneAndUpdate(
+      { _id: counterKey },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    // Driver v5 wraps the document in { value }, later versions return it directly
+    const counter = result && result.value !== undefined ? result.value : result;
+
+    return template.replace(/\{seq(?::(\d+))?\}/, (match, width) => {
+      return String(counter.seq).padStart(Number(width || 0), '0');
+    });
+  }
+
+  // Turn the format into a pattern for uppercased IDs, the same way generateRequestId
+  // renders it: {prefix} is any registered prefix, {year} four digits, and the first
+  // {seq} is captured (with any zero padding left off)
+  buildIdPattern() {
+    const prefixes = RequestTypes.listRequestTypes().map(definition => escapeRegExp(definition.idPrefix));
+    let seqCaptured = false;
+
+    const pattern = this.format
+      .split(/(\{prefix\}|\{year\}|\{seq(?::\d+)?\})/)
+      .map(part => {
+        if (part === '{prefix}') return `(?:${prefixes.join('|')})`;
+        if (part === '{year}') return '\\d{4}';
+        if (part.startsWith('{seq')) {
+          const group = seqCaptured ? '\\d+' : '(\\d+)';
+          seqCaptured = true;
+          return group;
+        }
+        return escapeRegExp(part.toUpperCase());
+      })
+      .join('');
+
+    return new RegExp(`^${pattern}$`, 'd');
+  }
+
+  // Check whether a value looks like a request ID, in either the current or legacy format
+  isRequestId(value) {
+    const candidate = this.normalizeRequestId(value);
+
+    return LEGACY_ID_PATTERN.test(candidate) || this.buildIdPattern().test(candidate);
+  }
+
+  // Clean up a typed request ID so it matches the stored value: trims whitespace,
+  // uppercases, and restores zero padding (so "so-2026-42" finds "SO-2026-0042")
+  normalizeRequestId(value) {
+    const candidate = (value || '').trim().toUpperCase();
+    const width = Number(this.format.match(/\{seq(?::(\d+))?\}/)[1] || 0);
+    const match = candidate.match(this.buildIdPattern());
+
+    if (!match) {
+      return candidate;
+    }
+
+    const [start, end] = match.indices[1];
+    return candidate.slice(0, start) + match[1].padStart(width, '0') + candidate.slice(end);
+  }
+}
+
+module.exports = new RequestIdGenerator();
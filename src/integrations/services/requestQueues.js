@@ -0,0 +1,103 @@
+// integrations/services/requestQueues.js
+//
+// Queries behind the App Home tab: the caller's open requests, the unassigned NEW
+// queue and overdue requests, each narrowed by the caller's saved filters.
+const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const { REMINDER_RULES } = require('./reminderRules');
+const { formatLocalDate } = require('../../utils/validation');
+
+// Rows shown per queue, keeping the Home tab under Slack's 100 block limit
+const QUEUE_LIMIT = 8;
+
+const FILTER_KEYS = ['type', 'status', 'priority'];
+
+class RequestQueues {
+  // Build the MongoDB conditions for a user's filters ({ type, status, priority })
+  buildFilterQuery(filters = {}) {
+    const query = {};
+
+    for (const key of FILTER_KEYS) {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    }
+
+    return query;
+  }
+
+  // Run a queue query for open requests, oldest first, with the total for "and N more"
+  async findOpen(query) {
+    const { requests } = await getCollections();
+    const match = { $and: [query, RequestTypes.buildStatusGroupQuery('open')] };
+
+    const [rows, total] = await Promise.all([
+      requests.find(match).sort({ createdAt: 1 }).limit(QUEUE_LIMIT).toArray(),
+      requests.countDocuments(match)
+    ]);
+
+    return { total, requests: rows };
+  }
+
+  async getMyRequests(userId, filters) {
+    return this.findOpen({ ...this.buildFilterQuery(filters), assignee: userId });
+  }
+
+  async getUnassignedNew(filters) {
+    return this.findOpen({
+      ...this.buildFilterQuery(filters),
+      $and: [
+        { status: 'NEW' },
+        { $or: [{ assignee: null }, { assignee: '' }] }
+      ]
+    });
+  }
+
+  // Overdue means any reminder rule applies, or a book hold's pickup date has passed
+  async getOverdue(filters, now = new Date()) {
+    const today = formatLocalDate(now);
+    const overdueConditions = [
+      ...REMINDER_RULES.map(rule => rule.query({ now, today })),
+      { type: 'book_hold', pickupDate: { $lt: today, $gt: '' } }
+    ];
+
+    return this.findOpen({
+      ...this.buildFilterQuery(filters),
+      $or: overdueConditions
+    });
+  }
+
+  async getQueues(userId, filters, now = new Date()) {
+    const [mine, unassigned, overdue] = await Promise.all([
+      this.getMyRequests(userId, filters),
+      this.getUnassignedNew(filters),
+      this.getOverdue(filters, now)
+    ]);
+
+    return { mine, unassigned, overdue };
+  }
+
+  // Home tab filters are saved per user so they survive re-renders after modal submissions
+  async getFilters(userId) {
+    const { userPreferences } = await getCollections();
+    const preferences = await userPreferences.findOne({ _id: userId });
+
+    return (preferences && preferences.homeFilters) || {};
+  }
+
+  async setFilter(userId, key, value) {
+    if (!FILTER_KEYS.includes(key)) {
+      throw new Error(`Unknown home filter: ${key}`);
+    }
+
+    const { userPreferences } = await getCollections();
+
+    await userPreferences.updateOne(
+      { _id: userId },
+      { $set: { [`homeFilters.${key}`]: value || null } },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = new RequestQueues();
@@ -0,0 +1,228 @@
+// integrations/services/requestSearch.js
+//
+// Pages through /request-search results. Paging is cursor based: a page remembers the
+// sort values of its first and last requests, and the next (or previous) page starts
+// just after (or before) them, so pages don't skip or repeat requests when new ones
+// are created in between.
+//
+// Free text goes through the requests text index (see database/mongodb.js), which
+// keeps searches fast and ranks results by relevance. The index matches whole words,
+// so when it finds nothing the search is repeated without it to catch partial words.
+// Later pages are found the same way as the first, since their cursors hold its sort
+// values.
+//
+// Customer names can also match names that sound alike or are a typo away. Requests
+// that only match that way are possible matches, listed after all the others.
+const { getCollections } = require('../../database/mongodb');
+const { PRIORITY_OPTIONS } = require('../../requestTypes/fields');
+
+const PAGE_SIZE = 10;
+
+// MongoDB's error code for a $text search without a text index
+const INDEX_NOT_FOUND = 27;
+
+// Most possible matches listed for one search
+const MAX_POSSIBLE_MATCHES = 50;
+
+// Sort values computed for each matching request
+const COMPUTED_SORT_FIELDS = {
+  // The date needed, or a book hold's pickup date; requests with neither sort last
+  sortNeeded: {
+    $cond: [
+      { $gt: ['$dateNeeded', ''] },
+      '$dateNeeded',
+      { $cond: [{ $gt: ['$pickupDate', ''] }, '$pickupDate', '9999-12-31'] }
+    ]
+  },
+  // low is 0 up to urgent; requests without a priority get -1
+  sortPriority: { $indexOfArray: [PRIORITY_OPTIONS.map(option => option.value), '$priority'] }
+};
+
+// Each sort ends with createdAt and requestId so every request has a unique position.
+// Relevance is only offered for text searches.
+const SEARCH_SORTS = {
+  relevance: {
+    label: 'Relevance',
+    keys: [['sortScore', -1], ['createdAt', -1], ['requestId', -1]],
+    textOnly: true
+  },
+  newest: {
+    label: 'Newest',
+    keys: [['createdAt', -1], ['requestId', -1]]
+  },
+  needed: {
+    label: 'Date needed',
+    keys: [['sortNeeded', 1], ['createdAt', -1], ['requestId', -1]]
+  },
+  priority: {
+    label: 'Priority',
+    keys: [['sortPriority', -1], ['createdAt', -1], ['requestId', -1]]
+  }
+};
+
+class RequestSearch {
+  // Sorts offered with search results, as { key, label }
+  listSorts(textSearch) {
+    return Object.entries(SEARCH_SORTS)
+      .filter(([, sort]) => textSearch || !sort.textOnly)
+      .map(([key, sort]) => ({ key, label: sort.label }));
+  }
+
+  // The sort to use: the one asked for if it applies, otherwise relevance for text
+  // searches and newest first for the rest
+  resolveSortKey(sortKey, textSearch) {
+    const sort = SEARCH_SORTS[sortKey];
+
+    if (sort && (textSearch || !sort.textOnly)) {
+      return sortKey;
+    }
+
+    return textSearch ? 'relevance' : 'newest';
+  }
+
+  getSort(sortKey) {
+    return SEARCH_SORTS[sortKey] || SEARCH_SORTS.newest;
+  }
+
+  // With possible matches, every sort puts exact matches first
+  getPageSort(sortKey, withPossibleMatches) {
+    const sort = this.getSort(sortKey);
+
+    return withPossibleMatches ? { ...sort, keys: [['exactMatch', -1], ...sort.keys] } : sort;
+  }
+
+  // A cursor is the list of sort values of a request. Dates are tagged so they survive
+  // the trip through a JSON button value.
+  getCursor(request, sort) {
+    return sort.keys.map(([field]) => {
+      const value = request[field];
+      return value instanceof Date ? { date: value.toISOString() } : value;
+    });
+  }
+
+  readCursor(cursor) {
+    return cursor.map(value => (value && value.date ? new Date(value.date) : value));
+  }
+
+  /**
+   * Match requests that sort after a cursor (or before it, going backwards): those
+   * beyond it on the first key, or tied on the first key and beyond it on the next,
+   * and so on.
+   */
+  buildCursorQuery(sort, cursor, backwards) {
+    const values = this.readCursor(cursor);
+
+    return {
+      $or: sort.keys.map(([field, direction], index) => {
+        const condition = {};
+
+        sort.keys.slice(0, index).forEach(([tiedField], tiedIndex) => {
+          condition[tiedField] = values[tiedIndex];
+        });
+
+        const ascending = (direction === 1) !== backwards;
+        condition[field] = { [ascending ? '$gt' : '$lt']: values[index] };
+
+        return condition;
+      })
+    };
+  }
+
+  /**
+   * Get a page of requests matching a search
+   * @param {object} filter - MongoDB filter, e.g. from compileSearchQuery
+   * @param {object} options - { textSearch, textIndex, similarFilter, sort, after,
+   *   before }: free text for the text index, whether the first page used the index
+   *   (from its textIndex), the filter that also matches similar customer names, a
+   *   sort key from SEARCH_SORTS, and the cursor of the request the page starts after,
+   *   or ends before
+   * @returns {object} - { requests, total, possibleMatches, hasPrevious, hasNext,
+   *   firstCursor, lastCursor, sort, sorts, textIndex }. Possible matches have
+   *   exactMatch 0.
+   */
+  async getPage(filter, options = {}) {
+    if (options.textSearch && options.textIndex !== false) {
+      try {
+        const page = await this.loadPage(filter, options);
+
+        if (page.total > 0 || options.textIndex) {
+          return page;
+        }
+      } catch (error) {
+        if (error.code !== INDEX_NOT_FOUND) {
+          throw error;
+        }
+
+        console.warn('The requests text index is missing, so free text is searched without it');
+      }
+    }
+
+    return this.loadPage(filter, { ...options, textSearch: null });
+  }
+
+  async loadPage(filter, { textSearch, similarFilter, sort: requestedSort, after, before }) {
+    const { requests } = await getCollections();
+    const sortKey = this.resolveSortKey(requestedSort, textSearch);
+    const sort = this.getPageSort(sortKey, Boolean(similarFilter));
+    const withText = (query) => (textSearch ? { $and: [{ $text: { $search: textSearch } }, query] } : query);
+    let possibleIds = [];
+
+    if (similarFilter) {
+      const possibleMatches = await requests
+        .find(withText({ $and: [similarFilter, { $nor: [filter] }] }))
+        .project({ requestId: 1 })
+        .limit(MAX_POSSIBLE_MATCHES)
+        .toArray();
+
+      possibleIds = possibleMatches.map(request => request.requestId);
+    }
+
+    const match = withText(possibleIds.length > 0 ? { $or: [filter, { requestId: { $in: possibleIds } }] } : filter);
+    const computedFields = {
+      ...COMPUTED_SORT_FIELDS,
+      ...(similarFilter ? { exactMatch: { $cond: [{ $in: ['$requestId', possibleIds] }, 0, 1] } } : {}),
+      ...(textSearch ? { sortScore: { $meta: 'textScore' } } : {})
+    };
+    const backwards = Boolean(before);
+    const cursor = before || after;
+
+    // Going backwards, read in reverse order from the cursor and flip the page afterwards
+    const sortStage = sort.keys.reduce((stage, [field, direction]) => {
+      stage[field] = backwards ? -direction : direction;
+      return stage;
+    }, {});
+
+    const [rows, total] = await Promise.all([
+      requests.aggregate([
+        { $match: match },
+        { $addFields: computedFields },
+        ...(cursor ? [{ $match: this.buildCursorQuery(sort, cursor, backwards) }] : []),
+        { $sort: sortStage },
+        { $limit: PAGE_SIZE + 1 }
+      ]).toArray(),
+      requests.countDocuments(match)
+    ]);
+
+    const hasMore = rows.length > PAGE_SIZE;
+    const page = rows.slice(0, PAGE_SIZE);
+
+    if (backwards) {
+      page.reverse();
+    }
+
+    return {
+      requests: page,
+      total,
+      possibleMatches: possibleIds.length,
+      hasPrevious: backwards ? hasMore : Boolean(after),
+      hasNext: backwards ? true : hasMore,
+      firstCursor: page.length > 0 ? this.getCursor(page[0], sort) : null,
+      lastCursor: page.length > 0 ? this.getCursor(page[page.length - 1], sort) : null,
+      sort: sortKey,
+      sorts: this.listSorts(textSearch),
+      textIndex: Boolean(textSearch)
+    };
+  }
+}
+
+module.exports = new RequestSearch();
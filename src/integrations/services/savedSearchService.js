@@ -0,0 +1,344 @@
+// integrations/services/savedSearchService.js
+//
+// Saved /request-search queries. A saved search belongs to the person who saved it, or
+// is shared with the team. Anyone who can run a saved search can subscribe to it; a
+// scheduled job then DMs them when a request is created or changes status and matches
+// the query afterwards.
+const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const { compileSearchQuery } = require('../../utils/searchQuery');
+const { isRequestAdmin } = require('../../utils/permissions');
+
+// Default time between subscription checks
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+// Names are one word, so `/request-search run <name>` can't be ambiguous
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+// Events that can make a request start matching a saved search
+const MATCH_ACTIONS = ['REQUEST_CREATED', 'STATUS_CHANGE', 'STATUS_REVERTED'];
+
+// A notification that fails to send is retried on later runs, up to this many tries
+const MAX_NOTIFY_ATTEMPTS = 5;
+
+class SavedSearchService {
+  getIntervalMs() {
+    const minutes = Number(process.env.SEARCH_SUBSCRIPTION_INTERVAL_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+  }
+
+  normalizeName(name) {
+    return (name || '').trim().toLowerCase();
+  }
+
+  // The user's own search with this name, or else the team's
+  async findSearch(userId, name) {
+    const { savedSearches } = await getCollections();
+    const searchName = this.normalizeName(name);
+
+    const ownSearch = await savedSearches.findOne({ name: searchName, shared: false, ownerId: userId });
+
+    return ownSearch || savedSearches.findOne({ name: searchName, shared: true });
+  }
+
+  // Searches the user can run: their own, then the team's, by name
+  async listSearches(userId) {
+    const { savedSearches } = await getCollections();
+
+    return savedSearches
+      .find({ $or: [{ shared: false, ownerId: userId }, { shared: true }] })
+      .sort({ shared: 1, name: 1 })
+      .toArray();
+  }
+
+  /**
+   * Save a query under a name, replacing the user's (or the team's) search of that name
+   * @param {object} searchData - { userId, name, query, shared }
+   * @returns {object} - { success, search, replaced } or { success: false, error }
+   */
+  async saveSearch({ userId, name, query, shared = false }) {
+    const searchName = this.normalizeName(name);
+
+    if (!NAME_PATTERN.test(searchName)) {
+      return { success: false, error: 'Search names are one word of letters, numbers, - or _ (up to 40 characters).' };
+    }
+
+    const compiled = compileSearchQuery(query || '', { userId });
+
+    if (!compiled.valid) {
+      return { success: false, error: `Couldn't read the query: ${compiled.error}` };
+    }
+
+    try {
+      const { savedSearches } = await getCollections();
+      const key = shared ? { name: searchName, shared: true } : { name: searchName, shared: false, ownerId: userId };
+      const existing = await savedSearches.findOne(key);
+
+      if (existing && shared && existing.ownerId !== userId && !isRequestAdmin(userId)) {
+        return { success: false, error: `The team search "${searchName}" was saved by someone else, so only they or an admin can replace it.` };
+      }
+
+      const now = new Date();
+
+      await savedSearches.updateOne(
+        key,
+        {
+          $set: { query: query.trim(), updatedAt: now, updatedBy: userId },
+          $setOnInsert: { ownerId: userId, subscribers: [], createdAt: now }
+        },
+        { upsert: true }
+      );
+
+      return { success: true, search: await savedSearches.findOne(key), replaced: Boolean(existing) };
+    } catch (error) {
+      console.error('Error saving search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Delete the user's own search with this name, or else the team's (owner or admin only)
+  async deleteSearch(userId, name) {
+    try {
+      const { savedSearches } = await getCollections();
+      const search = await this.findSearch(userId, name);
+
+      if (!search) {
+        return { success: false, error: `There's no saved search called "${this.normalizeName(name)}".` };
+      }
+
+      if (search.shared && search.ownerId !== userId && !isRequestAdmin(userId)) {
+        return { success: false, error: `Only <@${search.ownerId}> or an admin can delete the team search "${search.name}".` };
+      }
+
+      await savedSearches.deleteOne({ _id: search._id });
+      return { success: true, search };
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Start or stop DMs to the user about requests matching a saved search
+  async setSubscription(userId, name, subscribed) {
+    try {
+      const { savedSearches } = await getCollections();
+      const search = await this.findSearch(userId, name);
+
+      if (!search) {
+        return { success: false, error: `There's no saved search called "${this.normalizeName(name)}".` };
+      }
+
+      await savedSearches.updateOne(
+        { _id: search._id },
+        subscribed ? { $addToSet: { subscribers: userId } } : { $pull: { subscribers: userId } }
+      );
+
+      return { success: true, search };
+    } catch (error) {
+      console.error('Error updating saved search subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Scheduled job: check requests created or moved since the last run against every
+  // subscribed search. Each subscriber's query is compiled for them, so assignee:me
+  // means the subscriber. Notifications that failed on earlier runs are retried first,
+  // as their events are older than this run's window.
+  async runSubscriptions({ client, now = new Date(), lastSuccessAt }) {
+    const { events, requests, savedSearches } = await getCollections();
+    const since = lastSuccessAt || new Date(now.getTime() - this.getIntervalMs());
+    const summary = { changed: 0, matched: 0, sent: 0, failed: 0 };
+
+    const retried = await this.retryFailedNotifications(client, now);
+    summary.sent += retried.sent;
+    summary.failed += retried.failed;
+
+    const changes = await events
+      .find({ action: { $in: MATCH_ACTIONS }, timestamp: { $gt: since, $lte: now } })
+      .sort({ timestamp: 1 })
+      .toArray();
+
+    // Only the latest change to each request is reported
+    const latestChanges = new Map(changes.map(event => [event.requestId, event]));
+    summary.changed = latestChanges.size;
+
+    if (latestChanges.size === 0) {
+      return summary;
+    }
+
+    const searches = await savedSearches.find({ 'subscribers.0': { $exists: true } }).toArray();
+
+    for (const search of searches) {
+      for (const subscriber of search.subscribers) {
+        const compiled = compileSearchQuery(search.query, { userId: subscriber });
+
+        if (!compiled.valid) {
+          console.warn(`Saved search ${search.name} no longer compiles: ${compiled.error}`);
+          continue;
+        }
+
+        const matches = await requests
+          .find({ $and: [{ requestId: { $in: [...latestChanges.keys()] } }, compiled.filter] })
+          .toArray();
+
+        for (const request of matches) {
+          summary.matched++;
+
+          const sent = await this.notifyOnce(client, search, subscriber, request, latestChanges.get(request.requestId), now);
+
+          if (sent === true) {
+            summary.sent++;
+          } else if (sent === false) {
+            summary.failed++;
+          }
+        }
+      }
+    }
+
+    console.log(`Search subscriptions: ${summary.sent} sent, ${summary.failed} failed, ${summary.matched} matched`);
+    return summary;
+  }
+
+  // Claim the notification before sending so overlapping runs can't both send it.
+  // Returns true when sent, null when it had already been claimed, false when sending
+  // failed (it is then retried by a later run).
+  async notifyOnce(client, search, subscriber, request, event, now) {
+    const { searchNotifications } = await getCollections();
+    const notificationId = `${search._id}:${subscriber}:${event._id}`;
+
+    const claim = await searchNotifications.updateOne(
+      { _id: notificationId },
+      {
+        $setOnInsert: {
+          searchId: search._id,
+          searchName: search.name,
+          subscriber,
+          requestId: request.requestId,
+          eventId: event._id,
+          attempts: 1,
+          createdAt: now
+        }
+      },
+      { upsert: true }
+    );
+
+    if (!claim.upsertedCount) {
+      return null;
+    }
+
+    return this.sendNotification(client, notificationId, search, subscriber, request, event, now);
+  }
+
+  // Retry notifications whose last attempt failed. Each retry is claimed by clearing
+  // failedAt, so overlapping runs can't both send it. Notifications for a search,
+  // request or subscription that has gone, or a request that no longer matches, are
+  // dropped. Returns { sent, failed }.
+  async retryFailedNotifications(client, now) {
+    const { searchNotifications, savedSearches, requests, events } = await getCollections();
+    const retried = { sent: 0, failed: 0 };
+
+    const failedNotifications = await searchNotifications
+      .find({ failedAt: { $exists: true }, attempts: { $lt: MAX_NOTIFY_ATTEMPTS } })
+      .toArray();
+
+    for (const notification of failedNotifications) {
+      const claim = await searchNotifications.updateOne(
+        { _id: notification._id, failedAt: { $exists: true } },
+        { $unset: { failedAt: '' }, $inc: { attempts: 1 } }
+      );
+
+      if (!claim.matchedCount) {
+        continue;
+      }
+
+      const search = await savedSearches.findOne({ _id: notification.searchId });
+      const event = await events.findOne({ _id: notification.eventId });
+      const compiled = search && (search.subscribers || []).includes(notification.subscriber)
+        ? compileSearchQuery(search.query, { userId: notification.subscriber })
+        : null;
+      const request = compiled && compiled.valid && event
+        ? await requests.findOne({ $and: [{ requestId: notification.requestId }, compiled.filter] })
+        : null;
+
+      if (!request) {
+        await searchNotifications.updateOne({ _id: notification._id }, { $set: { droppedAt: now } });
+        continue;
+      }
+
+      const sent = await this.sendNotification(client, notification._id, search, notification.subscriber, request, event, now);
+
+      if (sent) {
+        retried.sent++;
+      } else {
+        retried.failed++;
+      }
+    }
+
+    return retried;
+  }
+
+  // Send a claimed notification. A failure is recorded on the claim (failedAt), which
+  // makes it due for a retry. Returns whether it was sent.
+  async sendNotification(client, notificationId, search, subscriber, request, event, now) {
+    const { searchNotifications } = await getCollections();
+
+    try {
+      const text = this.buildNotificationText(search, request, event);
+
+      await client.chat.postMessage({
+        channel: subscriber,
+        text,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text
+            },
+            accessory: {
+              type: "button",
+              text: {
+                type: "plain_text",
+                text: "View Details"
+              },
+              value: request.requestId,
+              action_id: "view_request_details"
+            }
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: `_You're subscribed to "${search.name}": \`${search.query}\`. Stop with \`/request-search unsubscribe ${search.name}\`._`
+              }
+            ]
+          }
+        ]
+      });
+
+      await searchNotifications.updateOne({ _id: notificationId }, { $set: { sentAt: now } });
+      return true;
+    } catch (error) {
+      console.error(`Failed to notify ${subscriber} about ${request.requestId} for saved search ${search.name}:`, error);
+
+      await searchNotifications.updateOne(
+        { _id: notificationId },
+        { $set: { failedAt: now, lastError: error.message } }
+      );
+      return false;
+    }
+  }
+
+  buildNotificationText(search, request, event) {
+    const change = event.action === 'REQUEST_CREATED'
+      ? 'was just created'
+      : event.action === 'STATUS_REVERTED'
+        ? `went back to ${request.status}`
+        : `moved to ${request.status}`;
+
+    return `*${request.requestId}* (${RequestTypes.formatRequestTypeName(request.type)} for ${request.customerName || 'N/A'}) ${change} and matches your saved search *${search.name}*.`;
+  }
+}
+
+module.exports = new SavedSearchService();
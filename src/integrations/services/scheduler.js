@@ -0,0 +1,155 @@
+// integrations/services/scheduler.js
+//
+// Minimal in-process scheduler. Job state (next run, last result, last error) lives in
+// the scheduled_jobs collection, so restarts don't re-run jobs early and only one app
+// instance runs a job at a time.
+const os = require('os');
+const { getCollections } = require('../../database/mongodb');
+
+// How often to check for due jobs
+const TICK_MS = 60 * 1000;
+
+// How long a claimed job stays locked if its instance dies mid-run
+const LOCK_MS = 10 * 60 * 1000;
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+    this.context = {};
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+  }
+
+  // Register a job. The handler receives { ...context, now, lastSuccessAt } and may
+  // return a small summary object that is stored as the job's last result.
+  registerJob(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Scheduled job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, { name, intervalMs, handler });
+  }
+
+  // Start checking for due jobs. context is passed to every handler (e.g. the Slack client).
+  start(context = {}) {
+    this.context = context;
+
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+    console.log(`Scheduler started with jobs: ${[...this.jobs.keys()].join(', ') || 'none'}`);
+
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick() {
+    // Skip this tick if the previous one is still running
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      for (const name of this.jobs.keys()) {
+        await this.runJobIfDue(name);
+      }
+    } catch (error) {
+      console.error('Scheduler tick failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  // Run a job if its next run time has passed and no other instance holds it
+  async runJobIfDue(name, now = new Date()) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    const { scheduledJobs } = await getCollections();
+
+    await scheduledJobs.updateOne(
+      { _id: name },
+      { $setOnInsert: { nextRunAt: now, runCount: 0 } },
+      { upsert: true }
+    );
+
+    const claimed = await scheduledJobs.findOneAndUpdate(
+      {
+        _id: name,
+        nextRunAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + LOCK_MS),
+          lockedBy: this.instanceId,
+          lastStartedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    // Driver v5 wraps the document in { value }, later versions return it directly
+    const state = claimed && claimed.value !== undefined ? claimed.value : claimed;
+
+    if (!state) {
+      return { ran: false };
+    }
+
+    const nextRunAt = new Date(now.getTime() + job.intervalMs);
+
+    try {
+      const result = await job.handler({ ...this.context, now, lastSuccessAt: state.lastSuccessAt || null });
+
+      await scheduledJobs.updateOne(
+        { _id: name },
+        {
+          $set: {
+            nextRunAt,
+            lockedUntil: null,
+            lastSuccessAt: now,
+            lastResult: result || {},
+            lastError: null
+          },
+          $inc: { runCount: 1 }
+        }
+      );
+
+      return { ran: true, result };
+    } catch (error) {
+      console.error(`Scheduled job ${name} failed:`, error);
+
+      await scheduledJobs.updateOne(
+        { _id: name },
+        {
+          $set: {
+            nextRunAt,
+            lockedUntil: null,
+            lastError: error.message,
+            lastErrorAt: now
+          },
+          $inc: { runCount: 1 }
+        }
+      );
+
+      return { ran: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new Scheduler();
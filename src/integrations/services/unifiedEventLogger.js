@@ -2,6 +2,13 @@
 const fs = require('fs');
 const path = require('path');
 const { getCollections } = require('../../database/mongodb');
+const RequestTypes = require('../../requestTypes');
+const { deriveRequestStatus, formatLineItem, canonicalizeLineIsbns } = require('../../requestTypes/lineItems');
+const { getBalanceDueCents, isBalanceSettled, formatCents } = require('../../utils/payments');
+const CustomerService = require('./customerService');
+const { normalizeContact, canonicalizeISBN } = require('../../utils/validation');
+const { getNameMatchKeys } = require('../../utils/nameMatching');
+const { buildTextFilter } = require('../../utils/searchQuery');
 
 class UnifiedEventLogger {
   constructor() {
@@ -11,111 +18,9 @@ class UnifiedEventLogger {
       fs.mkdirSync(this.logDirectory, { recursive: true });
     }
 
-    // Configure the required fields for each request type based on the CSV
-    this.REQUIRED_FIELDS = {
-      'special_order': ['customerName', 'customerContact', 'vendorPublisher', 'details', 'dateNeeded'],
-      'book_hold': ['customerName', 'customerContact', 'isbn', 'details'],
-      'backorder_request': ['customerName', 'customerContact', 'isbn', 'details', 'dateNeeded'],
-      'out_of_print': ['customerName', 'customerContact', 'vendorPublisher', 'details', 'dateNeeded', 'condition'],
-      'bulk_order': ['customerName', 'customerContact', 'isbn', 'details', 'dateNeeded'],
-      'personalization': ['customerName', 'customerContact', 'isbn', 'details', 'dateNeeded']
-    };
-
-    // Common status flow for all request types based on the CSV
-    const COMMON_STATUSES = [
-      'NEW',
-      'ORDERED',
-      'RECEIVED',
-      'NOTIFIED',
-      'PAID',
-      'COMPLETED',
-      'CANCELLED'
-    ];
-
-    // Define updated transitions that prevent simultaneous Start Work and Mark as Ordered
-    const IMPROVED_TRANSITIONS = {
-        'NEW': ['ORDERED', 'CANCELLED'],
-        'ORDERED': ['RECEIVED', 'CANCELLED'],
-        'RECEIVED': ['NOTIFIED', 'CANCELLED'],
-        'NOTIFIED': ['PAID', 'CANCELLED'],
-        'PAID': ['COMPLETED', 'CANCELLED'],
-        'COMPLETED': [],
-        'CANCELLED': []
-    };                  
-    
-    // Custom transitions for book_hold
-    const BOOK_HOLD_TRANSITIONS = {
-        'NEW': ['PAID', 'CANCELLED'],
-        'PAID': ['COMPLETED', 'CANCELLED'],
-        'COMPLETED': [],
-        'CANCELLED': []
-    };
-
-    // Request type configurations with status transitions
-    this.REQUEST_TYPES = {
-      'special_order': {
-        possibleStatuses: COMMON_STATUSES,
-        statusTransitions: IMPROVED_TRANSITIONS,
-        requiredFieldsPerStatus: {
-          'ORDERED': ['ordered_by', 'order_method', 'estimated_arrival'],
-          'RECEIVED': ['arrival_date'],
-          'NOTIFIED': ['notification_method', 'notification_date'],
-          'PAID': ['payment_method', 'order_number'],
-          'COMPLETED': ['completion_date']
-        }
-      },
-      'book_hold': {
-        possibleStatuses: COMMON_STATUSES,
-        statusTransitions: BOOK_HOLD_TRANSITIONS,
-        requiredFieldsPerStatus: {
-            'PAID': ['payment_method', 'order_number'],
-            'COMPLETED': ['completion_date']
-          }
-        },
-      'backorder_request': {
-        possibleStatuses: COMMON_STATUSES,
-        statusTransitions: IMPROVED_TRANSITIONS,
-        requiredFieldsPerStatus: {
-          'ORDERED': ['ordered_by', 'order_method', 'estimated_arrival'],
-          'RECEIVED': ['arrival_date'],
-          'NOTIFIED': ['notification_method', 'notification_date'],
-          'PAID': ['payment_method', 'order_number'],
-          'COMPLETED': ['completion_date']
-        }
-      },
-      'out_of_print': {
-        possibleStatuses: COMMON_STATUSES,
-        statusTransitions: IMPROVED_TRANSITIONS,
-        requiredFieldsPerStatus: {
-          'ORDERED': ['source', 'estimated_cost'],
-          'RECEIVED': ['arrival_date', 'actual_cost'],
-          'NOTIFIED': ['notification_method', 'notification_date'],
-          'PAID': ['payment_method', 'order_number'],
-          'COMPLETED': ['completion_date']
-        }
-      },
-      'bulk_order': {
-        possibleStatuses: COMMON_STATUSES,
-        statusTransitions: IMPROVED_TRANSITIONS,
-        requiredFieldsPerStatus: {
-          'ORDERED': ['ordered_by', 'order_method', 'estimated_arrival'],
-          'RECEIVED': ['arrival_date'],
-          'NOTIFIED': ['notification_method', 'notification_date'],
-          'PAID': ['payment_method', 'order_number'],
-          'COMPLETED': ['completion_date']
-        }
-      },
-      'personalization': {
-        possibleStatuses: COMMON_STATUSES,
-        statusTransitions: IMPROVED_TRANSITIONS,
-        requiredFieldsPerStatus: {
-          'IN_PROGRESS': ['personalization_details', 'estimated_completion'],
-          'NOTIFIED': ['notification_method', 'notification_date'],
-          'PAID': ['payment_method', 'payment_amount'],
-          'COMPLETED': ['completion_date']
-        }
-      }
-    };
+    // Required fields and status workflows come from the request type registry
+    this.REQUIRED_FIELDS = RequestTypes.buildRequiredFieldsMap();
+    this.REQUEST_TYPES = RequestTypes.buildStatusConfigMap();
   }
 
   // Validate the required fields for a request type when creating a new request
@@ -135,6 +40,32 @@ class UnifiedEventLogger {
     return true;
   }
 
+  // Collect registry-defined form values that are not part of the standard request fields
+  getTypeSpecificValues(requestType, requestData) {
+    const standardFields = [
+      'customerName', 'customerContact', 'vendorPublisher', 'isbn',
+      'details', 'dateNeeded', 'condition', 'priority'
+    ];
+
+    return RequestTypes.getFormFields(requestType)
+      .filter(field => !standardFields.includes(field.key))
+      .reduce((acc, field) => {
+        acc[field.key] = requestData[field.key] || '';
+        return acc;
+      }, {});
+  }
+
+  // Find or create the customer a request belongs to. A failure here shouldn't stop the
+  // request being saved, so it is logged and the request is left unlinked.
+  async resolveCustomerId(customerName, customerContact) {
+    try {
+      return await CustomerService.upsertCustomer({ name: customerName, contact: customerContact });
+    } catch (error) {
+      console.error('Error linking request to customer:', error);
+      return null;
+    }
+  }
+
   // Log an event to both MongoDB and local file system
   async logEvent(eventData) {
     try {
@@ -252,6 +183,8 @@ METADATA: ${JSON.stringify(additionalMetadata || {}, null, 2)}
         dateNeeded,
         condition,
         priority, 
+        lineItems,
+        catalog,
         userId = 'system'
       } = requestData;
 
@@ -268,19 +201,31 @@ METADATA: ${JSON.stringify(additionalMetadata || {}, null, 2)}
         const { requests } = await getCollections();
         
         const now = new Date();
+        const customerId = await this.resolveCustomerId(customerName, customerContact);
         
         const result = await requests.insertOne({
           requestId,
           type: requestType,
           customerName,
+          // Phonetic and spelling keys, so similar names find the request
+          ...getNameMatchKeys(customerName),
           customerContact,
+          // Normalized copies of the contact for matching and notifications
+          ...normalizeContact(customerContact),
+          customerId,
           vendorPublisher: vendorPublisher || '',
-          isbn: isbn || '',
+          // ISBN-13, ISBN-10 and SKU flag, so either ISBN form finds the request
+          ...canonicalizeISBN(isbn),
           details,
           dateNeeded: dateNeeded || '',
           condition: condition || '',
           priority,
+          // Any other fields the registry defines for this type (e.g. pickupDate)
+          ...this.getTypeSpecificValues(requestType, requestData),
+          ...(lineItems ? { lineItems: canonicalizeLineIsbns(lineItems) } : {}),
+          ...(catalog ? { catalog } : {}),
           status: 'NEW',
+          version: 0,
           createdAt: now,
           updatedAt: now
         });
@@ -305,7 +250,9 @@ METADATA: ${JSON.stringify(additionalMetadata || {}, null, 2)}
           isbn,
           dateNeeded,
           condition,
-          priority
+          priority,
+          ...this.getTypeSpecificValues(requestType, requestData),
+          ...(lineItems ? { lineItems } : {})
         }
       });
 
@@ -323,6 +270,7 @@ CUSTOMER: ${customerName}
 CONTACT: ${customerContact}
 ${vendorPublisher ? `VENDOR/PUBLISHER: ${vendorPublisher}` : ''}
 ${isbn ? `ISBN: ${isbn}` : ''}
+${lineItems ? lineItems.map(line => `ITEM ${line.lineId}: ${formatLineItem(line)}`).join('\n') : ''}
 DETAILS: ${details}
 ${dateNeeded ? `DATE NEEDED: ${dateNeeded}` : ''}
 ${condition ? `CONDITION: ${condition}` : ''}
@@ -354,6 +302,7 @@ TIMESTAMP: ${new Date().toISOString()}
         currentStatus, 
         newStatus, 
         userId, 
+        expectedVersion,
         additionalFields = {} 
       } = requestData;
 
@@ -376,18 +325,22 @@ TIMESTAMP: ${new Date().toISOString()}
         return { success: false, error: fieldsError.message };
       }
 
-      // 3. Log the event regardless of whether we can update the document
-      await this.logEvent({
-        requestType,
-        requestId,
-        action: `STATUS_CHANGE`,
-        previousStatus: currentStatus,
-        newStatus,
-        userId,
-        additionalMetadata: additionalFields
-      });
+      // 2b. A request with a total can only be marked PAID once the balance is covered
+      if (newStatus === 'PAID') {
+        const { requests } = await getCollections();
+        const existingRequest = await requests.findOne({ requestId });
 
-      // 4. Update request in MongoDB
+        if (existingRequest && !isBalanceSettled(existingRequest)) {
+          const error = `Request ${requestId} still has ${formatCents(getBalanceDueCents(existingRequest))} due, so it can't be marked PAID`;
+          console.error(error);
+          return { success: false, error };
+        }
+      }
+
+      // 3. Update request in MongoDB. The filter only matches if the request is still in
+      // the status (and version, when known) the caller saw, so stale clicks are rejected.
+      let updateResult;
+      
       try {
         const { requests } = await getCollections();
         
@@ -396,6 +349,9 @@ TIMESTAMP: ${new Date().toISOString()}
           $set: {
             status: newStatus,
             updatedAt: new Date()
+          },
+          $inc: {
+            version: 1
           }
         };
         
@@ -406,11 +362,24 @@ TIMESTAMP: ${new Date().toISOString()}
         
         // Update the document
         const result = await requests.updateOne(
-          { requestId },
+          { requestId, status: currentStatus, ...this.buildVersionFilter(expectedVersion) },
           updateData
         );
         
         if (result.matchedCount === 0) {
+          // The request exists but has moved on since the caller loaded it
+          const existingRequest = await requests.findOne({ requestId });
+          
+          if (existingRequest) {
+            console.warn(`Stale status update for ${requestId}: expected ${currentStatus} (version ${expectedVersion}), found ${existingRequest.status} (version ${existingRequest.version || 0})`);
+            return {
+              success: false,
+              conflict: true,
+              currentRequest: existingRequest,
+              error: `Request ${requestId} was changed by someone else and is now ${existingRequest.status}`
+            };
+          }
+          
           console.error(`No request found with ID: ${requestId}`);
           
           // If the request exists in logs but not in MongoDB, create it
@@ -434,6 +403,7 @@ TIMESTAMP: ${new Date().toISOString()}
                   requestId,
                   type: requestType,
                   status: newStatus,
+                  version: 1,
                   createdAt: new Date(),
                   updatedAt: new Date(),
                   ...additionalFields
@@ -442,7 +412,7 @@ TIMESTAMP: ${new Date().toISOString()}
                 await requests.insertOne(newDoc);
                 
                 console.log('Created new document in MongoDB for the request');
-                return { 
+                updateResult = { 
                   success: true, 
                   message: `Created new entry for request ${requestId} with status ${newStatus}` 
                 };
@@ -452,24 +422,584 @@ TIMESTAMP: ${new Date().toISOString()}
             console.error('Error checking request logs:', logError);
           }
           
-          throw new Error(`No request found with ID: ${requestId}`);
+          if (!updateResult) {
+            throw new Error(`No request found with ID: ${requestId}`);
+          }
+        } else {
+          console.log('MongoDB document updated successfully');
+          updateResult = { 
+            success: true, 
+            message: `Request ${requestId} status updated from ${currentStatus} to ${newStatus}` 
+          };
         }
-        
-        console.log('MongoDB document updated successfully');
-        return { 
-          success: true, 
-          message: `Request ${requestId} status updated from ${currentStatus} to ${newStatus}` 
-        };
       } catch (dbError) {
         console.error('Error updating MongoDB:', dbError);
         return { success: false, error: dbError.message };
       }
+
+      // 4. Log the event only once the transition has actually been applied
+      await this.logEvent({
+        requestType,
+        requestId,
+        action: `STATUS_CHANGE`,
+        previousStatus: currentStatus,
+        newStatus,
+        userId,
+        additionalMetadata: additionalFields
+      });
+      
+      return updateResult;
     } catch (error) {
       console.error('Error in updateRequestStatus:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // Apply edits to a request's form fields and record the before/after values.
+  // changes is { field: { before, after } }; an empty "after" clears the field.
+  async updateRequestFields(requestData) {
+    try {
+      const {
+        requestType,
+        requestId,
+        changes,
+        userId,
+        expectedVersion,
+        additionalFields = {}
+      } = requestData;
+
+      const { requests } = await getCollections();
+
+      const updateData = {
+        $set: {
+          ...additionalFields,
+          updatedAt: new Date(),
+          updatedBy: userId
+        },
+        $inc: {
+          version: 1
+        }
+      };
+
+      for (const [field, change] of Object.entries(changes)) {
+        updateData.$set[field] = change.after;
+      }
+
+      if (changes.customerName) {
+        Object.assign(updateData.$set, getNameMatchKeys(changes.customerName.after));
+      }
+
+      if (changes.customerContact) {
+        Object.assign(updateData.$set, normalizeContact(changes.customerContact.after));
+      }
+
+      if (changes.isbn) {
+        Object.assign(updateData.$set, canonicalizeISBN(changes.isbn.after));
+      }
+
+      // Relink the request when the customer's details were corrected
+      if (changes.customerName || changes.customerContact) {
+        const existingRequest = await requests.findOne({ requestId });
+
+        if (existingRequest) {
+          updateData.$set.customerId = await this.resolveCustomerId(
+            changes.customerName ? changes.customerName.after : existingRequest.customerName,
+            changes.customerContact ? changes.customerContact.after : existingRequest.customerContact
+          );
+        }
+      }
+
+      const result = await requests.updateOne(
+        { requestId, ...this.buildVersionFilter(expectedVersion) },
+        updateData
+      );
+
+      if (result.matchedCount === 0) {
+        const existingRequest = await requests.findOne({ requestId });
+
+        if (existingRequest) {
+          console.warn(`Stale edit for ${requestId}: expected version ${expectedVersion}, found ${existingRequest.version || 0}`);
+          return {
+            success: false,
+            conflict: true,
+            currentRequest: existingRequest,
+            error: `Request ${requestId} was changed by someone else`
+          };
+        }
+
+        return { success: false, error: `No request found with ID: ${requestId}` };
+      }
+
+      await this.logEvent({
+        requestType,
+        requestId,
+        action: 'REQUEST_EDITED',
+        userId,
+        additionalMetadata: { changes }
+      });
+
+      return { success: true, message: `Request ${requestId} updated` };
+    } catch (error) {
+      console.error('Error in updateRequestFields:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Save a request's line items and move it to the status they imply (never an earlier
+  // one with forwardOnly). Events are left to the caller; returns
+  // previousStatus/newStatus on success.
+  async saveLineItems(requestData) {
+    const {
+      requestId,
+      lineItems,
+      userId,
+      expectedVersion,
+      forwardOnly = false,
+      additionalFields = {}
+    } = requestData;
+
+    const { requests } = await getCollections();
+    const existingRequest = await requests.findOne({ requestId });
+
+    if (!existingRequest) {
+      return { success: false, error: `No request found with ID: ${requestId}` };
+    }
+
+    const previousStatus = existingRequest.status;
+    const newStatus = deriveRequestStatus(lineItems, previousStatus, { forwardOnly });
+
+    const result = await requests.updateOne(
+      { requestId, status: previousStatus, ...this.buildVersionFilter(expectedVersion) },
+      {
+        $set: {
+          ...additionalFields,
+          lineItems: canonicalizeLineIsbns(lineItems),
+          status: newStatus,
+          updatedAt: new Date(),
+          updatedBy: userId
+        },
+        $inc: {
+          version: 1
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      const currentRequest = await requests.findOne({ requestId });
+
+      if (!currentRequest) {
+        return { success: false, error: `No request found with ID: ${requestId}` };
+      }
+
+      console.warn(`Stale line item update for ${requestId}: expected version ${expectedVersion}, found ${currentRequest.version || 0}`);
+      return {
+        success: false,
+        conflict: true,
+        currentRequest,
+        error: `Request ${requestId} was changed by someone else`
+      };
+    }
+
+    return { success: true, previousStatus, newStatus };
+  }
+
+  // Status changes that follow from the lines are logged like any other, so history,
+  // the dashboard and reminders see them
+  async logDerivedStatusChange({ requestType, requestId, previousStatus, newStatus, userId }) {
+    if (newStatus === previousStatus) {
+      return;
+    }
+
+    await this.logEvent({
+      requestType,
+      requestId,
+      action: 'STATUS_CHANGE',
+      previousStatus,
+      newStatus,
+      userId,
+      additionalMetadata: { derivedFromLineItems: true }
+    });
+  }
+
+  // Replace a request's line items and move the request to the status the lines imply.
+  // changes is a list of descriptions (see describeLineItemChanges) for the event log;
+  // additionalFields (e.g. ordering details) are stored on the request and logged with them.
+  async updateLineItems(requestData) {
+    try {
+      const { requestType, requestId, changes, userId, additionalFields = {} } = requestData;
+      const result = await this.saveLineItems(requestData);
+
+      if (!result.success) {
+        return result;
+      }
+
+      await this.logEvent({
+        requestType,
+        requestId,
+        action: 'LINE_ITEMS_UPDATED',
+        userId,
+        additionalMetadata: { ...additionalFields, changes }
+      });
+
+      await this.logDerivedStatusChange({ requestType, requestId, userId, ...result });
+
+      return result;
+    } catch (error) {
+      console.error('Error in updateLineItems:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record copies arriving against a request's lines, logging one ITEMS_RECEIVED event
+  // per receipt. receipts is [{ lineId, quantity }]; lineItems already includes them.
+  async receiveLineItems(requestData) {
+    try {
+      const { requestType, requestId, lineItems, receipts, receivedDate, userId } = requestData;
+
+      // The receipt that completes the order sets the request's arrival date
+      const fullyReceived = deriveRequestStatus(lineItems, 'ORDERED') === 'RECEIVED';
+      const result = await this.saveLineItems({
+        ...requestData,
+        additionalFields: fullyReceived ? { arrival_date: receivedDate } : {}
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      for (const receipt of receipts) {
+        const line = lineItems.find(item => item.lineId === receipt.lineId);
+
+        await this.logEvent({
+          requestType,
+          requestId,
+          action: 'ITEMS_RECEIVED',
+          userId,
+          additionalMetadata: {
+            lineId: line.lineId,
+            isbn: line.isbn,
+            title: line.title,
+            vendor: line.vendor,
+            quantity: receipt.quantity,
+            quantityReceived: line.quantityReceived,
+            quantityOrdered: line.quantity,
+            receivedDate
+          }
+        });
+      }
+
+      await this.logDerivedStatusChange({ requestType, requestId, userId, ...result });
+
+      return result;
+    } catch (error) {
+      console.error('Error in receiveLineItems:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Add a payment (deposit or balance) to a request's payments ledger. Closed requests
+  // (in a final status) take no more payments. payment is { amountCents, method, orderNumber, date }.
+  async recordPayment(requestData) {
+    try {
+      const { requestType, requestId, payment, userId, expectedVersion } = requestData;
+      const { requests } = await getCollections();
+
+      const entry = {
+        paymentId: `PAY-${Date.now().toString(36)}`,
+        ...payment,
+        recordedBy: userId,
+        recordedAt: new Date()
+      };
+
+      const result = await requests.findOneAndUpdate(
+        {
+          requestId,
+          status: { $nin: RequestTypes.getFinalStatuses(requestType) },
+          ...this.buildVersionFilter(expectedVersion)
+        },
+        {
+          $push: { payments: entry },
+          $set: { updatedAt: new Date(), updatedBy: userId },
+          $inc: { version: 1 }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result.value) {
+        const currentRequest = await requests.findOne({ requestId });
+
+        if (currentRequest && RequestTypes.isFinalStatus(currentRequest.type, currentRequest.status)) {
+          return { success: false, error: `Request ${requestId} is ${currentRequest.status}, so no more payments can be recorded` };
+        }
+
+        if (currentRequest) {
+          return {
+            success: false,
+            conflict: true,
+            currentRequest,
+            error: `Request ${requestId} was changed by someone else`
+          };
+        }
+
+        return { success: false, error: `No request found with ID: ${requestId}` };
+      }
+
+      const balanceDueCents = getBalanceDueCents(result.value);
+
+      await this.logEvent({
+        requestType,
+        requestId,
+        action: 'PAYMENT_RECORDED',
+        userId,
+        additionalMetadata: {
+          ...payment,
+          paymentId: entry.paymentId,
+          balanceDueCents
+        }
+      });
+
+      return { success: true, payment: entry, request: result.value, balanceDueCents };
+    } catch (error) {
+      console.error('Error in recordPayment:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Set (or clear, with a null assignee) the person responsible for a request
+  async assignRequest(requestData) {
+    try {
+      const { requestType, requestId, assignee, userId, expectedVersion } = requestData;
+      const { requests } = await getCollections();
+
+      const existingRequest = await requests.findOne({ requestId });
+
+      if (!existingRequest) {
+        return { success: false, error: `No request found with ID: ${requestId}` };
+      }
+
+      const previousAssignee = existingRequest.assignee || null;
+
+      if (previousAssignee === (assignee || null)) {
+        return { success: true, unchanged: true, previousAssignee };
+      }
+
+      // Bumping the version retires buttons rendered before the reassignment
+      const result = await requests.updateOne(
+        { requestId, ...this.buildVersionFilter(expectedVersion) },
+        {
+          $set: {
+            assignee: assignee || null,
+            assignedBy: userId,
+            assignedAt: new Date(),
+            updatedAt: new Date()
+          },
+          $inc: {
+            version: 1
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        const currentRequest = await requests.findOne({ requestId });
+
+        if (currentRequest) {
+          console.warn(`Stale assignment for ${requestId}: expected version ${expectedVersion}, found ${currentRequest.version || 0}`);
+          return {
+            success: false,
+            conflict: true,
+            currentRequest,
+            error: `Request ${requestId} was changed by someone else`
+          };
+        }
+
+        return { success: false, error: `No request found with ID: ${requestId}` };
+      }
+
+      await this.logEvent({
+        requestType: requestType || existingRequest.type,
+        requestId,
+        action: previousAssignee ? 'REQUEST_REASSIGNED' : 'REQUEST_ASSIGNED',
+        userId,
+        additionalMetadata: {
+          previousAssignee: previousAssignee || '',
+          assignee: assignee || ''
+        }
+      });
+
+      return { success: true, previousAssignee };
+    } catch (error) {
+      console.error('Error in assignRequest:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Record a note against a request. source is 'command', 'button' or 'thread';
+  // thread notes pass the reply's ts so the same reply is never captured twice.
+  async addNote(noteData) {
+    try {
+      const { requestType, requestId, text, userId, source, messageTs } = noteData;
+
+      if (messageTs) {
+        const { events } = await getCollections();
+        const existing = await events.findOne({
+          requestId,
+          action: 'NOTE_ADDED',
+          'additionalMetadata.messageTs': messageTs
+        });
+
+        if (existing) {
+          return { success: true, duplicate: true };
+        }
+      }
+
+      await this.logEvent({
+        requestType,
+        requestId,
+        action: 'NOTE_ADDED',
+        userId,
+        additionalMetadata: {
+          text,
+          source,
+          messageTs: messageTs || '',
+          // Slack timestamps are seconds since the epoch
+          postedAt: messageTs ? new Date(Number(messageTs) * 1000).toISOString() : new Date().toISOString()
+        }
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error in addNote:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Get the notes recorded for a request, oldest first
+  async getRequestNotes(requestId) {
+    const { events } = await getCollections();
+
+    return events
+      .find({ requestId, action: 'NOTE_ADDED' })
+      .sort({ timestamp: 1 })
+      .toArray();
+  }
+
+  // Find the request whose channel card is the given message
+  async getRequestByMessage(channel, ts) {
+    const { requests } = await getCollections();
+    return requests.findOne({ slackChannel: channel, slackMessageTs: ts });
+  }
+
+  // Get the requests assigned to a Slack user, newest first
+  async getRequestsByAssignee(assignee) {
+    const { requests } = await getCollections();
+
+    return requests
+      .find({ assignee })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  // Get the most recent status change (or revert) recorded for a request
+  async getLastStatusChange(requestId) {
+    const { events } = await getCollections();
+
+    const [lastChange] = await events
+      .find({ requestId, action: { $in: ['STATUS_CHANGE', 'STATUS_REVERTED'] } })
+      .sort({ timestamp: -1 })
+      .limit(1)
+      .toArray();
+
+    return lastChange || null;
+  }
+
+  // Put a request back into an earlier status, bypassing the normal transition rules.
+  // Used by undo and reopen, which always supply a reason.
+  async revertRequestStatus(requestData) {
+    try {
+      const {
+        requestType,
+        requestId,
+        currentStatus,
+        targetStatus,
+        userId,
+        reason,
+        mode,
+        revertedEventId,
+        expectedVersion
+      } = requestData;
+
+      const typeConfig = this.REQUEST_TYPES[requestType];
+
+      if (!typeConfig || !typeConfig.possibleStatuses.includes(targetStatus)) {
+        return { success: false, error: `Cannot revert ${requestType} request to unknown status ${targetStatus}` };
+      }
+
+      const { requests } = await getCollections();
+
+      const result = await requests.updateOne(
+        { requestId, status: currentStatus, ...this.buildVersionFilter(expectedVersion) },
+        {
+          $set: {
+            status: targetStatus,
+            updatedAt: new Date(),
+            updatedBy: userId
+          },
+          $inc: {
+            version: 1
+          }
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        const existingRequest = await requests.findOne({ requestId });
+
+        if (existingRequest) {
+          return {
+            success: false,
+            conflict: true,
+            currentRequest: existingRequest,
+            error: `Request ${requestId} was changed by someone else and is now ${existingRequest.status}`
+          };
+        }
+
+        return { success: false, error: `No request found with ID: ${requestId}` };
+      }
+
+      await this.logEvent({
+        requestType,
+        requestId,
+        action: 'STATUS_REVERTED',
+        previousStatus: currentStatus,
+        newStatus: targetStatus,
+        userId,
+        additionalMetadata: {
+          reason,
+          mode,
+          revertedEventId: revertedEventId ? String(revertedEventId) : ''
+        }
+      });
+
+      return { success: true, message: `Request ${requestId} reverted from ${currentStatus} to ${targetStatus}` };
+    } catch (error) {
+      console.error('Error in revertRequestStatus:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Build the part of an update filter that guards against stale versions.
+  // Requests created before versioning have no version field and count as version 0.
+  buildVersionFilter(expectedVersion) {
+    if (expectedVersion === undefined || expectedVersion === null) {
+      return {};
+    }
+    
+    if (expectedVersion === 0) {
+      return { $or: [{ version: 0 }, { version: { $exists: false } }] };
+    }
+    
+    return { version: expectedVersion };
+  }
+
   // Get a specific request by ID - Updated to use correct field name while preserving fallback
 async getRequestById(requestId) {
     try {
@@ -575,8 +1105,12 @@ async searchRequests(query, options = {}) {
       // Build the query filter based on your actual field names from debug output
       let filter = {};
   
+      // Filters compiled from the query language (utils/searchQuery.js) run as they are
+      if (options.filter) {
+        filter = options.filter;
+      }
       // Convert options to match your actual field names
-      if (Object.keys(options).length > 0) {
+      else if (Object.keys(options).length > 0) {
         // Convert field names to match your database
         const convertedOptions = {};
         
@@ -598,26 +1132,29 @@ async searchRequests(query, options = {}) {
         if (options.RequestID) {
           convertedOptions.requestId = options.RequestID;
         }
+
+        // Filters built by /request-search already use the document field names
+        for (const field of ['requestId', 'customerName', 'customerContact', 'email', 'phone', 'type', 'status', 'isbn']) {
+          if (options[field]) {
+            convertedOptions[field] = options[field];
+          }
+        }
+        
+        // An ISBN can be the request's own (older requests) or on any of its line items
+        if (convertedOptions.isbn) {
+          convertedOptions.$or = [
+            { isbn: convertedOptions.isbn },
+            { 'lineItems.isbn': convertedOptions.isbn }
+          ];
+          delete convertedOptions.isbn;
+        }
         
         filter = convertedOptions;
       } 
       // General search query using correct field names
       else if (query && query.trim() !== '') {
-        filter = {
-          $or: [
-            { requestId: { $regex: query, $options: 'i' } },
-            { customerName: { $regex: query, $options: 'i' } },
-            { customerContact: { $regex: query, $options: 'i' } },
-            { type: { $regex: query, $options: 'i' } },
-            { status: { $regex: query, $options: 'i' } },
-            { details: { $regex: query, $options: 'i' } }
-          ]
-        };
-  
-        // If query looks like an ISBN, search that field too
-        if (/^\d{9,13}X?$/.test(query.replace(/[-\s]/g, ''))) {
-          filter.$or.push({ isbn: { $regex: query, $options: 'i' } });
-        }
+        // Typed text is matched literally, so phone numbers like (555) 123-4567 work
+        filter = buildTextFilter(query.trim());
       }
   
       console.log('Final MongoDB query filter:', JSON.stringify(filter));
@@ -652,6 +1189,23 @@ async searchRequests(query, options = {}) {
     }
   }
 
+  // Remember where the channel card for a request was posted so it can be refreshed later
+  async setRequestMessage(requestId, channel, ts) {
+    try {
+      const { requests } = await getCollections();
+      
+      await requests.updateOne(
+        { requestId },
+        { $set: { slackChannel: channel, slackMessageTs: ts } }
+      );
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving request message location:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Get event history for a specific request
   async getRequestHistory(requestId) {
     try {
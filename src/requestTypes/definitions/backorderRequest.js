@@ -0,0 +1,23 @@
+// requestTypes/definitions/backorderRequest.js
+const { COMMON_STATUSES, IMPROVED_TRANSITIONS, ORDER_FIELDS_PER_STATUS } = require('../workflows');
+
+module.exports = {
+  type: 'backorder_request',
+  name: 'Backorder Request',
+  idPrefix: 'BO',
+  aliases: ['backorder'],
+  fields: [
+    { key: 'vendorPublisher', required: true },
+    { key: 'isbn', required: true },
+    { key: 'details', required: true },
+    { key: 'dateNeeded', required: true }
+  ],
+  statuses: COMMON_STATUSES,
+  transitions: IMPROVED_TRANSITIONS,
+  requiredFieldsPerStatus: ORDER_FIELDS_PER_STATUS,
+  // Message sent by the Send Notification button
+  notificationTemplate: {
+    subject: 'Your backordered item {requestId} is in',
+    body: 'Hi {customerName},\n\nThe backordered item you requested ({requestId}) is now in stock and waiting for you at {storeName}.\n\nThanks for your patience!'
+  }
+};
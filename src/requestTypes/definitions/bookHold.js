@@ -0,0 +1,22 @@
+// requestTypes/definitions/bookHold.js
+const { BOOK_HOLD_STATUSES, BOOK_HOLD_TRANSITIONS } = require('../workflows');
+
+module.exports = {
+  type: 'book_hold',
+  name: 'Book Hold',
+  idPrefix: 'BH',
+  aliases: ['hold'],
+  fields: [
+    { key: 'isbn', required: true },
+    { key: 'details', required: true },
+    { key: 'pickupDate', required: true }
+  ],
+  statuses: BOOK_HOLD_STATUSES,
+  transitions: BOOK_HOLD_TRANSITIONS,
+  // Holds are released from the expiry prompt rather than a card button
+  hiddenButtonStatuses: ['EXPIRED'],
+  requiredFieldsPerStatus: {
+    'PAID': ['payment_method', 'order_number'],
+    'COMPLETED': ['completion_date']
+  }
+};
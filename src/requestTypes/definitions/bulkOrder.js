@@ -0,0 +1,26 @@
+// requestTypes/definitions/bulkOrder.js
+const { RECEIVING_STATUSES, RECEIVING_TRANSITIONS, LINE_ITEM_FIELDS_PER_STATUS } = require('../workflows');
+
+module.exports = {
+  type: 'bulk_order',
+  name: 'Bulk Order',
+  idPrefix: 'BU',
+  aliases: ['bulk'],
+  fields: [
+    { key: 'vendorPublisher', required: true },
+    { key: 'details', required: true },
+    { key: 'dateNeeded', required: true }
+  ],
+  // Titles are entered as line items, each ordered and received on its own
+  lineItems: { isbnRequired: true },
+  statuses: RECEIVING_STATUSES,
+  transitions: RECEIVING_TRANSITIONS,
+  requiredFieldsPerStatus: LINE_ITEM_FIELDS_PER_STATUS,
+  // ORDERED and the receiving statuses follow from the line statuses (see lineItems.js)
+  hiddenButtonStatuses: ['ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED'],
+  // Message sent by the Send Notification button
+  notificationTemplate: {
+    subject: 'Your bulk order {requestId} is ready',
+    body: 'Hi {customerName},\n\nYour bulk order ({requestId}) has arrived and is ready for pickup at {storeName}.\n\nThank you for your order!'
+  }
+};
@@ -0,0 +1,28 @@
+// requestTypes/definitions/outOfPrint.js
+const { COMMON_STATUSES, IMPROVED_TRANSITIONS, ORDER_FIELDS_PER_STATUS } = require('../workflows');
+
+module.exports = {
+  type: 'out_of_print',
+  name: 'Out-of-Print Search',
+  idPrefix: 'OP',
+  menuLabel: 'Out of Print Search',
+  aliases: ['out'],
+  fields: [
+    { key: 'vendorPublisher', required: true },
+    { key: 'details', required: true },
+    { key: 'dateNeeded', required: true },
+    { key: 'condition', required: true }
+  ],
+  statuses: COMMON_STATUSES,
+  transitions: IMPROVED_TRANSITIONS,
+  requiredFieldsPerStatus: {
+    ...ORDER_FIELDS_PER_STATUS,
+    'ORDERED': ['source', 'estimated_cost'],
+    'RECEIVED': ['arrival_date', 'actual_cost']
+  },
+  // Message sent by the Send Notification button
+  notificationTemplate: {
+    subject: 'We found your out-of-print book ({requestId})',
+    body: 'Hi {customerName},\n\nWe found a copy of the out-of-print book you were looking for ({requestId}). It is ready for you at {storeName}.\n\nThanks for letting us search for you!'
+  }
+};
@@ -0,0 +1,28 @@
+// requestTypes/definitions/personalization.js
+const { COMMON_STATUSES, IMPROVED_TRANSITIONS } = require('../workflows');
+
+module.exports = {
+  type: 'personalization',
+  name: 'Personalization Request',
+  idPrefix: 'PE',
+  aliases: ['personalization'],
+  fields: [
+    { key: 'vendorPublisher', required: true },
+    { key: 'isbn', required: true },
+    { key: 'details', required: true },
+    { key: 'dateNeeded', required: true }
+  ],
+  statuses: COMMON_STATUSES,
+  transitions: IMPROVED_TRANSITIONS,
+  requiredFieldsPerStatus: {
+    'ORDERED': ['personalization_details', 'estimated_completion'],
+    'NOTIFIED': ['notification_method', 'notification_date'],
+    'PAID': ['payment_method', 'payment_amount'],
+    'COMPLETED': ['completion_date']
+  },
+  // Message sent by the Send Notification button
+  notificationTemplate: {
+    subject: 'Your personalized order {requestId} is ready',
+    body: 'Hi {customerName},\n\nYour personalized order ({requestId}) is finished and ready for you at {storeName}.\n\nWe hope you love it!'
+  }
+};
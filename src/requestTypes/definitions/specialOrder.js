@@ -0,0 +1,26 @@
+// requestTypes/definitions/specialOrder.js
+const { RECEIVING_STATUSES, RECEIVING_TRANSITIONS, LINE_ITEM_FIELDS_PER_STATUS } = require('../workflows');
+
+module.exports = {
+  type: 'special_order',
+  name: 'Special Order',
+  idPrefix: 'SO',
+  aliases: ['special'],
+  fields: [
+    { key: 'vendorPublisher', required: true },
+    { key: 'details', required: true },
+    { key: 'dateNeeded', required: true }
+  ],
+  // Titles are entered as line items, each ordered and received on its own
+  lineItems: { isbnRequired: false },
+  statuses: RECEIVING_STATUSES,
+  transitions: RECEIVING_TRANSITIONS,
+  requiredFieldsPerStatus: LINE_ITEM_FIELDS_PER_STATUS,
+  // ORDERED and the receiving statuses follow from the line statuses (see lineItems.js)
+  hiddenButtonStatuses: ['ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED'],
+  // Message sent by the Send Notification button
+  notificationTemplate: {
+    subject: 'Your special order {requestId} has arrived',
+    body: 'Hi {customerName},\n\nGood news! Your special order ({requestId}) has arrived and is ready for you at {storeName}.\n\nThanks for shopping with us!'
+  }
+};
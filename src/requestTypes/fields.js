@@ -0,0 +1,269 @@
+// requestTypes/fields.js
+
+// Options shared by select fields
+const CONDITION_OPTIONS = [
+  { text: 'New', value: 'new' },
+  { text: 'Like New', value: 'like_new' },
+  { text: 'Very Good', value: 'very_good' },
+  { text: 'Good', value: 'good' },
+  { text: 'Fair', value: 'fair' },
+  { text: 'Poor', value: 'poor' },
+  { text: 'Any Readable Condition', value: 'any' }
+];
+
+const PRIORITY_OPTIONS = [
+  { text: 'Low', value: 'low' },
+  { text: 'Standard', value: 'standard' },
+  { text: 'High', value: 'high' },
+  { text: 'Urgent', value: 'urgent' }
+];
+
+const ORDER_METHOD_OPTIONS = [
+  { text: 'Vendor Website', value: 'Vendor Website' },
+  { text: 'Phone', value: 'Phone' },
+  { text: 'Email', value: 'Email' },
+  { text: 'Distributor', value: 'Distributor' }
+];
+
+const PAYMENT_METHOD_OPTIONS = [
+  { text: 'POS', value: 'POS' },
+  { text: 'Shopify', value: 'Shopify' }
+];
+
+const NOTIFICATION_METHOD_OPTIONS = [
+  { text: 'Phone', value: 'Phone' },
+  { text: 'Email', value: 'Email' },
+  { text: 'SMS', value: 'SMS' }
+];
+
+// Reasons a request can be cancelled. "other" requires cancellation notes.
+const CANCELLATION_REASON_OPTIONS = [
+  { text: 'Customer withdrew', value: 'customer_withdrew' },
+  { text: 'Out of print at vendor', value: 'out_of_print_at_vendor' },
+  { text: 'Price too high', value: 'price_too_high' },
+  { text: 'Duplicate request', value: 'duplicate' },
+  { text: 'Unable to contact customer', value: 'unable_to_contact' },
+  { text: 'Other', value: 'other' }
+];
+
+const REFUND_OWED_OPTIONS = [
+  { text: 'Yes, refund owed', value: 'yes' },
+  { text: 'No refund owed', value: 'no' }
+];
+
+// Fields that can appear on the request creation form. The key is the property
+// name stored on the request document; blockId/actionId are the Slack identifiers.
+// kind is one of: text, multiline, date, select
+const REQUEST_FIELDS = {
+  customerName: {
+    blockId: 'customer_name',
+    label: 'Customer Name',
+    kind: 'text',
+    placeholder: 'Enter customer name'
+  },
+  customerContact: {
+    blockId: 'customer_contact',
+    label: 'Customer Contact',
+    kind: 'text',
+    placeholder: 'Email, phone or both, e.g. name@example.com, 555-123-4567',
+    validators: ['contact']
+  },
+  vendorPublisher: {
+    blockId: 'vendor_publisher',
+    label: 'Vendor/Publisher',
+    kind: 'text',
+    placeholder: 'Enter vendor or publisher name',
+    // Filled from the ISBN's catalog record when left blank, on types with an ISBN
+    catalogKey: 'publisher'
+  },
+  isbn: {
+    blockId: 'isbn',
+    label: 'ISBN',
+    kind: 'text',
+    placeholder: 'Enter book ISBN (13-digit standard starts with 978 or 979)',
+    validators: ['isbn']
+  },
+  details: {
+    blockId: 'request_details',
+    label: 'Request Details',
+    kind: 'multiline',
+    placeholder: 'Provide specific details about the request'
+  },
+  dateNeeded: {
+    blockId: 'date_needed',
+    label: 'Date Needed',
+    kind: 'date',
+    placeholder: 'Select a date (must be future date)',
+    validators: ['tomorrowOrLater']
+  },
+  pickupDate: {
+    blockId: 'pickup_date',
+    label: 'Pick Up Date',
+    kind: 'date',
+    placeholder: 'Select a date (must be today or future date)',
+    validators: ['todayOrLater']
+  },
+  condition: {
+    blockId: 'condition',
+    label: 'Condition',
+    kind: 'select',
+    placeholder: 'Select minimum acceptable condition',
+    options: CONDITION_OPTIONS
+  },
+  totalAmount: {
+    blockId: 'total_amount',
+    label: 'Total Amount',
+    kind: 'text',
+    placeholder: 'Order total, e.g. 42.50 (leave blank if not known yet)',
+    validators: ['amount']
+  },
+  priority: {
+    blockId: 'priority',
+    actionId: 'priority_select',
+    label: 'Priority',
+    kind: 'select',
+    placeholder: 'Select priority',
+    options: PRIORITY_OPTIONS
+  }
+};
+
+// Fields collected when a request moves into a status (see requiredFieldsPerStatus).
+// The key doubles as the block_id and the property name stored on the request.
+const STATUS_FIELDS = {
+  ordered_by: {
+    label: 'Ordered By',
+    kind: 'text',
+    placeholder: 'Enter your name'
+  },
+  order_method: {
+    label: 'Order Method',
+    kind: 'select',
+    placeholder: 'Select order method',
+    options: ORDER_METHOD_OPTIONS
+  },
+  estimated_arrival: {
+    label: 'Estimated Arrival Date',
+    kind: 'date',
+    initialDate: 'today',
+    placeholder: 'Select arrival date (today or future date)',
+    validators: ['todayOrLater']
+  },
+  personalization_details: {
+    label: 'Personalization Details',
+    kind: 'multiline',
+    placeholder: 'Names, inscriptions or other personalization being done'
+  },
+  estimated_completion: {
+    label: 'Estimated Completion Date',
+    kind: 'date',
+    initialDate: 'today',
+    placeholder: 'Select completion date (today or future date)',
+    validators: ['todayOrLater']
+  },
+  arrival_date: {
+    label: 'Arrival Date',
+    kind: 'date',
+    initialDate: 'today',
+    placeholder: 'Select arrival date (cannot be a future date)',
+    validators: ['notFuture']
+  },
+  notification_method: {
+    label: 'Notification Method',
+    kind: 'select',
+    placeholder: 'Select notification method',
+    options: NOTIFICATION_METHOD_OPTIONS
+  },
+  notification_date: {
+    label: 'Notification Date',
+    kind: 'date',
+    initialDate: 'today',
+    placeholder: 'Select notification date (cannot be a future date)',
+    validators: ['notFuture']
+  },
+  payment_method: {
+    label: 'Payment Method',
+    kind: 'select',
+    placeholder: 'Select payment method',
+    options: PAYMENT_METHOD_OPTIONS
+  },
+  order_number: {
+    label: 'Order Number',
+    kind: 'text',
+    placeholder: 'Enter order number (5 digits, or start with 1 or D)',
+    validators: ['orderNumber']
+  },
+  completion_date: {
+    label: 'Completion Date',
+    kind: 'date',
+    initialDate: 'today',
+    placeholder: 'Select completion date (cannot be a future date)',
+    validators: ['notFuture']
+  },
+  payment_amount: {
+    label: 'Payment Amount',
+    kind: 'text',
+    placeholder: 'Amount paid, e.g. 20.00',
+    validators: ['amount']
+  },
+  payment_date: {
+    label: 'Payment Date',
+    kind: 'date',
+    initialDate: 'today',
+    placeholder: 'Select payment date (cannot be a future date)',
+    validators: ['notFuture']
+  },
+  cancellation_reason: {
+    label: 'Cancellation Reason',
+    kind: 'select',
+    placeholder: 'Select a reason',
+    options: CANCELLATION_REASON_OPTIONS
+  },
+  cancellation_notes: {
+    label: 'Notes',
+    kind: 'multiline',
+    placeholder: 'Required when the reason is Other',
+    required: false
+  },
+  refund_owed: {
+    label: 'Refund Owed',
+    kind: 'select',
+    placeholder: 'Is a refund owed to the customer?',
+    options: REFUND_OWED_OPTIONS
+  }
+};
+
+// Fields collected for each line item on types with lineItems. The key is the property
+// stored on the line; blocks are named line_<lineId>_<key> (see lineItems.js).
+const LINE_ITEM_FIELDS = {
+  isbn: {
+    label: 'ISBN',
+    kind: 'text',
+    placeholder: 'Enter book ISBN (13-digit standard starts with 978 or 979)',
+    validators: ['isbn']
+  },
+  title: {
+    label: 'Title',
+    kind: 'text',
+    placeholder: 'Enter the book title'
+  },
+  quantity: {
+    label: 'Quantity',
+    kind: 'text',
+    placeholder: 'Number of copies',
+    validators: ['quantity']
+  },
+  vendor: {
+    label: 'Vendor',
+    kind: 'text',
+    placeholder: 'Leave blank to use the Vendor/Publisher above'
+  }
+};
+
+module.exports = {
+  REQUEST_FIELDS,
+  STATUS_FIELDS,
+  LINE_ITEM_FIELDS,
+  CONDITION_OPTIONS,
+  PRIORITY_OPTIONS,
+  CANCELLATION_REASON_OPTIONS
+};
@@ -0,0 +1,364 @@
+// requestTypes/index.js
+//
+// Registry of request types. Each file in ./definitions describes one type: the
+// form fields it collects, its statuses and transitions, and the fields required
+// when entering each status. Modals, validation, action buttons and the logger's
+// status configuration are all generated from these definitions, so adding or
+// changing a type should only mean editing its definition file.
+const { REQUEST_FIELDS, STATUS_FIELDS, LINE_ITEM_FIELDS } = require('./fields');
+const { STATUS_BUTTON_LABELS } = require('./workflows');
+const { LINE_DRIVEN_STATUSES, getLineBlockId } = require('./lineItems');
+const {
+  validateISBN,
+  validateOrderNumber,
+  validateContact,
+  validateTomorrowOrLater,
+  validateTodayOrLater,
+  validateNotFutureDate,
+  validateQuantity,
+  validateAmount
+} = require('../utils/validation');
+
+// Definitions in the order they are offered in the request type menu
+const DEFINITIONS = [
+  require('./definitions/specialOrder'),
+  require('./definitions/bookHold'),
+  require('./definitions/backorderRequest'),
+  require('./definitions/outOfPrint'),
+  require('./definitions/bulkOrder'),
+  require('./definitions/personalization')
+];
+
+// Fields every request type collects, before and after its own fields
+const LEADING_FIELDS = [
+  { key: 'customerName', required: true },
+  { key: 'customerContact', required: true }
+];
+const TRAILING_FIELDS = [
+  { key: 'totalAmount', required: false },
+  { key: 'priority', required: true }
+];
+
+// Validators that field definitions can refer to by name
+const VALIDATORS = {
+  isbn: (value) => validateISBN(value),
+  contact: (value) => validateContact(value),
+  orderNumber: (value) => validateOrderNumber(value),
+  tomorrowOrLater: (value, field) => validateTomorrowOrLater(value, field.label),
+  todayOrLater: (value, field) => validateTodayOrLater(value, field.label),
+  notFuture: (value, field) => validateNotFutureDate(value, field.label),
+  quantity: (value, field) => validateQuantity(value, field.label),
+  amount: (value, field) => validateAmount(value, field.label)
+};
+
+// Helper function to format field labels
+const formatFieldLabel = (field) => {
+  return field
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+// Merge a field reference from a definition with the shared field description
+const resolveRequestField = (fieldRef) => {
+  const base = REQUEST_FIELDS[fieldRef.key];
+
+  return {
+    ...base,
+    ...fieldRef,
+    actionId: fieldRef.actionId || base.actionId || `${base.blockId}_input`,
+    validators: fieldRef.validators || base.validators || []
+  };
+};
+
+// Status fields without a shared description fall back to a plain text input
+const resolveStatusField = (key) => {
+  const base = STATUS_FIELDS[key] || {
+    label: formatFieldLabel(key),
+    kind: 'text',
+    placeholder: `Enter ${formatFieldLabel(key).toLowerCase()}`
+  };
+
+  return {
+    key,
+    blockId: key,
+    actionId: `${key}_input`,
+    required: true,
+    validators: [],
+    ...base
+  };
+};
+
+// Catch typos in definitions at startup rather than when someone opens a form
+const checkDefinition = (definition) => {
+  const problems = [];
+
+  if (!/^[A-Z]{2,5}$/.test(definition.idPrefix || '')) {
+    problems.push('idPrefix must be 2-5 uppercase letters');
+  } else if (DEFINITIONS.some(other => other !== definition && other.idPrefix === definition.idPrefix)) {
+    problems.push(`idPrefix "${definition.idPrefix}" is already used by another type`);
+  }
+
+  for (const fieldRef of definition.fields) {
+    if (!REQUEST_FIELDS[fieldRef.key]) {
+      problems.push(`unknown field "${fieldRef.key}"`);
+    }
+  }
+
+  const fieldDescriptions = [
+    ...definition.fields.map(fieldRef => ({ ...REQUEST_FIELDS[fieldRef.key], ...fieldRef })),
+    ...Object.values(definition.requiredFieldsPerStatus || {})
+      .flat()
+      .map(key => STATUS_FIELDS[key] || {})
+  ];
+
+  for (const field of fieldDescriptions) {
+    for (const validator of field.validators || []) {
+      if (!VALIDATORS[validator]) {
+        problems.push(`unknown validator "${validator}"`);
+      }
+    }
+  }
+
+  for (const [status, nextStatuses] of Object.entries(definition.transitions)) {
+    for (const nextStatus of [status, ...nextStatuses]) {
+      if (!definition.statuses.includes(nextStatus)) {
+        problems.push(`transition uses unknown status "${nextStatus}"`);
+      }
+    }
+  }
+
+  for (const status of Object.keys(definition.requiredFieldsPerStatus || {})) {
+    if (!definition.statuses.includes(status)) {
+      problems.push(`required fields given for unknown status "${status}"`);
+    }
+  }
+
+  if (definition.lineItems) {
+    for (const status of LINE_DRIVEN_STATUSES) {
+      if (!definition.statuses.includes(status)) {
+        problems.push(`line item types need the "${status}" status`);
+      }
+    }
+  }
+
+  for (const status of definition.hiddenButtonStatuses || []) {
+    if (!definition.statuses.includes(status)) {
+      problems.push(`hidden button status "${status}" is not a status`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid request type definition ${definition.type}: ${problems.join(', ')}`);
+  }
+};
+
+DEFINITIONS.forEach(checkDefinition);
+
+const DEFINITIONS_BY_TYPE = DEFINITIONS.reduce((acc, definition) => {
+  acc[definition.type] = definition;
+  return acc;
+}, {});
+
+// Get all request type definitions in menu order
+const listRequestTypes = () => DEFINITIONS;
+
+// Get the definition for a request type code (e.g. 'special_order')
+const getRequestType = (requestType) => DEFINITIONS_BY_TYPE[requestType];
+
+// Helper function to format request type names
+const formatRequestTypeName = (requestType) => {
+  const definition = getRequestType(requestType);
+  return definition ? definition.name : requestType;
+};
+
+// Map a display name (e.g. 'Out-of-Print Search') back to its type code
+const getRequestTypeByName = (typeName) => {
+  const definition = DEFINITIONS.find(def =>
+    def.name === typeName || def.menuLabel === typeName
+  );
+
+  return definition ? definition.type : typeName.toLowerCase().replace(/\s+/g, '_');
+};
+
+// Map a loose search term (e.g. 'hold', 'bulk orders') to a type code
+const findRequestTypeByAlias = (term) => {
+  const lowerTerm = term.toLowerCase();
+  const definition = DEFINITIONS.find(def =>
+    def.type === lowerTerm || (def.aliases || []).some(alias => lowerTerm.includes(alias))
+  );
+
+  return definition ? definition.type : lowerTerm;
+};
+
+// Check whether a request type has ISBNs to look up in the catalog
+const usesCatalog = (definition) => {
+  return Boolean(definition.lineItems) || definition.fields.some(fieldRef => fieldRef.key === 'isbn');
+};
+
+// Get the resolved creation form fields for a request type, in display order. Fields
+// keep their catalogKey only on types with an ISBN to look up.
+const getFormFields = (requestType) => {
+  const definition = getRequestType(requestType);
+
+  if (!definition) {
+    throw new Error(`Unknown request type: ${requestType}`);
+  }
+
+  return [...LEADING_FIELDS, ...definition.fields, ...TRAILING_FIELDS]
+    .map(resolveRequestField)
+    .map(field => (field.catalogKey && !usesCatalog(definition) ? { ...field, catalogKey: undefined } : field));
+};
+
+// Check whether a request type collects line items instead of a single ISBN
+const hasLineItems = (requestType) => {
+  const definition = getRequestType(requestType);
+  return Boolean(definition && definition.lineItems);
+};
+
+// Get the resolved inputs for one line item on a request type's form. Each line needs
+// a quantity and an ISBN or title; some types always need the ISBN.
+const getLineItemFields = (requestType, lineId) => {
+  const definition = getRequestType(requestType);
+  const isbnRequired = Boolean(definition && definition.lineItems && definition.lineItems.isbnRequired);
+
+  return Object.entries(LINE_ITEM_FIELDS).map(([key, base]) => ({
+    key,
+    blockId: getLineBlockId(lineId, key),
+    actionId: `line_${key}_input`,
+    required: key === 'quantity' || (key === 'isbn' && isbnRequired),
+    validators: [],
+    ...base
+  }));
+};
+
+// Get the resolved fields required when a request type enters a status
+const getStatusFields = (requestType, status) => {
+  const definition = getRequestType(requestType);
+  const fieldKeys = (definition && definition.requiredFieldsPerStatus[status]) || [];
+
+  return fieldKeys.map(resolveStatusField);
+};
+
+// Get the resolved fields collected when cancelling a request. Requests that were
+// already paid, or have payments recorded, also record whether a refund is owed.
+const getCancellationFields = (currentStatus, paymentsTaken = false) => {
+  const fieldKeys = ['cancellation_reason', 'cancellation_notes'];
+
+  if (currentStatus === 'PAID' || paymentsTaken) {
+    fieldKeys.push('refund_owed');
+  }
+
+  return fieldKeys.map(resolveStatusField);
+};
+
+// Get the resolved fields collected when recording a payment
+const getPaymentFields = () => {
+  return ['payment_amount', 'payment_method', 'order_number', 'payment_date'].map(resolveStatusField);
+};
+
+// Get the resolved fields collected with each receipt of line items
+const getReceiptFields = () => ['arrival_date'].map(resolveStatusField);
+
+// Check whether a status has no further transitions for a request type
+const isFinalStatus = (requestType, status) => {
+  const definition = getRequestType(requestType);
+  return !definition || !(definition.transitions[status] || []).length;
+};
+
+// Get the statuses a request type can't move on from
+const getFinalStatuses = (requestType) => {
+  const definition = getRequestType(requestType);
+  return definition ? definition.statuses.filter(status => isFinalStatus(requestType, status)) : [];
+};
+
+// MongoDB conditions for requests that are still open, or closed (in a final status),
+// which depends on each request's type
+const buildStatusGroupQuery = (group) => {
+  return {
+    $or: DEFINITIONS.map(definition => ({
+      type: definition.type,
+      status: {
+        $in: definition.statuses.filter(status =>
+          isFinalStatus(definition.type, status) === (group === 'closed'))
+      }
+    }))
+  };
+};
+
+// Get the statuses a request can move to from the card's buttons
+const getButtonTransitions = (requestType, status) => {
+  const definition = getRequestType(requestType);
+
+  if (!definition) {
+    return [];
+  }
+
+  const hidden = definition.hiddenButtonStatuses || [];
+  return (definition.transitions[status] || []).filter(nextStatus => !hidden.includes(nextStatus));
+};
+
+// Run a resolved field's validators against a submitted value
+const validateField = (field, value) => {
+  for (const validatorName of field.validators) {
+    const result = VALIDATORS[validatorName](value, field);
+
+    if (!result.valid) {
+      return result;
+    }
+  }
+
+  return { valid: true };
+};
+
+// Helper function to get button text based on status
+const getStatusButtonText = (nextStatus) => {
+  return STATUS_BUTTON_LABELS[nextStatus] || `Change to ${nextStatus}`;
+};
+
+// Required creation fields per type, in the shape UnifiedEventLogger expects
+const buildRequiredFieldsMap = () => {
+  return DEFINITIONS.reduce((acc, definition) => {
+    acc[definition.type] = getFormFields(definition.type)
+      .filter(field => field.required)
+      .map(field => field.key);
+    return acc;
+  }, {});
+};
+
+// Status configuration per type, in the shape UnifiedEventLogger expects
+const buildStatusConfigMap = () => {
+  return DEFINITIONS.reduce((acc, definition) => {
+    acc[definition.type] = {
+      possibleStatuses: definition.statuses,
+      statusTransitions: definition.transitions,
+      requiredFieldsPerStatus: definition.requiredFieldsPerStatus
+    };
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  listRequestTypes,
+  getRequestType,
+  formatRequestTypeName,
+  getRequestTypeByName,
+  findRequestTypeByAlias,
+  getFormFields,
+  getStatusFields,
+  hasLineItems,
+  getLineItemFields,
+  getCancellationFields,
+  getPaymentFields,
+  getReceiptFields,
+  isFinalStatus,
+  getFinalStatuses,
+  buildStatusGroupQuery,
+  getButtonTransitions,
+  validateField,
+  getStatusButtonText,
+  formatFieldLabel,
+  buildRequiredFieldsMap,
+  buildStatusConfigMap,
+  checkDefinition
+};
@@ -0,0 +1,258 @@
+// requestTypes/lineItems.js
+//
+// Line items let one request carry several titles (types with `lineItems` in their
+// definition). Each line has an ISBN, title, quantity, vendor, quantity received so far
+// and its own status, and the request's NEW/ORDERED/.../RECEIVED status is derived
+// from the lines.
+const { LINE_ITEM_STATUSES } = require('./workflows');
+const { canonicalizeISBN } = require('../utils/validation');
+
+// Keeps the request form well under Slack's 100 block limit
+const MAX_LINE_ITEMS = 10;
+
+// Request statuses that follow the lines. Later statuses (NOTIFIED, PAID, ...) are
+// still set from the card and are left alone when lines change.
+const LINE_DRIVEN_STATUSES = ['NEW', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED'];
+
+// Properties shown when describing what changed on a line
+const LINE_ITEM_PROPERTIES = ['isbn', 'title', 'quantity', 'vendor', 'quantityReceived', 'status'];
+
+// Status a request's only line had before line items existed
+const LEGACY_LINE_STATUSES = {
+  'NEW': 'PENDING',
+  'ORDERED': 'ORDERED',
+  'CANCELLED': 'CANCELLED'
+};
+
+// Slack block_id for one of a line's inputs
+const getLineBlockId = (lineId, key) => `line_${lineId}_${key}`;
+
+// Line IDs are L1, L2, ... and are never reused within a request
+const getNextLineId = (lineIds) => {
+  const highest = lineIds.reduce((max, lineId) => {
+    return Math.max(max, Number(String(lineId).replace(/^L/, '')) || 0);
+  }, 0);
+
+  return `L${highest + 1}`;
+};
+
+// Get a request's lines. Requests created before line items existed have a single
+// ISBN, which is treated as one line in a status matching the request.
+const getRequestLineItems = (request) => {
+  if (Array.isArray(request.lineItems)) {
+    return request.lineItems;
+  }
+
+  if (!request.isbn) {
+    return [];
+  }
+
+  return [{
+    lineId: 'L1',
+    isbn: request.isbn,
+    title: '',
+    quantity: 1,
+    vendor: request.vendorPublisher || '',
+    status: LEGACY_LINE_STATUSES[request.status] || 'RECEIVED'
+  }];
+};
+
+// Store each line's ISBN in canonical form, with its ISBN-10 and SKU flag (see canonicalizeISBN)
+const canonicalizeLineIsbns = (lineItems) => {
+  return lineItems.map(line => ({ ...line, ...canonicalizeISBN(line.isbn) }));
+};
+
+// Copies of a line received so far. Lines saved before receipts were tracked only
+// have a status.
+const getReceivedQuantity = (line) => {
+  if (line.quantityReceived !== undefined && line.quantityReceived !== null) {
+    return line.quantityReceived;
+  }
+
+  return line.status === 'RECEIVED' ? line.quantity : 0;
+};
+
+// Copies of a line still expected from the vendor (none once it is cancelled)
+const getOutstandingQuantity = (line) => {
+  if (line.status === 'CANCELLED') {
+    return 0;
+  }
+
+  return Math.max(0, line.quantity - getReceivedQuantity(line));
+};
+
+// Record copies of a line arriving; it is RECEIVED once the full quantity is in
+const receiveLineQuantity = (line, quantity) => {
+  const quantityReceived = Math.min(line.quantity, getReceivedQuantity(line) + quantity);
+
+  return {
+    ...line,
+    quantityReceived,
+    status: quantityReceived >= line.quantity ? 'RECEIVED' : 'PARTIALLY_RECEIVED'
+  };
+};
+
+// Change how many copies a line is for, keeping its receiving status consistent
+const setLineQuantity = (line, quantity) => {
+  const received = getReceivedQuantity(line);
+
+  if (line.status === 'CANCELLED' || received === 0) {
+    return { ...line, quantity };
+  }
+
+  const quantityReceived = Math.min(received, quantity);
+
+  return {
+    ...line,
+    quantity,
+    quantityReceived,
+    status: quantityReceived >= quantity ? 'RECEIVED' : 'PARTIALLY_RECEIVED'
+  };
+};
+
+// Set a line's status by hand, keeping the quantity received consistent with it
+const applyLineStatus = (line, status) => {
+  if (status === line.status) {
+    return line;
+  }
+
+  let quantityReceived = getReceivedQuantity(line);
+
+  if (status === 'RECEIVED') {
+    quantityReceived = line.quantity;
+  } else if (status === 'PENDING' || status === 'ORDERED') {
+    quantityReceived = 0;
+  }
+
+  return { ...line, status, quantityReceived };
+};
+
+// Count lines per status, e.g. { total: 5, PENDING: 1, ORDERED: 1, RECEIVED: 3, CANCELLED: 0 }
+const summarizeLineItems = (lineItems) => {
+  return lineItems.reduce((summary, line) => {
+    summary[line.status] = (summary[line.status] || 0) + 1;
+    return summary;
+  }, LINE_ITEM_STATUSES.reduce((summary, status) => ({ ...summary, [status]: 0 }), { total: lineItems.length }));
+};
+
+// Short progress text for cards, e.g. "3/5 received, 1 on order"
+const formatLineItemProgress = (lineItems) => {
+  const summary = summarizeLineItems(lineItems);
+  const parts = [`${summary.RECEIVED}/${summary.total - summary.CANCELLED} received`];
+
+  if (summary.PARTIALLY_RECEIVED > 0) {
+    parts.push(`${summary.PARTIALLY_RECEIVED} partly received`);
+  }
+
+  if (summary.ORDERED > 0) {
+    parts.push(`${summary.ORDERED} on order`);
+  }
+
+  if (summary.CANCELLED > 0) {
+    parts.push(`${summary.CANCELLED} cancelled`);
+  }
+
+  return parts.join(', ');
+};
+
+// Work out the request status the lines imply from the lines' own statuses
+const getImpliedStatus = (activeLines) => {
+  if (activeLines.every(line => line.status === 'RECEIVED')) {
+    return 'RECEIVED';
+  }
+
+  if (activeLines.every(line => line.status !== 'PENDING')) {
+    return activeLines.some(line => getReceivedQuantity(line) > 0) ? 'PARTIALLY_RECEIVED' : 'ORDERED';
+  }
+
+  return 'NEW';
+};
+
+// Work out the request status the lines imply. Cancelled lines are ignored; a request
+// is ORDERED once every other line is ordered, PARTIALLY_RECEIVED once some copies
+// have arrived and RECEIVED only when every copy of every line is in. With forwardOnly
+// (edits), the request keeps its status when the lines imply an earlier one.
+const deriveRequestStatus = (lineItems, currentStatus, { forwardOnly = false } = {}) => {
+  if (!LINE_DRIVEN_STATUSES.includes(currentStatus)) {
+    return currentStatus;
+  }
+
+  const activeLines = lineItems.filter(line => line.status !== 'CANCELLED');
+
+  if (activeLines.length === 0) {
+    return currentStatus;
+  }
+
+  const impliedStatus = getImpliedStatus(activeLines);
+
+  if (forwardOnly && LINE_DRIVEN_STATUSES.indexOf(impliedStatus) < LINE_DRIVEN_STATUSES.indexOf(currentStatus)) {
+    return currentStatus;
+  }
+
+  return impliedStatus;
+};
+
+// One-line description of a line item, e.g. "The Hobbit (9780547928227) × 2 · Penguin"
+const formatLineItem = (line) => {
+  const name = line.title && line.isbn ? `${line.title} (${line.isbn})` : (line.title || line.isbn);
+  const vendor = line.vendor ? ` · ${line.vendor}` : '';
+
+  return `${name} × ${line.quantity}${vendor}`;
+};
+
+// Describe the differences between two versions of a request's lines, one entry per change
+const describeLineItemChanges = (before, after) => {
+  const changes = [];
+  const beforeById = new Map(before.map(line => [line.lineId, line]));
+  const afterIds = new Set(after.map(line => line.lineId));
+
+  for (const line of before) {
+    if (!afterIds.has(line.lineId)) {
+      changes.push(`${line.lineId} removed: ${formatLineItem(line)}`);
+    }
+  }
+
+  for (const line of after) {
+    const previous = beforeById.get(line.lineId);
+
+    if (!previous) {
+      changes.push(`${line.lineId} added: ${formatLineItem(line)}`);
+      continue;
+    }
+
+    for (const key of LINE_ITEM_PROPERTIES) {
+      const readValue = (item) => {
+        const value = key === 'quantityReceived' ? getReceivedQuantity(item) : item[key];
+        return value === undefined || value === null ? '' : String(value);
+      };
+      const beforeValue = readValue(previous);
+      const afterValue = readValue(line);
+
+      if (beforeValue !== afterValue) {
+        changes.push(`${line.lineId} ${key}: ${beforeValue || '(blank)'} → ${afterValue || '(blank)'}`);
+      }
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  MAX_LINE_ITEMS,
+  LINE_DRIVEN_STATUSES,
+  LINE_ITEM_STATUSES,
+  getLineBlockId,
+  getNextLineId,
+  getRequestLineItems,
+  canonicalizeLineIsbns,
+  getReceivedQuantity,
+  getOutstandingQuantity,
+  receiveLineQuantity,
+  setLineQuantity,
+  applyLineStatus,
+  summarizeLineItems,
+  formatLineItemProgress,
+  deriveRequestStatus,
+  formatLineItem,
+  describeLineItemChanges
+};
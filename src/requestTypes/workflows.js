@@ -0,0 +1,112 @@
+// requestTypes/workflows.js
+
+// Common status flow for all request types based on the CSV
+const COMMON_STATUSES = [
+  'NEW',
+  'ORDERED',
+  'RECEIVED',
+  'NOTIFIED',
+  'PAID',
+  'COMPLETED',
+  'CANCELLED'
+];
+
+// Define updated transitions that prevent simultaneous Start Work and Mark as Ordered
+const IMPROVED_TRANSITIONS = {
+  'NEW': ['ORDERED', 'CANCELLED'],
+  'ORDERED': ['RECEIVED', 'CANCELLED'],
+  'RECEIVED': ['NOTIFIED', 'CANCELLED'],
+  'NOTIFIED': ['PAID', 'CANCELLED'],
+  'PAID': ['COMPLETED', 'CANCELLED'],
+  'COMPLETED': [],
+  'CANCELLED': []
+};
+
+// Special and bulk orders often arrive in several shipments, so they can be partly received
+const RECEIVING_STATUSES = [
+  'NEW',
+  'ORDERED',
+  'PARTIALLY_RECEIVED',
+  'RECEIVED',
+  'NOTIFIED',
+  'PAID',
+  'COMPLETED',
+  'CANCELLED'
+];
+
+const RECEIVING_TRANSITIONS = {
+  ...IMPROVED_TRANSITIONS,
+  'ORDERED': ['PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'],
+  'PARTIALLY_RECEIVED': ['RECEIVED', 'CANCELLED']
+};
+
+// Book holds can also expire when the customer doesn't pick up in time
+const BOOK_HOLD_STATUSES = [...COMMON_STATUSES, 'EXPIRED'];
+
+// Custom transitions for book_hold
+const BOOK_HOLD_TRANSITIONS = {
+  'NEW': ['PAID', 'CANCELLED', 'EXPIRED'],
+  'PAID': ['COMPLETED', 'CANCELLED', 'EXPIRED'],
+  'COMPLETED': [],
+  'CANCELLED': [],
+  'EXPIRED': []
+};
+
+// Fields collected on each transition for the standard order flow
+const ORDER_FIELDS_PER_STATUS = {
+  'ORDERED': ['ordered_by', 'order_method', 'estimated_arrival'],
+  'RECEIVED': ['arrival_date'],
+  'NOTIFIED': ['notification_method', 'notification_date'],
+  'PAID': ['payment_method', 'order_number'],
+  'COMPLETED': ['completion_date']
+};
+
+// Line item types track ordering and receiving per line and derive the request's
+// ORDERED/RECEIVED status from the lines. The ORDERED fields are asked for by the
+// Update Items form when pending lines are marked ordered.
+const LINE_ITEM_FIELDS_PER_STATUS = {
+  'ORDERED': ORDER_FIELDS_PER_STATUS.ORDERED,
+  'NOTIFIED': ORDER_FIELDS_PER_STATUS.NOTIFIED,
+  'PAID': ORDER_FIELDS_PER_STATUS.PAID,
+  'COMPLETED': ORDER_FIELDS_PER_STATUS.COMPLETED
+};
+
+// Statuses of the individual lines on a line item request
+const LINE_ITEM_STATUSES = ['PENDING', 'ORDERED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELLED'];
+
+// Button labels for moving a request into each status
+const STATUS_BUTTON_LABELS = {
+  'PENDING': 'Mark In Progress',
+  'PAID': 'Mark as Paid',
+  'NOT_PAID': 'Mark as Not Paid',
+  'HELD': 'Mark as Held',
+  'READY_FOR_PICKUP': 'Ready for Pickup',
+  'PICKED_UP': 'Mark as Picked Up',
+  'ORDERED': 'Mark as Ordered',
+  'PARTIALLY_RECEIVED': 'Partially Received',
+  'RECEIVED': 'Mark as Received',
+  'NOTIFIED': 'Customer Notified',
+  'READY': 'Mark as Ready',
+  'COMPLETED': 'Mark as Completed',
+  'QUOTED': 'Quote Sent',
+  'CONFIRMED': 'Order Confirmed',
+  'SEARCHING': 'Start Search',
+  'FOUND': 'Item Found',
+  'NOT_FOUND': 'Not Found',
+  'ACQUIRED': 'Item Acquired',
+  'CANCELLED': 'Cancel Request',
+  'EXPIRED': 'Release Hold'
+};
+
+module.exports = {
+  COMMON_STATUSES,
+  IMPROVED_TRANSITIONS,
+  RECEIVING_STATUSES,
+  RECEIVING_TRANSITIONS,
+  BOOK_HOLD_STATUSES,
+  BOOK_HOLD_TRANSITIONS,
+  ORDER_FIELDS_PER_STATUS,
+  LINE_ITEM_FIELDS_PER_STATUS,
+  LINE_ITEM_STATUSES,
+  STATUS_BUTTON_LABELS
+};
@@ -0,0 +1,207 @@
+// utils/nameMatching.js
+//
+// Keys for finding customer names that are spelled differently from what was typed.
+// Names are taken down at the counter from what people say aloud, so "Catherine Smith"
+// may be on the request while someone searches for "Katherine Smyth".
+//
+// Each request stores two sets of keys for its customer name:
+// - customerNamePhonetic: the Metaphone key of each word, so words that sound alike
+//   (Catherine and Kathryn, Smith and Smyth) share a key
+// - customerNameVariants: each word with and without each of its letters, so words one
+//   typo apart (a letter added, dropped, changed or two letters swapped) share a variant
+//
+// Both are plain arrays, so a multikey index finds similar names without scanning.
+
+// Words shorter than this only match their exact spelling, as one typo away from a
+// two or three letter word is almost any other short word
+const MIN_VARIANT_LENGTH = 4;
+
+const isVowel = (char) => char !== undefined && 'AEIOU'.includes(char);
+const isFrontVowel = (char) => char !== undefined && 'EIY'.includes(char);
+
+// Split a name into lower case words without accents or punctuation, so O'Brien is obrien
+function getNameWords(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// The Metaphone key of a word: its consonant sounds, with 0 for "th" and X for "sh"
+function getPhoneticKey(word) {
+  let text = word.toUpperCase().replace(/[^A-Z]/g, '')
+    // Doubled letters sound like one, except in words like accept
+    .replace(/([A-BD-Z])\1+/g, '$1');
+
+  if (/^(KN|GN|PN|AE|WR)/.test(text)) {
+    text = text.slice(1);
+  } else if (text.startsWith('X')) {
+    text = `S${text.slice(1)}`;
+  } else if (text.startsWith('WH')) {
+    text = `W${text.slice(2)}`;
+  }
+
+  let key = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const previous = text[i - 1];
+    const next = text[i + 1];
+    const afterNext = text[i + 2];
+
+    switch (char) {
+      case 'A':
+      case 'E':
+      case 'I':
+      case 'O':
+      case 'U':
+        // Only a leading vowel is kept
+        if (i === 0) {
+          key += char;
+        }
+        break;
+      case 'B':
+        // Silent at the end after M, as in Lamb
+        if (!(previous === 'M' && i === text.length - 1)) {
+          key += 'B';
+        }
+        break;
+      case 'C':
+        if (previous === 'S' && isFrontVowel(next)) {
+          break;
+        }
+        if (next === 'I' && afterNext === 'A') {
+          key += 'X';
+        } else if (next === 'H') {
+          key += previous === 'S' ? 'K' : 'X';
+        } else {
+          key += isFrontVowel(next) ? 'S' : 'K';
+        }
+        break;
+      case 'D':
+        key += next === 'G' && isFrontVowel(afterNext) ? 'J' : 'T';
+        break;
+      case 'G':
+        if (next === 'H' && !isVowel(afterNext)) {
+          break;
+        }
+        if (next === 'N' && (i + 2 === text.length || text.slice(i + 1) === 'NED')) {
+          break;
+        }
+        if (previous === 'D' && isFrontVowel(next)) {
+          break;
+        }
+        key += isFrontVowel(next) ? 'J' : 'K';
+        break;
+      case 'H':
+        if (isVowel(next) && !'CGPST'.includes(previous)) {
+          key += 'H';
+        }
+        break;
+      case 'K':
+        if (previous !== 'C') {
+          key += 'K';
+        }
+        break;
+      case 'P':
+        key += next === 'H' ? 'F' : 'P';
+        break;
+      case 'Q':
+        key += 'K';
+        break;
+      case 'S':
+        key += next === 'H' || (next === 'I' && (afterNext === 'O' || afterNext === 'A')) ? 'X' : 'S';
+        break;
+      case 'T':
+        if (next === 'I' && (afterNext === 'O' || afterNext === 'A')) {
+          key += 'X';
+        } else if (next === 'H') {
+          key += '0';
+        } else if (!(next === 'C' && afterNext === 'H')) {
+          key += 'T';
+        }
+        break;
+      case 'V':
+        key += 'F';
+        break;
+      case 'W':
+      case 'Y':
+        if (isVowel(next)) {
+          key += char;
+        }
+        break;
+      case 'X':
+        key += 'KS';
+        break;
+      case 'Z':
+        key += 'S';
+        break;
+      default:
+        key += char;
+    }
+  }
+
+  return key;
+}
+
+// A word and each way of dropping one of its letters. Two words share a variant when
+// they're one typo apart: smith and smyth both become smth.
+function getSpellingVariants(word) {
+  if (word.length < MIN_VARIANT_LENGTH) {
+    return [word];
+  }
+
+  const variants = new Set([word]);
+
+  for (let i = 0; i < word.length; i++) {
+    variants.add(word.slice(0, i) + word.slice(i + 1));
+  }
+
+  return [...variants];
+}
+
+/**
+ * Match keys to store with a request for its customer name
+ * @param {string} name - The customer name
+ * @returns {object} - { customerNamePhonetic, customerNameVariants }
+ */
+function getNameMatchKeys(name) {
+  const words = getNameWords(name);
+
+  return {
+    customerNamePhonetic: [...new Set(words.map(getPhoneticKey).filter(Boolean))],
+    customerNameVariants: [...new Set(words.flatMap(getSpellingVariants))]
+  };
+}
+
+// A filter for requests whose customer name has, for every word of this name, a word
+// that sounds like it or is one typo away. Returns null for a name with no words.
+function buildSimilarNameFilter(name) {
+  const words = getNameWords(name);
+
+  if (words.length === 0) {
+    return null;
+  }
+
+  return {
+    $and: words.map(word => {
+      const phoneticKey = getPhoneticKey(word);
+      const variantCondition = { customerNameVariants: { $in: getSpellingVariants(word) } };
+
+      return phoneticKey
+        ? { $or: [{ customerNamePhonetic: phoneticKey }, variantCondition] }
+        : variantCondition;
+    })
+  };
+}
+
+module.exports = {
+  getNameWords,
+  getPhoneticKey,
+  getSpellingVariants,
+  getNameMatchKeys,
+  buildSimilarNameFilter
+};
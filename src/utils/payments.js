@@ -0,0 +1,58 @@
+// utils/payments.js
+//
+// Helpers for a request's payments ledger. Amounts are entered in dollars ("42.50")
+// and kept in whole cents so deposits add up exactly.
+
+// Convert an entered amount (e.g. "$1,042.5") to cents
+function parseAmountToCents(value) {
+  return Math.round(Number(String(value).replace(/[$,\s]/g, '')) * 100);
+}
+
+// Format cents for display, e.g. 4250 -> "$42.50"
+function formatCents(cents) {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+// Total of the payments recorded against a request
+function getPaidCents(request) {
+  return (request.payments || []).reduce((sum, payment) => sum + payment.amountCents, 0);
+}
+
+// Balance still owed, or null when the request has no total to measure against
+function getBalanceDueCents(request) {
+  if (!request.totalAmount) {
+    return null;
+  }
+
+  return parseAmountToCents(request.totalAmount) - getPaidCents(request);
+}
+
+// Requests with a total can only be marked PAID once it is covered. Requests without
+// one keep recording payment details on the PAID transition itself.
+function isBalanceSettled(request) {
+  const balance = getBalanceDueCents(request);
+  return balance === null || balance <= 0;
+}
+
+// One-line payment summary for cards, or null when there is nothing to show
+function formatPaymentSummary(request) {
+  const paidCents = getPaidCents(request);
+  const balance = getBalanceDueCents(request);
+
+  if (balance === null) {
+    return paidCents > 0 ? `${formatCents(paidCents)} paid (no total set)` : null;
+  }
+
+  return `${formatCents(paidCents)} paid of ${formatCents(parseAmountToCents(request.totalAmount))} · ` +
+    `*Balance due:* ${formatCents(Math.max(0, balance))}`;
+}
+
+module.exports = {
+  parseAmountToCents,
+  formatCents,
+  getPaidCents,
+  getBalanceDueCents,
+  isBalanceSettled,
+  formatPaymentSummary
+};
@@ -0,0 +1,65 @@
+// utils/permissions.js
+//
+// Who may perform privileged request actions. Admins are listed in
+// REQUEST_ADMIN_USERS as comma separated Slack user IDs (e.g. U012ABC,U034DEF).
+
+// Minutes after a status change during which it can still be undone
+const DEFAULT_UNDO_WINDOW_MINUTES = 30;
+
+function getAdminUserIds() {
+  return (process.env.REQUEST_ADMIN_USERS || '')
+    .split(',')
+    .map(userId => userId.trim())
+    .filter(Boolean);
+}
+
+// Check whether a Slack user is a request admin
+function isRequestAdmin(userId) {
+  return getAdminUserIds().includes(userId);
+}
+
+function getUndoWindowMs() {
+  const minutes = Number(process.env.UNDO_WINDOW_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_UNDO_WINDOW_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Check whether a user may revert a request's last status change
+ * @param {string} userId - Slack user asking to revert
+ * @param {string} mode - 'undo' (recent change, by its author or an admin) or 'reopen' (final state, admins only)
+ * @param {object} lastChange - The status change event being reverted
+ * @param {Date} now - Current time, for the undo window
+ * @returns {object} - { allowed, reason }
+ */
+function canRevertStatusChange(userId, mode, lastChange, now = new Date()) {
+  if (!lastChange) {
+    return { allowed: false, reason: 'There is no status change to revert.' };
+  }
+
+  if (mode === 'reopen') {
+    return isRequestAdmin(userId)
+      ? { allowed: true }
+      : { allowed: false, reason: 'Only request admins can reopen a closed request.' };
+  }
+
+  const windowMs = getUndoWindowMs();
+
+  if (now - new Date(lastChange.timestamp) > windowMs) {
+    return {
+      allowed: false,
+      reason: `The last change can only be undone within ${windowMs / 60000} minutes.`
+    };
+  }
+
+  if (lastChange.userId !== userId && !isRequestAdmin(userId)) {
+    return { allowed: false, reason: 'Only the person who made the change or a request admin can undo it.' };
+  }
+
+  return { allowed: true };
+}
+
+module.exports = {
+  isRequestAdmin,
+  getUndoWindowMs,
+  canRevertStatusChange
+};
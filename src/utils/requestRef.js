@@ -0,0 +1,126 @@
+// utils/requestRef.js
+//
+// Compact, signed references to a request that travel in button values and modal
+// private_metadata. Handlers decode the reference and then load the authoritative
+// record from MongoDB, so they never have to scrape the message blocks.
+const crypto = require('crypto');
+
+const REF_VERSION = 'r1';
+const SIGNATURE_LENGTH = 22;
+
+// Short keys keep button values well under Slack's 2000 character limit
+const KEY_MAP = {
+  requestId: 'i',
+  requestType: 't',
+  expectedStatus: 's',
+  newStatus: 'n',
+  version: 'v',
+  mode: 'm',
+  lineIds: 'l',
+  pendingLineIds: 'p'
+};
+
+const getSecret = () => {
+  const secret = process.env.REQUEST_REF_SECRET ||
+    process.env.SLACK_SIGNING_SECRET ||
+    process.env.SLACK_BOT_TOKEN;
+
+  if (!secret) {
+    throw new Error('REQUEST_REF_SECRET (or SLACK_SIGNING_SECRET) must be set to sign request references');
+  }
+
+  return secret;
+};
+
+const sign = (payload) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(payload)
+    .digest('base64url')
+    .slice(0, SIGNATURE_LENGTH);
+};
+
+/**
+ * Encode a signed request reference
+ * @param {object} ref - { requestId, requestType, expectedStatus, newStatus, version }
+ * @returns {string} - Value safe to place in a button value or private_metadata
+ */
+function encodeRequestRef(ref) {
+  const compact = {};
+
+  for (const [key, shortKey] of Object.entries(KEY_MAP)) {
+    if (ref[key] !== undefined && ref[key] !== null) {
+      compact[shortKey] = ref[key];
+    }
+  }
+
+  const payload = Buffer.from(JSON.stringify(compact)).toString('base64url');
+  return `${REF_VERSION}.${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check whether a value looks like a signed request reference
+ * @param {string} value - Button value or private_metadata
+ * @returns {boolean}
+ */
+function isRequestRef(value) {
+  return typeof value === 'string' && value.startsWith(`${REF_VERSION}.`);
+}
+
+/**
+ * Decode and verify a signed request reference
+ * @param {string} value - Value produced by encodeRequestRef
+ * @returns {object} - { requestId, requestType, expectedStatus, newStatus, version }
+ */
+function decodeRequestRef(value) {
+  if (!isRequestRef(value)) {
+    throw new Error('Invalid request reference');
+  }
+
+  const [, payload, signature] = value.split('.');
+  const expected = sign(payload || '');
+
+  if (!signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw new Error('Request reference signature does not match');
+  }
+
+  const compact = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const ref = {};
+
+  for (const [key, shortKey] of Object.entries(KEY_MAP)) {
+    if (compact[shortKey] !== undefined) {
+      ref[key] = compact[shortKey];
+    }
+  }
+
+  return ref;
+}
+
+/**
+ * Read a request reference from a button value, accepting the legacy
+ * `requestId|currentStatus|newStatus` format still present on older cards
+ * @param {string} value - Button value
+ * @returns {object} - { requestId, expectedStatus, newStatus, ... }
+ */
+function parseActionValue(value) {
+  if (isRequestRef(value)) {
+    return decodeRequestRef(value);
+  }
+
+  const [requestId, expectedStatus, newStatus] = (value || '').split('|');
+
+  if (!requestId) {
+    throw new Error('Invalid request reference');
+  }
+
+  return { requestId, expectedStatus, newStatus, legacy: true };
+}
+
+module.exports = {
+  encodeRequestRef,
+  decodeRequestRef,
+  isRequestRef,
+  parseActionValue
+};
@@ -0,0 +1,569 @@
+// utils/searchQuery.js
+//
+// The /request-search query language. A query is a list of terms that must all match:
+//
+//   type:special status:open customer:smith priority:urgent
+//
+// Terms are either free text (matched against the main request fields) or field:value
+// pairs. OR between terms matches either side, a leading - excludes matches, double
+// quotes keep a phrase together ("john smith", vendor:"penguin random house") and
+// parentheses group terms. Date fields take a comparison: created:>2026-01-01,
+// needed:<=2026-11-01, or a bare date for that day.
+//
+// compileSearchQuery turns a query into a MongoDB filter for RequestSearch. User input
+// only ever reaches $regex escaped. Free text that all results must contain is also
+// returned as a text index search, which narrows and ranks the matches. A second
+// filter also lets customer: terms match names that sound alike or are a typo away
+// (see utils/nameMatching.js); RequestSearch shows those as possible matches.
+const RequestTypes = require('../requestTypes');
+const RequestIdGenerator = require('../integrations/services/requestIdGenerator');
+const { PRIORITY_OPTIONS } = require('../requestTypes/fields');
+const {
+  canonicalizeISBN,
+  normalizeContact,
+  escapeRegExp,
+  parseLocalDate
+} = require('./validation');
+const { buildSimilarNameFilter } = require('./nameMatching');
+
+const SEARCH_FIELDS = [
+  'customer', 'contact', 'isbn', 'type', 'status', 'priority',
+  'vendor', 'created', 'needed', 'assignee', 'id'
+];
+
+// Statuses that mean "still being worked on" or "done", whatever the request type
+const STATUS_GROUPS = ['open', 'closed'];
+
+const DATE_PATTERN = /^(>=|<=|>|<)?(\d{4}-\d{2}-\d{2})$/;
+
+// Slack sends mentions in command text as <@U123ABC> or <@U123ABC|name>
+const MENTION_PATTERN = /^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$/;
+const USER_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+
+const regexCondition = (text) => ({ $regex: escapeRegExp(text), $options: 'i' });
+
+// Split a query into words, quoted phrases, parentheses and - markers. Each token
+// keeps the text it came from so errors can quote it. Parentheses inside a word are
+// part of it, except a ) that closes an open group.
+function tokenize(query) {
+  const tokens = [];
+  let depth = 0;
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // An area code like (555) is text, not a group
+    const areaCode = query.slice(i).match(/^\(\d+\)/);
+
+    if (char === '(' && !areaCode) {
+      tokens.push({ kind: 'open', raw: '(' });
+      depth++;
+      i++;
+      continue;
+    }
+
+    if (char === ')') {
+      tokens.push({ kind: 'close', raw: ')' });
+      depth--;
+      i++;
+      continue;
+    }
+
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      tokens.push({ kind: 'not', raw: '-' });
+      i++;
+      continue;
+    }
+
+    // Read a word, keeping quoted sections (which may contain spaces) together
+    const start = i;
+    let value = '';
+    let quoted = false;
+
+    while (i < query.length && !/\s/.test(query[i]) && !(query[i] === ')' && depth > 0)) {
+      if (query[i] === '"') {
+        const end = query.indexOf('"', i + 1);
+
+        if (end === -1) {
+          throw new Error(`Missing closing quote in ${query.slice(start)}`);
+        }
+
+        value += query.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+        continue;
+      }
+
+      // Keep an area code's ) with it, even inside a group
+      const areaCodeInWord = query.slice(i).match(/^\(\d+\)/);
+
+      if (areaCodeInWord) {
+        value += areaCodeInWord[0];
+        i += areaCodeInWord[0].length;
+        continue;
+      }
+
+      value += query[i];
+      i++;
+    }
+
+    const raw = query.slice(start, i);
+
+    if (!quoted && (raw === 'OR' || raw === 'AND')) {
+      tokens.push({ kind: raw.toLowerCase(), raw });
+      continue;
+    }
+
+    tokens.push({ kind: 'term', raw, value, quoted });
+  }
+
+  return tokens;
+}
+
+// Parse tokens into a tree of { op: 'and'|'or'|'not', terms } and { term } nodes.
+// AND binds tighter than OR, so "a b OR c" means "(a b) OR c".
+function parseTokens(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const terms = [parseAnd()];
+
+    while (peek() && peek().kind === 'or') {
+      position++;
+
+      if (!peek() || peek().kind === 'close' || peek().kind === 'or') {
+        throw new Error('OR needs a term on both sides');
+      }
+
+      terms.push(parseAnd());
+    }
+
+    return terms.length === 1 ? terms[0] : { op: 'or', terms };
+  };
+
+  const parseAnd = () => {
+    const terms = [];
+
+    while (peek() && peek().kind !== 'or' && peek().kind !== 'close') {
+      if (peek().kind === 'and') {
+        position++;
+        continue;
+      }
+
+      terms.push(parseUnary());
+    }
+
+    if (terms.length === 0) {
+      throw new Error(peek() ? `Nothing to search for before ${peek().raw}` : 'Nothing to search for');
+    }
+
+    return terms.length === 1 ? terms[0] : { op: 'and', terms };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+
+    if (token.kind === 'not') {
+      position++;
+
+      if (!peek() || !['term', 'open'].includes(peek().kind)) {
+        throw new Error('A - must be followed by the term to exclude, e.g. -status:cancelled');
+      }
+
+      return { op: 'not', terms: [parseUnary()] };
+    }
+
+    if (token.kind === 'open') {
+      position++;
+      const group = parseOr();
+
+      if (!peek() || peek().kind !== 'close') {
+        throw new Error('Missing closing parenthesis');
+      }
+
+      position++;
+      return group;
+    }
+
+    position++;
+    return { term: token };
+  };
+
+  const tree = parseOr();
+
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${tokens[position].raw}`);
+  }
+
+  return tree;
+}
+
+// A full ISBN-10/13, or digits that could be part of one
+const looksLikeIsbn = (text) => /^\d{9,13}X?$/i.test(text.replace(/[-\s]/g, ''));
+
+// Free text worth sending to the text index: words, not IDs, ISBNs or phone numbers
+// (which the index splits at the hyphens and are matched on their own fields instead)
+const isTextSearchable = (text) => /[a-z]/i.test(text) &&
+  !RequestIdGenerator.isRequestId(text) &&
+  !looksLikeIsbn(text) &&
+  !normalizeContact(text).phone;
+
+// Free text matches any of the main fields; request IDs, ISBNs and phone numbers are
+// also matched in their stored forms
+function buildTextFilter(text) {
+  if (RequestIdGenerator.isRequestId(text)) {
+    return { requestId: RequestIdGenerator.normalizeRequestId(text) };
+  }
+
+  // The main fields, including every field the text index covers, so a word found
+  // through the index is still found when the search falls back to this filter
+  const condition = regexCondition(text);
+  const conditions = [
+    { requestId: condition },
+    { customerName: condition },
+    { customerContact: condition },
+    { type: condition },
+    { status: condition },
+    { details: condition },
+    { vendorPublisher: condition },
+    { 'lineItems.vendor': condition },
+    { 'lineItems.title': condition },
+    { 'catalog.title': condition },
+    { 'lineItems.catalog.title': condition }
+  ];
+
+  // ISBNs are stored as ISBN-13 without hyphens, so a full ISBN-10 or ISBN-13 is
+  // matched exactly in that form
+  const compactText = text.replace(/[-\s]/g, '');
+
+  if (looksLikeIsbn(text)) {
+    const { isbn, isbnIsSku } = canonicalizeISBN(compactText);
+    const isbnCondition = isbnIsSku ? regexCondition(compactText) : isbn;
+
+    conditions.push({ isbn: isbnCondition });
+    conditions.push({ 'lineItems.isbn': isbnCondition });
+  }
+
+  // Match a phone number however it was typed, on the request or in the search
+  const { phone } = normalizeContact(text);
+
+  if (phone) {
+    conditions.push({ phone });
+  }
+
+  return { $or: conditions };
+}
+
+// Statuses across all request types that contain the term, or the open/closed group
+function buildStatusFilter(value, raw) {
+  const group = value.toLowerCase();
+
+  if (STATUS_GROUPS.includes(group)) {
+    return RequestTypes.buildStatusGroupQuery(group);
+  }
+
+  const term = value.toUpperCase().replace(/[\s-]+/g, '_');
+  const allStatuses = [...new Set(RequestTypes.listRequestTypes().flatMap(definition => definition.statuses))];
+  const statuses = allStatuses.includes(term)
+    ? [term]
+    : allStatuses.filter(status => status.includes(term));
+
+  if (statuses.length === 0) {
+    throw new Error(`Unknown status in ${raw}. Use a status such as ordered or completed, or open or closed`);
+  }
+
+  return { status: statuses.length === 1 ? statuses[0] : { $in: statuses } };
+}
+
+function buildDateCondition(value, raw, { asDate }) {
+  const match = value.match(DATE_PATTERN);
+
+  if (!match) {
+    throw new Error(`Can't read the date in ${raw}. Use YYYY-MM-DD, optionally after >, >=, < or <=`);
+  }
+
+  const [, comparison = '=', dateString] = match;
+
+  // Dates typed as datepicker strings compare as strings; blank ones never match
+  if (!asDate) {
+    switch (comparison) {
+      case '>': return { $gt: dateString };
+      case '>=': return { $gte: dateString };
+      case '<': return { $gt: '', $lt: dateString };
+      case '<=': return { $gt: '', $lte: dateString };
+      default: return dateString;
+    }
+  }
+
+  const dayStart = parseLocalDate(dateString);
+  const nextDay = new Date(dayStart);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  switch (comparison) {
+    case '>': return { $gte: nextDay };
+    case '>=': return { $gte: dayStart };
+    case '<': return { $lt: dayStart };
+    case '<=': return { $lt: nextDay };
+    default: return { $gte: dayStart, $lt: nextDay };
+  }
+}
+
+function buildAssigneeFilter(value, raw, context) {
+  const lowerValue = value.toLowerCase();
+
+  if (lowerValue === 'none' || lowerValue === 'unassigned') {
+    return { assignee: { $in: [null, ''] } };
+  }
+
+  if (lowerValue === 'me' || lowerValue === '@me') {
+    return { assignee: context.userId };
+  }
+
+  const mention = value.match(MENTION_PATTERN);
+
+  if (mention) {
+    return { assignee: mention[1] };
+  }
+
+  if (USER_ID_PATTERN.test(value)) {
+    return { assignee: value };
+  }
+
+  throw new Error(`Can't tell who ${raw} means. Pick the person from Slack's @ suggestions, or use assignee:me or assignee:none`);
+}
+
+// Split a term into its field and value; a quoted phrase is always free text
+function getTermField(token) {
+  return token.quoted && token.raw.startsWith('"')
+    ? null
+    : token.value.match(/^(\w+):(.*)$/s);
+}
+
+// Compile one field:value or free text term
+function buildTermFilter(token, context) {
+  const fieldMatch = getTermField(token);
+
+  if (!fieldMatch) {
+    return buildTextFilter(token.value);
+  }
+
+  const field = fieldMatch[1].toLowerCase();
+  const value = fieldMatch[2].trim();
+
+  if (!SEARCH_FIELDS.includes(field)) {
+    throw new Error(`Unknown field in ${token.raw}. Search fields are ${SEARCH_FIELDS.map(name => `${name}:`).join(', ')}`);
+  }
+
+  if (!value) {
+    throw new Error(`${token.raw} needs a value after the colon`);
+  }
+
+  switch (field) {
+    case 'customer':
+      return { customerName: regexCondition(value) };
+    case 'contact': {
+      // Emails and phone numbers are matched on their normalized forms
+      const contact = normalizeContact(value);
+
+      if (contact.phone) {
+        return { phone: contact.phone };
+      }
+
+      return contact.email ? { email: contact.email } : { customerContact: regexCondition(value) };
+    }
+    case 'isbn': {
+      // A full ISBN-10 or ISBN-13 matches the stored ISBN-13 exactly; partial numbers
+      // match anywhere in it, and SKUs (stored as typed) match as typed. The ISBN can
+      // be the request's own or on any of its line items.
+      const { isbn, isbnIsSku } = canonicalizeISBN(value);
+      const compactValue = value.replace(/[-\s]/g, '');
+      const isbnCondition = isbnIsSku
+        ? regexCondition(/^\d+X?$/i.test(compactValue) ? compactValue : value)
+        : isbn;
+
+      return { $or: [{ isbn: isbnCondition }, { 'lineItems.isbn': isbnCondition }] };
+    }
+    case 'type': {
+      // Map common request type names (registry aliases) to actual values
+      const type = RequestTypes.findRequestTypeByAlias(value);
+
+      if (!RequestTypes.getRequestType(type)) {
+        throw new Error(`Unknown request type in ${token.raw}. Types are ${RequestTypes.listRequestTypes().map(definition => definition.type).join(', ')}`);
+      }
+
+      return { type };
+    }
+    case 'status':
+      return buildStatusFilter(value, token.raw);
+    case 'priority': {
+      const option = PRIORITY_OPTIONS.find(priority =>
+        priority.value === value.toLowerCase() || priority.text.toLowerCase() === value.toLowerCase());
+
+      if (!option) {
+        throw new Error(`Unknown priority in ${token.raw}. Priorities are ${PRIORITY_OPTIONS.map(priority => priority.value).join(', ')}`);
+      }
+
+      return { priority: option.value };
+    }
+    case 'vendor':
+      return {
+        $or: [
+          { vendorPublisher: regexCondition(value) },
+          { 'lineItems.vendor': regexCondition(value) }
+        ]
+      };
+    case 'created':
+      return { createdAt: buildDateCondition(value, token.raw, { asDate: true }) };
+    case 'needed':
+      return { dateNeeded: buildDateCondition(value, token.raw, { asDate: false }) };
+    case 'assignee':
+      return buildAssigneeFilter(value, token.raw, context);
+    case 'id': {
+      // IDs starting with what was typed, and the ID itself when it's a whole one
+      // typed without its zero padding. Both use the requestId index.
+      const prefixCondition = { requestId: { $regex: `^${escapeRegExp(value.toUpperCase())}` } };
+
+      return RequestIdGenerator.isRequestId(value)
+        ? { $or: [{ requestId: RequestIdGenerator.normalizeRequestId(value) }, prefixCondition] }
+        : prefixCondition;
+    }
+    default:
+      throw new Error(`Unknown field in ${token.raw}`);
+  }
+}
+
+// Compile a parsed query. Free text that every result must contain (not under an OR
+// or a -) is collected in context.textTerms for the text index. With
+// context.similarNames, customer: terms that aren't excluded by a - also match similar
+// names.
+function compileNode(node, context, required = true, excluded = false) {
+  if (node.term) {
+    const fieldMatch = getTermField(node.term);
+
+    if (required && !fieldMatch && isTextSearchable(node.term.value)) {
+      context.textTerms.push(node.term.value);
+    }
+
+    const filter = buildTermFilter(node.term, context);
+
+    if (context.similarNames && !excluded && fieldMatch && fieldMatch[1].toLowerCase() === 'customer') {
+      const similarFilter = buildSimilarNameFilter(fieldMatch[2]);
+
+      if (similarFilter) {
+        context.hasSimilarNames = true;
+        return { $or: [filter, similarFilter] };
+      }
+    }
+
+    return filter;
+  }
+
+  const filters = node.terms.map(term =>
+    compileNode(term, context, required && node.op === 'and', excluded !== (node.op === 'not')));
+
+  switch (node.op) {
+    case 'and':
+      return { $and: filters };
+    case 'or':
+      return { $or: filters };
+    default:
+      return { $nor: filters };
+  }
+}
+
+// A phone number typed with spaces, like (555) 123 4567, is split into several terms
+const isPhoneNumberPart = (token) => token && token.kind === 'term' && !token.quoted &&
+  /^[\d()+.-]+$/.test(token.value);
+
+// Only a query of nothing but such digit groups is also read as one whole number
+const isSpacedPhoneNumber = (tokens) => tokens.length > 1 && tokens.every(isPhoneNumberPart);
+
+// Join the digit groups after contact: back into the phone number they spell, so
+// contact:(555) 123-4567 is one term. Groups that don't complete a number stay terms.
+function joinContactPhoneNumbers(tokens) {
+  const joined = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const fieldMatch = token.kind === 'term' ? getTermField(token) : null;
+
+    if (!fieldMatch || fieldMatch[1].toLowerCase() !== 'contact' || !isPhoneNumberPart({ ...token, value: fieldMatch[2] })) {
+      joined.push(token);
+      continue;
+    }
+
+    let end = i + 1;
+
+    while (isPhoneNumberPart(tokens[end])) {
+      end++;
+    }
+
+    // Prefer the longest run of groups that is a phone number
+    const spell = (count) => [fieldMatch[2], ...tokens.slice(i + 1, count).map(part => part.value)].join(' ');
+
+    while (end > i + 1 && !normalizeContact(spell(end)).phone) {
+      end--;
+    }
+
+    const parts = tokens.slice(i, end);
+
+    joined.push({ ...token, raw: parts.map(part => part.raw).join(' '), value: parts.map(part => part.value).join(' ') });
+    i = end - 1;
+  }
+
+  return joined;
+}
+
+/**
+ * Compile a /request-search query into a MongoDB filter
+ * @param {string} query - The query as typed
+ * @param {object} context - { userId } of the person searching, for assignee:me
+ * @returns {object} - { valid: true, filter, similarFilter, textSearch } or
+ *   { valid: false, error }. textSearch is the free text for a $text search (or null);
+ *   filter matches the same requests without it. similarFilter is filter with customer
+ *   names also matching similar names, or null when the query has no customer: term.
+ */
+function compileSearchQuery(query, context = {}) {
+  try {
+    const tokens = tokenize(query.trim());
+
+    if (tokens.length === 0) {
+      return { valid: false, error: 'Nothing to search for' };
+    }
+
+    const tree = parseTokens(joinContactPhoneNumbers(tokens));
+    const compileContext = { ...context, textTerms: [] };
+    let filter = compileNode(tree, compileContext);
+    const { phone } = isSpacedPhoneNumber(tokens) ? normalizeContact(query) : {};
+
+    if (phone) {
+      filter = { $or: [{ phone }, filter] };
+    }
+
+    const similarContext = { ...context, textTerms: [], similarNames: true };
+    const similarFilter = compileNode(tree, similarContext);
+
+    return {
+      valid: true,
+      filter,
+      similarFilter: similarContext.hasSimilarNames ? similarFilter : null,
+      textSearch: compileContext.textTerms.length > 0 ? compileContext.textTerms.join(' ') : null
+    };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  compileSearchQuery,
+  buildTextFilter
+};
@@ -0,0 +1,468 @@
+// utils/validation.js
+
+// Validation function for ISBN numbers with proper length checks and checksum validation
+function validateISBN(isbn) {
+  // Remove any hyphens or spaces
+  const cleanISBN = isbn.replace(/[-\s]/g, '');
+  
+  if (cleanISBN.trim() === '') {
+    return { 
+      valid: false, 
+      error: "ISBN cannot be empty" 
+    };
+  }
+  
+  // If the ISBN is all digits, enforce length rules
+  if (/^\d+$/.test(cleanISBN)) {
+    if (cleanISBN.length === 13) {
+      if (!/^(978|979)/.test(cleanISBN)) {
+        return { 
+          valid: false, 
+          error: "ISBN-13 must start with 978 or 979" 
+        };
+      }
+      // Add checksum validation for ISBN-13
+      if (!isValidISBN13(cleanISBN)) {
+         return { 
+           valid: false, 
+           error: "Invalid ISBN-13 checksum" 
+         };
+      }
+      return { valid: true };
+    } else if (cleanISBN.length === 10) {
+      // Add checksum validation for ISBN-10
+      if (!isValidISBN10(cleanISBN)) {
+         return { 
+           valid: false, 
+           error: "Invalid ISBN-10 checksum" 
+         };
+      }
+      return { valid: true };
+    } else {
+      return { 
+        valid: false, 
+        error: "Numeric ISBN must be either 10 or 13 digits long" 
+      };
+    }
+  }
+  
+  // For non-numeric input (custom SKUs), just ensure it's not empty
+  return { valid: true };
+}
+
+// Helper function to validate ISBN-13 checksum
+function isValidISBN13(isbn) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += (i % 2 === 0 ? 1 : 3) * parseInt(isbn[i], 10);
+  }
+  const checksum = (10 - (sum % 10)) % 10;
+  return checksum === parseInt(isbn[12], 10);
+}
+
+// Helper function to validate ISBN-10 checksum
+function isValidISBN10(isbn) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += (10 - i) * parseInt(isbn[i], 10);
+  }
+  let checkDigit = isbn[9].toUpperCase() === 'X' ? 10 : parseInt(isbn[9], 10);
+  sum += checkDigit;
+  return sum % 11 === 0;
+}
+
+// Helper function to convert an ISBN-10 to its ISBN-13 (978 prefix with a new check digit)
+function convertISBN10To13(isbn10) {
+  const base = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += (i % 2 === 0 ? 1 : 3) * parseInt(base[i], 10);
+  }
+  return `${base}${(10 - (sum % 10)) % 10}`;
+}
+
+// Helper function to convert a 978 ISBN-13 to its ISBN-10 ('' for 979 ISBNs, which have none)
+function convertISBN13To10(isbn13) {
+  if (!isbn13.startsWith('978')) {
+    return '';
+  }
+
+  const base = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += (10 - i) * parseInt(base[i], 10);
+  }
+  const checkDigit = (11 - (sum % 11)) % 11;
+  return `${base}${checkDigit === 10 ? 'X' : checkDigit}`;
+}
+
+// Helper function to get the stored forms of an ISBN field: the canonical ISBN-13 in
+// `isbn`, the ISBN-10 where one exists, and a flag for values that aren't ISBNs (SKUs),
+// which are kept as typed
+function canonicalizeISBN(value) {
+  const trimmed = (value || '').trim();
+  const cleanISBN = trimmed.replace(/[-\s]/g, '').toUpperCase();
+
+  if (cleanISBN === '') {
+    return { isbn: '', isbn10: '', isbnIsSku: false };
+  }
+
+  if (/^97[89]\d{10}$/.test(cleanISBN) && isValidISBN13(cleanISBN)) {
+    return { isbn: cleanISBN, isbn10: convertISBN13To10(cleanISBN), isbnIsSku: false };
+  }
+
+  if (/^\d{9}[\dX]$/.test(cleanISBN) && isValidISBN10(cleanISBN)) {
+    return { isbn: convertISBN10To13(cleanISBN), isbn10: cleanISBN, isbnIsSku: false };
+  }
+
+  return { isbn: trimmed, isbn10: '', isbnIsSku: true };
+}
+
+// Validation function for Order Numbers
+function validateOrderNumber(orderNumber) {
+  // Remove any spaces that might be in the order number
+  const cleanOrderNumber = orderNumber.replace(/\s/g, '');
+  
+  // Check if it's a draft order (starts with D followed by numbers)
+  if (/^D\d+$/.test(cleanOrderNumber)) {
+    return { valid: true };
+  }
+  
+  // Check if it's a 5-digit order number
+  if (/^\d{5}$/.test(cleanOrderNumber)) {
+    return { valid: true };
+  }
+  
+  // Check if it's a longer order number (more than 5 digits) starting with 1
+  if (/^1\d{5,}$/.test(cleanOrderNumber)) {
+    return { valid: true };
+  }
+  
+  // If it doesn't match any of the valid patterns
+  return { 
+    valid: false, 
+    error: "Order number must be either: 5 digits, more than 5 digits starting with '1', or start with 'D' followed by numbers" 
+  };
+}
+
+// Helper function to guess if a contact value is an email or phone
+function guessContactType(value) {
+  // Clean the value
+  const cleanValue = value.trim();
+  
+  // Check if it contains an @ symbol - likely an email
+  if (cleanValue.includes('@')) {
+    return 'email';
+  }
+  
+  // If it contains digits and common phone characters, likely a phone number
+  if (/[\d\+\-\(\)\.\s]/.test(cleanValue) && cleanValue.replace(/[^\d\+]/g, '').length >= 4) {
+    return 'phone';
+  }
+  
+  // If we can't tell, try both validations
+  return 'unknown';
+}
+
+// Validation function for email addresses
+function validateEmail(email) {
+  // Trim the email to remove leading/trailing whitespace
+  const trimmedEmail = email.trim();
+  
+  if (trimmedEmail === '') {
+    return {
+      valid: false,
+      error: "Email address cannot be empty"
+    };
+  }
+  
+  // Regular expression for standard email validation
+  // This checks for:
+  // - At least one character before the @ symbol
+  // - At least one character between @ and the domain
+  // - A domain with at least one period and appropriate characters
+  // - A TLD of at least 2 characters after the last period
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+  
+  if (!emailRegex.test(trimmedEmail)) {
+    return {
+      valid: false,
+      error: "Please enter a valid email address (e.g., name@example.com)"
+    };
+  }
+  
+  return { valid: true };
+}
+
+// Validation function for phone numbers
+function validatePhoneNumber(phone) {
+  // Remove spaces, hyphens, periods, and parentheses
+  const cleanPhone = phone.replace(/[\s\-\.\(\)]/g, '');
+  
+  if (cleanPhone === '') {
+    return {
+      valid: false,
+      error: "Phone number cannot be empty"
+    };
+  }
+  
+  // Check for international format starting with +
+  if (cleanPhone.startsWith('+')) {
+    // For international numbers, allow any length but require at least 8 digits
+    // after the + sign (minimum for most countries)
+    if (cleanPhone.length < 9) { // +1234567 is too short
+      return {
+        valid: false,
+        error: "International phone number is too short"
+      };
+    }
+    
+    // Make sure the rest of the number is numeric
+    if (!/^\+\d+$/.test(cleanPhone)) {
+      return {
+        valid: false,
+        error: "International phone number can only contain digits after the '+'"
+      };
+    }
+    
+    return { valid: true };
+  }
+  
+  // For domestic numbers, require exactly 10 digits
+  if (cleanPhone.length !== 10) {
+    return {
+      valid: false,
+      error: "Phone number must be 10 digits (or include '+' for international format)"
+    };
+  }
+  
+  // Make sure the number is numeric
+  if (!/^\d+$/.test(cleanPhone)) {
+    return {
+      valid: false,
+      error: "Phone number can only contain digits"
+    };
+  }
+  
+  return { valid: true };
+}
+
+// Helper function to split the customer contact field into its email and phone parts,
+// e.g. "jane@example.com, (555) 123-4567". Either part may be empty.
+function splitContact(contact) {
+  const value = (contact || '').trim();
+  const emailMatch = value.match(/[^\s,;\/]+@[^\s,;\/]+/);
+  const email = emailMatch ? emailMatch[0] : '';
+  const phone = (email ? value.replace(email, ' ') : value)
+    .replace(/[,;\/]/g, ' ')
+    .trim();
+
+  return { email, phone };
+}
+
+// Helper function to normalize an email address for storage and matching
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+// Helper function to put a phone number in E.164 form (+15551234567). Numbers without a
+// country code are taken to be North American. Returns '' for anything else.
+function normalizePhoneNumber(phone) {
+  const trimmed = (phone || '').trim();
+  const digits = trimmed.replace(/\D/g, '');
+
+  if (trimmed.startsWith('+')) {
+    return digits.length >= 8 ? `+${digits}` : '';
+  }
+
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return `+${digits}`;
+  }
+
+  return '';
+}
+
+// Helper function to get the normalized { email, phone } from the customer contact field
+function normalizeContact(contact) {
+  const { email, phone } = splitContact(contact);
+
+  return {
+    email: email && validateEmail(email).valid ? normalizeEmail(email) : '',
+    phone: phone ? normalizePhoneNumber(phone) : ''
+  };
+}
+
+// Validation function for the customer contact field: an email, a phone number or both
+function validateContact(contact) {
+  if (!contact || contact.trim() === '') {
+    return {
+      valid: false,
+      error: "Contact information cannot be empty"
+    };
+  }
+
+  const { email, phone } = splitContact(contact);
+
+  if (!email && guessContactType(phone) === 'unknown') {
+    return {
+      valid: false,
+      error: "Please enter a valid email address or phone number"
+    };
+  }
+
+  if (email) {
+    const emailResult = validateEmail(email);
+
+    if (!emailResult.valid) {
+      return emailResult;
+    }
+  }
+
+  if (phone) {
+    // Anything left beside the email should be a phone number
+    const phoneResult = validatePhoneNumber(phone);
+
+    if (!phoneResult.valid) {
+      return {
+        valid: false,
+        error: email ? `${phoneResult.error}. Separate an email and phone with a comma.` : phoneResult.error
+      };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Helper function to match user-entered text literally in a regular expression
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to parse a "YYYY-MM-DD" datepicker value as a local date
+function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+// Helper function to format a date as a local YYYY-MM-DD string (the datepicker format)
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Helper function to get the beginning of today, optionally offset by a number of days
+function startOfDay(offsetDays = 0) {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + offsetDays);
+  return date;
+}
+
+// Validation function for dates that must be tomorrow or later (date needed, estimated arrival)
+function validateTomorrowOrLater(dateString, label = 'Date') {
+  if (parseLocalDate(dateString) < startOfDay(1)) {
+    return {
+      valid: false,
+      error: `${label} must be tomorrow or later`
+    };
+  }
+
+  return { valid: true };
+}
+
+// Validation function for dates that must be today or later (pick up date)
+function validateTodayOrLater(dateString, label = 'Date') {
+  if (parseLocalDate(dateString) < startOfDay()) {
+    return {
+      valid: false,
+      error: `${label} must be today or a future date`
+    };
+  }
+
+  return { valid: true };
+}
+
+// Validation function for dates that cannot be in the future (arrival, notification, completion)
+function validateNotFutureDate(dateString, label = 'Date') {
+  if (parseLocalDate(dateString) >= startOfDay(1)) {
+    return {
+      valid: false,
+      error: `${label} must be today or earlier, not a future date`
+    };
+  }
+
+  return { valid: true };
+}
+
+// Validation function for free-text fields that must contain something other than whitespace
+function validateNotBlank(value, label = 'Value') {
+  if (!value || value.trim() === '') {
+    return {
+      valid: false,
+      error: `${label} is required`
+    };
+  }
+
+  return { valid: true };
+}
+
+// Validation function for whole-number quantities (line item copies)
+function validateQuantity(value, label = 'Quantity') {
+  const cleanValue = String(value).trim();
+
+  if (!/^\d+$/.test(cleanValue) || Number(cleanValue) < 1) {
+    return {
+      valid: false,
+      error: `${label} must be a whole number of at least 1`
+    };
+  }
+
+  return { valid: true };
+}
+
+// Validation function for dollar amounts (order totals and payments)
+function validateAmount(value, label = 'Amount') {
+  const cleanValue = String(value).replace(/[$,\s]/g, '');
+
+  if (!/^\d+(\.\d{1,2})?$/.test(cleanValue) || Number(cleanValue) <= 0) {
+    return {
+      valid: false,
+      error: `${label} must be a dollar amount greater than zero, e.g. 42.50`
+    };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  validateISBN,
+  isValidISBN13,
+  isValidISBN10,
+  convertISBN10To13,
+  convertISBN13To10,
+  canonicalizeISBN,
+  validateOrderNumber,
+  guessContactType,
+  validateEmail,
+  validatePhoneNumber,
+  validateContact,
+  splitContact,
+  normalizeEmail,
+  normalizePhoneNumber,
+  normalizeContact,
+  escapeRegExp,
+  parseLocalDate,
+  formatLocalDate,
+  startOfDay,
+  validateTomorrowOrLater,
+  validateTodayOrLater,
+  validateNotFutureDate,
+  validateNotBlank,
+  validateQuantity,
+  validateAmount
+};
@@ -0,0 +1,51 @@
+// test/catalogAdapter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CatalogAdapter = require('../src/integrations/catalog/catalogAdapter');
+
+// Provider that knows one ISBN, and one that never answers
+CatalogAdapter.registerProvider('memory', () => ({
+  name: 'memory',
+  lookup: async (isbn) => isbn === '9780140449136'
+    ? { title: 'Crime and Punishment', publisher: 'Penguin', listPrice: '18.00' }
+    : null
+}));
+CatalogAdapter.registerProvider('stalled', () => ({
+  name: 'stalled',
+  lookup: () => new Promise(() => {})
+}));
+
+test('looks up the canonical ISBN-13 of an ISBN-10', async (t) => {
+  process.env.CATALOG_PROVIDER = 'memory';
+  t.after(() => delete process.env.CATALOG_PROVIDER);
+
+  const match = await CatalogAdapter.lookup('0-14-044913-2');
+
+  assert.equal(match.isbn, '9780140449136');
+  assert.equal(match.title, 'Crime and Punishment');
+  assert.equal(match.listPriceCents, 1800);
+  assert.equal(match.provider, 'memory');
+});
+
+test('gives up on a provider that does not answer', async (t) => {
+  process.env.CATALOG_PROVIDER = 'stalled';
+  process.env.CATALOG_LOOKUP_TIMEOUT_MS = '20';
+  t.after(() => {
+    delete process.env.CATALOG_PROVIDER;
+    delete process.env.CATALOG_LOOKUP_TIMEOUT_MS;
+  });
+
+  assert.equal(await CatalogAdapter.lookup('9780140449136'), null);
+});
+
+test('gives up when the caller has no time left', async (t) => {
+  process.env.CATALOG_PROVIDER = 'stalled';
+  t.after(() => delete process.env.CATALOG_PROVIDER);
+
+  const started = Date.now();
+  assert.equal(await CatalogAdapter.lookup('9780140449136', { timeoutMs: 20 }), null);
+  assert.ok(Date.now() - started < 1000);
+
+  process.env.CATALOG_PROVIDER = 'memory';
+  assert.equal(await CatalogAdapter.lookup('9780140449136', { timeoutMs: 0 }), null);
+});
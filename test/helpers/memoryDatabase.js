@@ -0,0 +1,520 @@
+// test/helpers/memoryDatabase.js
+//
+// In-memory stand-in for the MongoDB collections, covering the queries, updates and
+// aggregation stages the services run. Require it before any service, so the
+// getCollections() they load returns these collections:
+//
+//   const db = require('./helpers/memoryDatabase');
+//   const UnifiedEventLogger = require('../src/integrations/services/unifiedEventLogger');
+//
+// db.collections.requests (and so on) are the collections; db.reset() empties them.
+// $text matches whole words in the fields of the collection's text index in INDEXES.
+const mongodb = require('../../src/database/mongodb');
+
+// MongoDB's error code for a $text search without a text index
+const INDEX_NOT_FOUND = 27;
+
+let nextId = 1;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp);
+
+const isEqual = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+};
+
+// Order values the way a sort does; missing values come first
+const compareValues = (a, b) => {
+  if (a === undefined || a === null) {
+    return b === undefined || b === null ? 0 : -1;
+  }
+
+  if (b === undefined || b === null) {
+    return 1;
+  }
+
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+// Every value a dotted path reaches, looking inside arrays along the way. An array
+// at the end of the path is returned along with each of its elements.
+function getValues(value, path) {
+  if (path.length === 0) {
+    return Array.isArray(value) ? [value, ...value] : [value];
+  }
+
+  if (Array.isArray(value)) {
+    return /^\d+$/.test(path[0])
+      ? getValues(value[Number(path[0])], path.slice(1))
+      : value.flatMap(item => getValues(item, path));
+  }
+
+  if (!isPlainObject(value) || value[path[0]] === undefined) {
+    return [];
+  }
+
+  return getValues(value[path[0]], path.slice(1));
+}
+
+const getField = (doc, field) => {
+  const values = getValues(doc, field.split('.'));
+  return values.length > 0 ? values[0] : undefined;
+};
+
+const sameType = (a, b) => (a instanceof Date) === (b instanceof Date) && typeof a === typeof b;
+
+const QUERY_OPERATORS = {
+  $eq: (values, arg) => (arg === null && values.length === 0) || values.some(value => isEqual(value, arg)),
+  $ne: (values, arg) => !QUERY_OPERATORS.$eq(values, arg),
+  $in: (values, args) => args.some(arg => (arg instanceof RegExp
+    ? values.some(value => typeof value === 'string' && arg.test(value))
+    : QUERY_OPERATORS.$eq(values, arg))),
+  $nin: (values, args) => !QUERY_OPERATORS.$in(values, args),
+  $gt: (values, arg) => values.some(value => sameType(value, arg) && compareValues(value, arg) > 0),
+  $gte: (values, arg) => values.some(value => sameType(value, arg) && compareValues(value, arg) >= 0),
+  $lt: (values, arg) => values.some(value => sameType(value, arg) && compareValues(value, arg) < 0),
+  $lte: (values, arg) => values.some(value => sameType(value, arg) && compareValues(value, arg) <= 0),
+  $exists: (values, arg) => (values.length > 0) === Boolean(arg),
+  $regex: (values, arg, condition) => {
+    const pattern = arg instanceof RegExp ? arg : new RegExp(arg, condition.$options || '');
+    return values.some(value => typeof value === 'string' && pattern.test(value));
+  },
+  $options: () => true,
+  $not: (values, arg) => !matchesCondition(values, arg),
+  $elemMatch: (values, arg) => values.some(value => Array.isArray(value) &&
+    value.some(item => (isPlainObject(item) ? matchesFilter(item, arg) : matchesCondition([item], arg)))),
+  $size: (values, arg) => values.some(value => Array.isArray(value) && value.length === arg)
+};
+
+function matchesCondition(values, condition) {
+  if (condition instanceof RegExp) {
+    return QUERY_OPERATORS.$regex(values, condition, {});
+  }
+
+  if (isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, arg]) => {
+      if (!QUERY_OPERATORS[operator]) {
+        throw new Error(`memoryDatabase doesn't support ${operator}`);
+      }
+
+      return QUERY_OPERATORS[operator](values, arg, condition);
+    });
+  }
+
+  return QUERY_OPERATORS.$eq(values, condition);
+}
+
+// Words of the text indexed fields, as the index would split them
+function getTextWords(doc, textFields) {
+  return textFields
+    .flatMap(field => getValues(doc, field.split('.')))
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.toLowerCase().split(/[^a-z0-9]+/))
+    .filter(Boolean);
+}
+
+const getSearchWords = (search) => search.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+function matchesFilter(doc, filter, textFields = []) {
+  return Object.entries(filter || {}).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(part => matchesFilter(doc, part, textFields));
+      case '$or':
+        return condition.some(part => matchesFilter(doc, part, textFields));
+      case '$nor':
+        return !condition.some(part => matchesFilter(doc, part, textFields));
+      case '$text': {
+        const words = getTextWords(doc, textFields);
+        return getSearchWords(condition.$search).some(word => words.includes(word));
+      }
+      default:
+        return matchesCondition(getValues(doc, key.split('.')), condition);
+    }
+  });
+}
+
+const findTextSearch = (filter) => {
+  const found = JSON.stringify(filter || {}).match(/"\$text":\{"\$search":"((?:[^"\\]|\\.)*)"/);
+  return found ? JSON.parse(`"${found[1]}"`) : null;
+};
+
+function setField(doc, field, value) {
+  const keys = field.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => {
+    if (target[key] === undefined || target[key] === null) {
+      target[key] = {};
+    }
+    return target[key];
+  }, doc);
+
+  parent[keys[keys.length - 1]] = value;
+}
+
+function unsetField(doc, field) {
+  const keys = field.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => (target ? target[key] : undefined), doc);
+
+  if (parent) {
+    delete parent[keys[keys.length - 1]];
+  }
+}
+
+const getArray = (doc, field) => {
+  const value = getField(doc, field);
+  return Array.isArray(value) ? value : [];
+};
+
+const UPDATE_OPERATORS = {
+  $set: (doc, field, value) => setField(doc, field, structuredClone(value)),
+  $setOnInsert: (doc, field, value, inserting) => inserting && setField(doc, field, structuredClone(value)),
+  $unset: (doc, field) => unsetField(doc, field),
+  $inc: (doc, field, value) => setField(doc, field, (getField(doc, field) || 0) + value),
+  $push: (doc, field, value) => {
+    const items = value && value.$each ? value.$each : [value];
+    setField(doc, field, [...getArray(doc, field), ...structuredClone(items)]);
+  },
+  $addToSet: (doc, field, value) => {
+    const items = value && value.$each ? value.$each : [value];
+    const array = [...getArray(doc, field)];
+
+    for (const item of items) {
+      if (!array.some(existing => isEqual(existing, item))) {
+        array.push(structuredClone(item));
+      }
+    }
+
+    setField(doc, field, array);
+  },
+  $pull: (doc, field, condition) => {
+    setField(doc, field, getArray(doc, field).filter(item => (isPlainObject(condition)
+      ? !matchesFilter(item, condition)
+      : !isEqual(item, condition))));
+  }
+};
+
+function applyUpdate(doc, update, inserting) {
+  for (const [operator, fields] of Object.entries(update)) {
+    if (!UPDATE_OPERATORS[operator]) {
+      throw new Error(`memoryDatabase doesn't support ${operator}`);
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      UPDATE_OPERATORS[operator](doc, field, value, inserting);
+    }
+  }
+}
+
+function sortDocuments(docs, sort) {
+  const keys = Object.entries(sort || {});
+
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const order = compareValues(getField(a, field), getField(b, field));
+
+      if (order !== 0) {
+        return order * direction;
+      }
+    }
+
+    return 0;
+  });
+}
+
+// Keep only the projected fields (and _id), or drop the excluded ones
+function projectDocument(doc, projection) {
+  const entries = Object.entries(projection || {});
+
+  if (entries.length === 0) {
+    return doc;
+  }
+
+  if (entries.every(([field, include]) => !include || field === '_id')) {
+    const projected = { ...doc };
+    entries.forEach(([field]) => unsetField(projected, field));
+    return projected;
+  }
+
+  const projected = projection._id === 0 ? {} : { _id: doc._id };
+
+  entries
+    .filter(([, include]) => include)
+    .forEach(([field]) => {
+      const value = getField(doc, field);
+
+      if (value !== undefined) {
+        setField(projected, field, value);
+      }
+    });
+
+  return projected;
+}
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+    this.projection = null;
+  }
+
+  sort(sort) {
+    this.docs = sortDocuments(this.docs, sort);
+    return this;
+  }
+
+  skip(count) {
+    this.docs = this.docs.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count) {
+      this.docs = this.docs.slice(0, count);
+    }
+    return this;
+  }
+
+  project(projection) {
+    this.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    return this.docs.map(doc => structuredClone(projectDocument(doc, this.projection)));
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+    this.hasTextIndex = true;
+    this.textFields = (mongodb.INDEXES[name] || [])
+      .flatMap(index => Object.entries(index.key))
+      .filter(([, kind]) => kind === 'text')
+      .map(([field]) => field);
+  }
+
+  // Filter the documents, failing like MongoDB for $text without a text index
+  filterDocuments(filter) {
+    if (findTextSearch(filter) !== null && (!this.hasTextIndex || this.textFields.length === 0)) {
+      const error = new Error('text index required for $text query');
+      error.code = INDEX_NOT_FOUND;
+      throw error;
+    }
+
+    return this.docs.filter(doc => matchesFilter(doc, filter, this.textFields));
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) {
+      doc._id = `${this.name}-${nextId++}`;
+    }
+
+    this.docs.push(structuredClone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) {
+      await this.insertOne(doc);
+    }
+
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  find(filter) {
+    return new MemoryCursor(this.filterDocuments(filter));
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = await this.find(filter).sort(options.sort).limit(1).project(options.projection).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter) {
+    return this.filterDocuments(filter).length;
+  }
+
+  // A new document from an upsert takes the filter's plain field values
+  async upsert(filter, update) {
+    const doc = {};
+
+    for (const [field, value] of Object.entries(filter)) {
+      if (!field.startsWith('$') && !isPlainObject(value)) {
+        setField(doc, field, value);
+      }
+    }
+
+    applyUpdate(doc, update, true);
+    await this.insertOne(doc);
+    return this.docs[this.docs.length - 1];
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.filterDocuments(filter);
+
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = await this.upsert(filter, update);
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    }
+
+    applyUpdate(doc, update, false);
+    return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.filterDocuments(filter);
+    docs.forEach(doc => applyUpdate(doc, update, false));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  // Resolves to { value } like driver version 5
+  async findOneAndUpdate(filter, update, options = {}) {
+    let [doc] = this.filterDocuments(filter);
+    let before = null;
+
+    if (doc) {
+      before = structuredClone(doc);
+      applyUpdate(doc, update, false);
+    } else if (options.upsert) {
+      doc = await this.upsert(filter, update);
+    } else {
+      return { value: null };
+    }
+
+    return { value: structuredClone(options.returnDocument === 'after' ? doc : before) };
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.filterDocuments(filter);
+
+    if (doc) {
+      this.docs.splice(this.docs.indexOf(doc), 1);
+    }
+
+    return { deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const docs = this.filterDocuments(filter);
+    this.docs = this.docs.filter(doc => !docs.includes(doc));
+    return { deletedCount: docs.length };
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+
+  aggregate(pipeline) {
+    const textSearch = findTextSearch(pipeline[0] && pipeline[0].$match);
+    const searchWords = textSearch ? getSearchWords(textSearch) : [];
+
+    const evaluate = (doc, expression) => {
+      if (typeof expression === 'string' && expression.startsWith('$')) {
+        return getField(doc, expression.slice(1));
+      }
+
+      if (Array.isArray(expression)) {
+        return expression.map(item => evaluate(doc, item));
+      }
+
+      if (!isPlainObject(expression)) {
+        return expression;
+      }
+
+      const [operator, args] = Object.entries(expression)[0];
+
+      if (operator === '$meta') {
+        return getTextWords(doc, this.textFields).filter(word => searchWords.includes(word)).length;
+      }
+
+      const values = evaluate(doc, args);
+
+      switch (operator) {
+        case '$cond':
+          return values[0] ? values[1] : values[2];
+        case '$gt':
+          return compareValues(values[0], values[1]) > 0;
+        case '$in':
+          return values[1].some(value => isEqual(value, values[0]));
+        case '$indexOfArray':
+          return values[0].findIndex(value => isEqual(value, values[1]));
+        case '$arrayElemAt':
+          return values[0][values[1]];
+        default:
+          throw new Error(`memoryDatabase doesn't support ${operator}`);
+      }
+    };
+
+    const stages = {
+      $match: (docs, filter) => docs.filter(doc => matchesFilter(doc, filter, this.textFields)),
+      $addFields: (docs, fields) => docs.map(doc => Object.entries(fields).reduce((result, [field, expression]) => {
+        result[field] = evaluate(doc, expression);
+        return result;
+      }, { ...doc })),
+      $sort: (docs, sort) => sortDocuments(docs, sort),
+      $skip: (docs, count) => docs.slice(count),
+      $limit: (docs, count) => docs.slice(0, count),
+      $project: (docs, projection) => docs.map(doc => projectDocument(doc, projection))
+    };
+
+    if (textSearch !== null) {
+      this.filterDocuments(pipeline[0].$match);
+    }
+
+    const docs = pipeline.reduce((result, stage) => {
+      const [name, arg] = Object.entries(stage)[0];
+
+      if (!stages[name]) {
+        throw new Error(`memoryDatabase doesn't support ${name}`);
+      }
+
+      return stages[name](result, arg);
+    }, this.docs);
+
+    return new MemoryCursor(docs);
+  }
+}
+
+const collections = new Proxy({}, {
+  get(target, name) {
+    if (typeof name !== 'string') {
+      return undefined;
+    }
+
+    if (!target[name]) {
+      target[name] = new MemoryCollection(name);
+    }
+
+    return target[name];
+  }
+});
+
+mongodb.getCollections = async () => collections;
+
+module.exports = {
+  collections,
+
+  // Empty every collection, restoring their text indexes
+  reset() {
+    Object.values(collections).forEach(collection => {
+      collection.docs = [];
+      collection.hasTextIndex = true;
+    });
+  }
+};
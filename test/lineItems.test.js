@@ -0,0 +1,83 @@
+// test/lineItems.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getRequestLineItems,
+  getOutstandingQuantity,
+  receiveLineQuantity,
+  setLineQuantity,
+  deriveRequestStatus,
+  describeLineItemChanges
+} = require('../src/requestTypes/lineItems');
+
+const line = (status, quantity = 2, quantityReceived) => ({ lineId: 'L1', isbn: '9780140449136', quantity, status, quantityReceived });
+
+test('deriveRequestStatus follows the lines', () => {
+  assert.equal(deriveRequestStatus([line('PENDING'), line('ORDERED')], 'ORDERED'), 'NEW');
+  assert.equal(deriveRequestStatus([line('ORDERED'), line('CANCELLED')], 'NEW'), 'ORDERED');
+  assert.equal(deriveRequestStatus([line('ORDERED'), line('PARTIALLY_RECEIVED', 2, 1)], 'ORDERED'), 'PARTIALLY_RECEIVED');
+  assert.equal(deriveRequestStatus([line('RECEIVED'), line('CANCELLED')], 'ORDERED'), 'RECEIVED');
+});
+
+test('deriveRequestStatus leaves statuses the lines do not drive', () => {
+  assert.equal(deriveRequestStatus([line('PENDING')], 'NOTIFIED'), 'NOTIFIED');
+  assert.equal(deriveRequestStatus([line('CANCELLED')], 'ORDERED'), 'ORDERED');
+  assert.equal(deriveRequestStatus([], 'RECEIVED'), 'RECEIVED');
+});
+
+test('deriveRequestStatus with forwardOnly never moves a request back', () => {
+  assert.equal(deriveRequestStatus([line('PENDING')], 'RECEIVED', { forwardOnly: true }), 'RECEIVED');
+  assert.equal(deriveRequestStatus([line('PENDING'), line('RECEIVED')], 'ORDERED', { forwardOnly: true }), 'ORDERED');
+  assert.equal(deriveRequestStatus([line('RECEIVED')], 'ORDERED', { forwardOnly: true }), 'RECEIVED');
+});
+
+test('getRequestLineItems treats an older request as one line', () => {
+  assert.deepEqual(getRequestLineItems({ status: 'ORDERED', isbn: '9780140449136', vendorPublisher: 'Penguin' }), [{
+    lineId: 'L1',
+    isbn: '9780140449136',
+    title: '',
+    quantity: 1,
+    vendor: 'Penguin',
+    status: 'ORDERED'
+  }]);
+  assert.deepEqual(getRequestLineItems({ status: 'RECEIVED' }), []);
+});
+
+test('receiveLineQuantity marks a line received once every copy is in', () => {
+  const partly = receiveLineQuantity(line('ORDERED', 3), 1);
+  assert.equal(partly.status, 'PARTIALLY_RECEIVED');
+  assert.equal(getOutstandingQuantity(partly), 2);
+
+  const full = receiveLineQuantity(partly, 5);
+  assert.equal(full.status, 'RECEIVED');
+  assert.equal(full.quantityReceived, 3);
+  assert.equal(getOutstandingQuantity(full), 0);
+});
+
+test('setLineQuantity keeps the receiving status consistent', () => {
+  assert.equal(setLineQuantity(line('PARTIALLY_RECEIVED', 3, 2), 2).status, 'RECEIVED');
+  assert.equal(setLineQuantity(line('RECEIVED', 2, 2), 4).status, 'PARTIALLY_RECEIVED');
+  assert.deepEqual(setLineQuantity(line('ORDERED', 2), 5), line('ORDERED', 5));
+});
+
+test('getOutstandingQuantity ignores cancelled lines', () => {
+  assert.equal(getOutstandingQuantity(line('CANCELLED', 4)), 0);
+  assert.equal(getOutstandingQuantity(line('ORDERED', 4)), 4);
+});
+
+test('describeLineItemChanges lists added, removed and changed lines', () => {
+  const before = [
+    { lineId: 'L1', isbn: '9780140449136', title: 'The Odyssey', quantity: 1, status: 'PENDING' },
+    { lineId: 'L2', isbn: '9780140449266', title: 'The Iliad', quantity: 1, status: 'PENDING' }
+  ];
+  const after = [
+    { lineId: 'L1', isbn: '9780140449136', title: 'The Odyssey', quantity: 2, status: 'PENDING' },
+    { lineId: 'L3', isbn: '9780140447576', title: 'The Aeneid', quantity: 1, status: 'PENDING' }
+  ];
+
+  assert.deepEqual(describeLineItemChanges(before, after), [
+    'L2 removed: The Iliad (9780140449266) × 1',
+    'L1 quantity: 1 → 2',
+    'L3 added: The Aeneid (9780140447576) × 1'
+  ]);
+});
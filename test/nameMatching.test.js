@@ -0,0 +1,62 @@
+// test/nameMatching.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getNameWords,
+  getPhoneticKey,
+  getSpellingVariants,
+  getNameMatchKeys,
+  buildSimilarNameFilter
+} = require('../src/utils/nameMatching');
+
+// Whether a request stored with this customer name matches buildSimilarNameFilter(search)
+const isSimilarName = (storedName, search) => {
+  const keys = getNameMatchKeys(storedName);
+
+  return buildSimilarNameFilter(search).$and.every(condition => {
+    const alternatives = condition.$or || [condition];
+
+    return alternatives.some(alternative => alternative.customerNamePhonetic
+      ? keys.customerNamePhonetic.includes(alternative.customerNamePhonetic)
+      : alternative.customerNameVariants.$in.some(variant => keys.customerNameVariants.includes(variant)));
+  });
+};
+
+test('getNameWords drops accents, apostrophes and punctuation', () => {
+  assert.deepEqual(getNameWords("José O'Brien-Smith"), ['jose', 'obrien', 'smith']);
+  assert.deepEqual(getNameWords(undefined), []);
+});
+
+test('words that sound alike share a phonetic key', () => {
+  assert.equal(getPhoneticKey('catherine'), getPhoneticKey('kathryn'));
+  assert.equal(getPhoneticKey('smith'), getPhoneticKey('smyth'));
+  assert.equal(getPhoneticKey('knight'), getPhoneticKey('night'));
+  assert.equal(getPhoneticKey('philips'), getPhoneticKey('phillips'));
+  assert.notEqual(getPhoneticKey('smith'), getPhoneticKey('jones'));
+});
+
+test('short words only match their exact spelling', () => {
+  assert.deepEqual(getSpellingVariants('lee'), ['lee']);
+  assert.deepEqual(getSpellingVariants('smith'), ['smith', 'mith', 'sith', 'smth', 'smih', 'smit']);
+});
+
+test('getNameMatchKeys stores each key once', () => {
+  const keys = getNameMatchKeys('Smith Smyth');
+
+  assert.deepEqual(keys.customerNamePhonetic, ['SM0']);
+  assert.equal(new Set(keys.customerNameVariants).size, keys.customerNameVariants.length);
+});
+
+test('finds names that sound alike or are a typo away', () => {
+  assert.equal(isSimilarName('Catherine Smith', 'Katherine Smyth'), true);
+  assert.equal(isSimilarName('Catherine Smith', 'smiht'), true);
+  assert.equal(isSimilarName('Jonathan Richards', 'jonathon'), true);
+  assert.equal(isSimilarName('Catherine Smith', 'Catherine Jones'), false);
+  assert.equal(isSimilarName('Ann Lee', 'Ann Lea'), true);
+  assert.equal(isSimilarName('Ann Lee', 'Ann Ray'), false);
+});
+
+test('buildSimilarNameFilter needs a word to search for', () => {
+  assert.equal(buildSimilarNameFilter(' !! '), null);
+  assert.equal(buildSimilarNameFilter('Al Smyth').$and.length, 2);
+});
@@ -0,0 +1,80 @@
+// test/reminderRules.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./helpers/memoryDatabase');
+const UnifiedEventLogger = require('../src/integrations/services/unifiedEventLogger');
+const { REMINDER_RULES } = require('../src/integrations/services/reminderRules');
+const { applyLineStatus, receiveLineQuantity } = require('../src/requestTypes/lineItems');
+
+UnifiedEventLogger.logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-logs-'));
+
+const arrivalOverdue = REMINDER_RULES.find(rule => rule.id === 'arrival_overdue');
+
+// Order every line of a new special order through Update Items, then receive one copy of L1
+const orderAndReceivePart = async () => {
+  await db.collections.requests.insertOne({
+    requestId: 'SO-2026-0001',
+    type: 'special_order',
+    status: 'NEW',
+    customerName: 'Ann Lee',
+    version: 0,
+    lineItems: [
+      { lineId: 'L1', isbn: '9780140449136', quantity: 3, status: 'PENDING' },
+      { lineId: 'L2', isbn: '9780374528379', quantity: 2, status: 'PENDING' },
+      { lineId: 'L3', isbn: '9780547928227', quantity: 5, status: 'CANCELLED' }
+    ]
+  });
+
+  const request = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  const ordered = await UnifiedEventLogger.updateLineItems({
+    requestType: 'special_order',
+    requestId: 'SO-2026-0001',
+    lineItems: request.lineItems.map(line => line.status === 'PENDING' ? applyLineStatus(line, 'ORDERED') : line),
+    changes: ['L1 status: PENDING → ORDERED', 'L2 status: PENDING → ORDERED'],
+    userId: 'U1',
+    expectedVersion: 0,
+    additionalFields: { ordered_by: 'Sam', order_method: 'Email', estimated_arrival: '2026-10-01' }
+  });
+  assert.equal(ordered.newStatus, 'ORDERED');
+
+  const orderedRequest = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  const received = await UnifiedEventLogger.receiveLineItems({
+    requestType: 'special_order',
+    requestId: 'SO-2026-0001',
+    lineItems: orderedRequest.lineItems.map(line => line.lineId === 'L1' ? receiveLineQuantity(line, 1) : line),
+    receipts: [{ lineId: 'L1', quantity: 1 }],
+    receivedDate: '2026-10-05',
+    userId: 'U1',
+    expectedVersion: orderedRequest.version
+  });
+  assert.equal(received.newStatus, 'PARTIALLY_RECEIVED');
+};
+
+test.beforeEach(() => db.reset());
+
+test('arrival_overdue covers partly received requests', () => {
+  const query = arrivalOverdue.query({ today: '2026-10-19' });
+
+  assert.deepEqual(query.status, { $in: ['ORDERED', 'PARTIALLY_RECEIVED'] });
+  assert.deepEqual(query.estimated_arrival, { $lt: '2026-10-19', $gt: '' });
+});
+
+test('arrival_overdue finds a partly received order and counts the copies still outstanding', async () => {
+  await orderAndReceivePart();
+
+  const overdue = await db.collections.requests.find(arrivalOverdue.query({ today: '2026-10-19' })).toArray();
+  assert.deepEqual(overdue.map(request => request.requestId), ['SO-2026-0001']);
+  assert.match(arrivalOverdue.message(overdue[0]), /4 copies still outstanding/);
+
+  const notYetDue = await db.collections.requests.find(arrivalOverdue.query({ today: '2026-09-30' })).toArray();
+  assert.deepEqual(notYetDue, []);
+});
+
+test('arrival_overdue reports ordered requests as not received', () => {
+  const message = arrivalOverdue.message({ requestId: 'SO-2026-0002', status: 'ORDERED', estimated_arrival: '2026-10-01' });
+
+  assert.match(message, /hasn't been marked received/);
+});
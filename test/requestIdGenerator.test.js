@@ -0,0 +1,44 @@
+// test/requestIdGenerator.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequestIdGenerator = require('../src/integrations/services/requestIdGenerator');
+
+// Generators for other formats, as REQUEST_ID_FORMAT would configure them
+const withFormat = (format) => new RequestIdGenerator.constructor(format);
+
+test('recognises IDs in the default format', () => {
+  assert.equal(RequestIdGenerator.isRequestId('SO-2026-0042'), true);
+  assert.equal(RequestIdGenerator.isRequestId(' bh-2026-7 '), true);
+  assert.equal(RequestIdGenerator.isRequestId('REQ-1700000000'), true);
+});
+
+test('does not take other words for IDs', () => {
+  assert.equal(RequestIdGenerator.isRequestId('smith'), false);
+  assert.equal(RequestIdGenerator.isRequestId('XX-2026-0042'), false);
+  assert.equal(RequestIdGenerator.isRequestId('SO-2026-'), false);
+});
+
+test('restores zero padding and case', () => {
+  assert.equal(RequestIdGenerator.normalizeRequestId('so-2026-42'), 'SO-2026-0042');
+  assert.equal(RequestIdGenerator.normalizeRequestId('SO-2026-12345'), 'SO-2026-12345');
+  assert.equal(RequestIdGenerator.normalizeRequestId(' smith '), 'SMITH');
+});
+
+test('recognises and pads IDs in a format that does not start with the prefix', () => {
+  const generator = withFormat('{year}/{prefix}{seq:5}');
+
+  assert.equal(generator.isRequestId('2026/so42'), true);
+  assert.equal(generator.normalizeRequestId('2026/so42'), '2026/SO00042');
+  assert.equal(generator.isRequestId('SO-2026-0042'), false);
+  assert.equal(generator.isRequestId('2026/XX42'), false);
+});
+
+test('pads the sequence even when the same digits appear earlier in the ID', () => {
+  const generator = withFormat('{prefix}{seq:6}-{year}');
+
+  assert.equal(generator.normalizeRequestId('so2026-2026'), 'SO002026-2026');
+});
+
+test('rejects a format without a sequence number', () => {
+  assert.throws(() => withFormat('{prefix}-{year}'), /must include a \{seq\} token/);
+});
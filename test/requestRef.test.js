@@ -0,0 +1,37 @@
+// test/requestRef.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.REQUEST_REF_SECRET = 'test-secret';
+const { encodeRequestRef, decodeRequestRef, isRequestRef, parseActionValue } = require('../src/utils/requestRef');
+
+test('round trips a reference, including its version', () => {
+  const ref = { requestId: 'SO-2026-0001', requestType: 'special_order', expectedStatus: 'NEW', newStatus: 'ORDERED', version: 3 };
+  const value = encodeRequestRef(ref);
+
+  assert.equal(isRequestRef(value), true);
+  assert.deepEqual(decodeRequestRef(value), ref);
+});
+
+test('keeps version 0 and drops empty fields', () => {
+  const value = encodeRequestRef({ requestId: 'SO-2026-0001', requestType: 'special_order', version: 0, mode: null });
+
+  assert.deepEqual(decodeRequestRef(value), { requestId: 'SO-2026-0001', requestType: 'special_order', version: 0 });
+});
+
+test('rejects a reference whose payload was changed', () => {
+  const [prefix, , signature] = encodeRequestRef({ requestId: 'SO-2026-0001', version: 1 }).split('.');
+  const forged = Buffer.from(JSON.stringify({ i: 'SO-2026-0001', v: 9 })).toString('base64url');
+
+  assert.throws(() => decodeRequestRef(`${prefix}.${forged}.${signature}`), /signature does not match/);
+});
+
+test('reads legacy pipe separated button values', () => {
+  assert.deepEqual(parseActionValue('REQ-123|NEW|ORDERED'), {
+    requestId: 'REQ-123',
+    expectedStatus: 'NEW',
+    newStatus: 'ORDERED',
+    legacy: true
+  });
+  assert.throws(() => parseActionValue(''), /Invalid request reference/);
+});
@@ -0,0 +1,69 @@
+// test/requestSearch.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDatabase');
+const RequestSearch = require('../src/integrations/services/requestSearch');
+const { compileSearchQuery } = require('../src/utils/searchQuery');
+
+const search = (query, options = {}) => {
+  const compiled = compileSearchQuery(query);
+  return RequestSearch.getPage(compiled.filter, { ...options, textSearch: compiled.textSearch });
+};
+
+const ids = (page) => page.requests.map(request => request.requestId);
+
+test.beforeEach(async () => {
+  db.reset();
+  await db.collections.requests.insertMany([
+    {
+      requestId: 'SO-2026-0001',
+      type: 'special_order',
+      status: 'ORDERED',
+      customerName: 'Ann Lee',
+      details: '',
+      lineItems: [{ lineId: 'L1', isbn: '9780374528379', title: 'The Brothers Karamazov', vendor: 'Farrar', quantity: 1, status: 'ORDERED' }],
+      createdAt: new Date('2026-03-01T10:00:00Z')
+    },
+    {
+      requestId: 'SO-2026-0002',
+      type: 'special_order',
+      status: 'NEW',
+      customerName: 'Karl Marsh',
+      details: 'wants a signed copy',
+      vendorPublisher: 'Penguin',
+      createdAt: new Date('2026-03-02T10:00:00Z')
+    }
+  ]);
+});
+
+test('a word only in a line title finds its request through the text index', async () => {
+  const page = await search('karamazov');
+
+  assert.deepEqual(ids(page), ['SO-2026-0001']);
+  assert.equal(page.textIndex, true);
+  assert.equal(page.sort, 'relevance');
+});
+
+test('a word only in a title or vendor is found without the text index', async () => {
+  db.collections.requests.hasTextIndex = false;
+
+  assert.deepEqual(ids(await search('karamazov')), ['SO-2026-0001']);
+  assert.deepEqual(ids(await search('penguin')), ['SO-2026-0002']);
+});
+
+test('part of a word falls back to matching inside words', async () => {
+  const page = await search('karam');
+
+  assert.deepEqual(ids(page), ['SO-2026-0001']);
+  assert.equal(page.textIndex, false);
+  assert.equal(page.sort, 'newest');
+});
+
+test('later pages are found the same way as the first', async () => {
+  const first = await search('karamazov');
+  const next = await search('karamazov', { after: first.lastCursor, textIndex: first.textIndex });
+
+  assert.equal(next.textIndex, true);
+  assert.deepEqual(ids(next), []);
+  assert.equal(next.total, 1);
+});
@@ -0,0 +1,59 @@
+// test/requestTypes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequestTypes = require('../src/requestTypes');
+const { COMMON_STATUSES, IMPROVED_TRANSITIONS } = require('../src/requestTypes/workflows');
+
+// A minimal valid definition to break one piece at a time
+const buildDefinition = (overrides = {}) => ({
+  type: 'test_type',
+  name: 'Test Request',
+  idPrefix: 'TST',
+  fields: [{ key: 'details', required: true }],
+  statuses: COMMON_STATUSES,
+  transitions: IMPROVED_TRANSITIONS,
+  requiredFieldsPerStatus: { ORDERED: ['ordered_by'] },
+  ...overrides
+});
+
+test('every registered definition passes its startup check', () => {
+  for (const definition of RequestTypes.listRequestTypes()) {
+    assert.doesNotThrow(() => RequestTypes.checkDefinition(definition));
+  }
+});
+
+test('checkDefinition accepts a valid definition', () => {
+  assert.doesNotThrow(() => RequestTypes.checkDefinition(buildDefinition()));
+});
+
+test('checkDefinition rejects required fields for a status the type does not have', () => {
+  assert.throws(
+    () => RequestTypes.checkDefinition(buildDefinition({ requiredFieldsPerStatus: { IN_PROGRESS: ['ordered_by'] } })),
+    /unknown status "IN_PROGRESS"/
+  );
+});
+
+test('checkDefinition rejects transitions to undeclared statuses', () => {
+  assert.throws(
+    () => RequestTypes.checkDefinition(buildDefinition({ transitions: { ...IMPROVED_TRANSITIONS, NEW: ['SHIPPED'] } })),
+    /transition uses unknown status "SHIPPED"/
+  );
+});
+
+test('checkDefinition rejects an idPrefix already used by another type', () => {
+  assert.throws(() => RequestTypes.checkDefinition(buildDefinition({ idPrefix: 'SO' })), /already used/);
+});
+
+test('personalization collects its work details when ordered', () => {
+  const keys = RequestTypes.getStatusFields('personalization', 'ORDERED').map(field => field.key);
+  assert.deepEqual(keys, ['personalization_details', 'estimated_completion']);
+});
+
+test('buildStatusGroupQuery splits each type\'s statuses into open and closed', () => {
+  const open = RequestTypes.buildStatusGroupQuery('open').$or.find(condition => condition.type === 'book_hold');
+  const closed = RequestTypes.buildStatusGroupQuery('closed').$or.find(condition => condition.type === 'book_hold');
+
+  assert.deepEqual(open.status.$in, ['NEW', 'PAID']);
+  assert.ok(closed.status.$in.includes('EXPIRED'));
+  assert.ok(!closed.status.$in.includes('NEW'));
+});
@@ -0,0 +1,47 @@
+// test/savedSearchService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/memoryDatabase');
+const Scheduler = require('../src/integrations/services/scheduler');
+const SavedSearchService = require('../src/integrations/services/savedSearchService');
+
+const INTERVAL_MS = SavedSearchService.getIntervalMs();
+
+Scheduler.registerJob('search_subscriptions', INTERVAL_MS, (context) => SavedSearchService.runSubscriptions(context));
+
+test('a DM that fails is sent by a later run', async () => {
+  const firstRun = new Date('2026-10-19T10:00:00Z');
+  const sent = [];
+  let failures = 1;
+
+  await db.collections.savedSearches.insertOne({ name: 'lee', query: 'customer:lee', shared: false, ownerId: 'U1', subscribers: ['U1'] });
+  await db.collections.requests.insertOne({ requestId: 'SO-2026-0001', type: 'special_order', status: 'NEW', customerName: 'Ann Lee' });
+  await db.collections.events.insertOne({ requestId: 'SO-2026-0001', action: 'REQUEST_CREATED', timestamp: new Date(firstRun.getTime() - 1000) });
+
+  Scheduler.context = {
+    client: {
+      chat: {
+        postMessage: async (message) => {
+          if (failures-- > 0) {
+            throw new Error('ratelimited');
+          }
+          sent.push(message);
+        }
+      }
+    }
+  };
+
+  const first = await Scheduler.runJobIfDue('search_subscriptions', firstRun);
+  assert.deepEqual(first.result, { changed: 1, matched: 1, sent: 0, failed: 1 });
+
+  // The next run's window starts after the event, so only the retry can send it
+  const second = await Scheduler.runJobIfDue('search_subscriptions', new Date(firstRun.getTime() + INTERVAL_MS));
+  assert.deepEqual(second.result, { changed: 0, matched: 0, sent: 1, failed: 0 });
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].channel, 'U1');
+  assert.match(sent[0].text, /SO-2026-0001/);
+
+  const third = await Scheduler.runJobIfDue('search_subscriptions', new Date(firstRun.getTime() + 2 * INTERVAL_MS));
+  assert.equal(third.result.sent, 0);
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,67 @@
+// test/searchQuery.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileSearchQuery } = require('../src/utils/searchQuery');
+
+// Whether a filter matches on the phone field anywhere in it
+const hasPhoneCondition = (filter) => JSON.stringify(filter).includes('"phone"');
+
+test('a full ISBN matches its canonical ISBN-13', () => {
+  const result = compileSearchQuery('isbn:0140449132');
+
+  assert.deepEqual(result.filter, { $or: [{ isbn: '9780140449136' }, { 'lineItems.isbn': '9780140449136' }] });
+  assert.equal(hasPhoneCondition(result.filter), false);
+});
+
+test('digits spread over field terms are not read as a phone number', () => {
+  const result = compileSearchQuery('status:open created:2026-01-01 12');
+
+  assert.equal(result.valid, true);
+  assert.equal(hasPhoneCondition(result.filter), false);
+  assert.equal(result.filter.$and.length, 3);
+});
+
+test('a phone number next to a field term must match alongside it', () => {
+  const result = compileSearchQuery('customer:smith 2125551234');
+
+  assert.deepEqual(result.filter.$and[0], { customerName: { $regex: 'smith', $options: 'i' } });
+  assert.deepEqual(result.filter.$and[1].$or.at(-1), { phone: '+12125551234' });
+  assert.notEqual(result.similarFilter, null);
+});
+
+test('a phone number typed with spaces also matches as a whole', () => {
+  const result = compileSearchQuery('(555) 123 4567');
+
+  assert.deepEqual(result.filter.$or[0], { phone: '+15551234567' });
+  assert.equal(result.textSearch, null);
+});
+
+test('a spaced phone number after contact: is one term', () => {
+  assert.deepEqual(compileSearchQuery('contact:(555) 123-4567').filter, { phone: '+15551234567' });
+  assert.deepEqual(compileSearchQuery('contact:(555) 123-4567 status:closed').filter.$and[0], { phone: '+15551234567' });
+  assert.equal(compileSearchQuery('contact:555 12').filter.$and.length, 2);
+});
+
+test('free text that every result must contain goes to the text index', () => {
+  assert.equal(compileSearchQuery('odyssey penguin').textSearch, 'odyssey penguin');
+  assert.equal(compileSearchQuery('odyssey OR iliad').textSearch, null);
+  assert.equal(compileSearchQuery('odyssey -iliad').textSearch, 'odyssey');
+});
+
+test('request IDs match the stored ID exactly', () => {
+  assert.deepEqual(compileSearchQuery('so-2026-7').filter, { requestId: 'SO-2026-0007' });
+});
+
+test('user input reaches $regex escaped', () => {
+  const result = compileSearchQuery('vendor:"a.b (c)"');
+
+  assert.equal(JSON.stringify(result.filter).includes('a\\\\.b \\\\(c\\\\)'), true);
+});
+
+test('reports malformed queries', () => {
+  assert.deepEqual(compileSearchQuery('   '), { valid: false, error: 'Nothing to search for' });
+  assert.match(compileSearchQuery('"john smith').error, /Missing closing quote/);
+  assert.match(compileSearchQuery('(status:open').error, /Missing closing parenthesis/);
+  assert.match(compileSearchQuery('odyssey OR').error, /OR needs a term on both sides/);
+  assert.match(compileSearchQuery('colour:red').error, /Unknown field/);
+});
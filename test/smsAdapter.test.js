@@ -0,0 +1,32 @@
+// test/smsAdapter.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SmsAdapter = require('../src/integrations/notifications/smsAdapter');
+
+// Provider that keeps messages instead of sending them
+const sent = [];
+SmsAdapter.registerProvider('memory', () => ({
+  name: 'memory',
+  send: async (message) => {
+    sent.push(message);
+    return { messageId: `memory-${sent.length}` };
+  }
+}));
+
+test('sends to the E.164 form of the number', async (t) => {
+  process.env.SMS_PROVIDER = 'memory';
+  t.after(() => delete process.env.SMS_PROVIDER);
+
+  const result = await SmsAdapter.send({ to: '5551234567', body: 'Your book is in' });
+
+  assert.deepEqual(result, { provider: 'memory', messageId: 'memory-1' });
+  assert.equal(sent[0].to, '+15551234567');
+});
+
+test('refuses numbers that cannot be dialled', async (t) => {
+  process.env.SMS_PROVIDER = 'memory';
+  t.after(() => delete process.env.SMS_PROVIDER);
+
+  await assert.rejects(SmsAdapter.send({ to: '123', body: 'Hello' }), /isn't a phone number/);
+  assert.equal(sent.length, 1);
+});
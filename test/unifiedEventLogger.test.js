@@ -0,0 +1,118 @@
+// test/unifiedEventLogger.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./helpers/memoryDatabase');
+const UnifiedEventLogger = require('../src/integrations/services/unifiedEventLogger');
+const RequestTypes = require('../src/requestTypes');
+const { applyLineStatus } = require('../src/requestTypes/lineItems');
+
+// Keep the event log files out of the repository's logs directory
+UnifiedEventLogger.logDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-logs-'));
+
+const ORDER_DETAILS = { ordered_by: 'Sam', order_method: 'Email', estimated_arrival: '2026-11-02' };
+
+const insertSpecialOrder = (fields = {}) => db.collections.requests.insertOne({
+  requestId: 'SO-2026-0001',
+  type: 'special_order',
+  status: 'NEW',
+  customerName: 'Ann Lee',
+  version: 0,
+  lineItems: [
+    { lineId: 'L1', isbn: '9780140449136', title: 'Crime and Punishment', quantity: 2, status: 'PENDING' },
+    { lineId: 'L2', isbn: '9780374528379', title: 'The Brothers Karamazov', quantity: 1, status: 'PENDING' }
+  ],
+  ...fields
+});
+
+test.beforeEach(() => db.reset());
+
+test('ordering the lines of a special order records its ordering details', async () => {
+  await insertSpecialOrder();
+
+  // Update Items asks for the ORDERED fields when pending lines are marked ordered
+  const orderFields = RequestTypes.getStatusFields('special_order', 'ORDERED').map(field => field.key);
+  assert.deepEqual(orderFields, Object.keys(ORDER_DETAILS));
+
+  const request = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  const result = await UnifiedEventLogger.updateLineItems({
+    requestType: 'special_order',
+    requestId: 'SO-2026-0001',
+    lineItems: request.lineItems.map(line => applyLineStatus(line, 'ORDERED')),
+    changes: ['L1 status: PENDING → ORDERED', 'L2 status: PENDING → ORDERED'],
+    userId: 'U1',
+    expectedVersion: 0,
+    additionalFields: ORDER_DETAILS
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.newStatus, 'ORDERED');
+
+  const saved = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  assert.equal(saved.status, 'ORDERED');
+  assert.equal(saved.estimated_arrival, '2026-11-02');
+  assert.equal(saved.order_method, 'Email');
+
+  const event = await db.collections.events.findOne({ requestId: 'SO-2026-0001', action: 'LINE_ITEMS_UPDATED' });
+  assert.equal(event.additionalMetadata.estimated_arrival, '2026-11-02');
+});
+
+test('assigning from a stale card reports the current request instead of saving', async () => {
+  await insertSpecialOrder({ version: 2, assignee: 'U2' });
+
+  const result = await UnifiedEventLogger.assignRequest({
+    requestType: 'special_order',
+    requestId: 'SO-2026-0001',
+    assignee: 'U3',
+    userId: 'U1',
+    expectedVersion: 1
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, true);
+  assert.equal(result.currentRequest.version, 2);
+
+  const saved = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  assert.equal(saved.assignee, 'U2');
+  assert.equal(await db.collections.events.countDocuments({ requestId: 'SO-2026-0001' }), 0);
+});
+
+test('assigning from a current card bumps the version', async () => {
+  await insertSpecialOrder({ version: 2 });
+
+  const result = await UnifiedEventLogger.assignRequest({
+    requestType: 'special_order',
+    requestId: 'SO-2026-0001',
+    assignee: 'U3',
+    userId: 'U1',
+    expectedVersion: 2
+  });
+
+  assert.equal(result.success, true);
+
+  const saved = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  assert.equal(saved.assignee, 'U3');
+  assert.equal(saved.version, 3);
+});
+
+test('a closed request takes no more payments', async () => {
+  await insertSpecialOrder({ status: 'CANCELLED' });
+
+  const result = await UnifiedEventLogger.recordPayment({
+    requestType: 'special_order',
+    requestId: 'SO-2026-0001',
+    payment: { amountCents: 1000, method: 'Cash', date: '2026-10-19' },
+    userId: 'U1',
+    expectedVersion: 0
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.conflict, undefined);
+  assert.match(result.error, /is CANCELLED/);
+
+  const saved = await UnifiedEventLogger.getRequestById('SO-2026-0001');
+  assert.equal(saved.payments, undefined);
+  assert.equal(saved.version, 0);
+});
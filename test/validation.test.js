@@ -0,0 +1,72 @@
+// test/validation.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizePhoneNumber,
+  normalizeContact,
+  splitContact,
+  canonicalizeISBN,
+  validateISBN,
+  validateOrderNumber,
+  validateQuantity,
+  validateAmount,
+  escapeRegExp,
+  formatLocalDate,
+  parseLocalDate
+} = require('../src/utils/validation');
+
+test('normalizePhoneNumber puts numbers in E.164 form', () => {
+  assert.equal(normalizePhoneNumber('5551234567'), '+15551234567');
+  assert.equal(normalizePhoneNumber('(555) 123-4567'), '+15551234567');
+  assert.equal(normalizePhoneNumber('1-555-123-4567'), '+15551234567');
+  assert.equal(normalizePhoneNumber('+44 20 7946 0958'), '+442079460958');
+});
+
+test('normalizePhoneNumber gives up on numbers it cannot dial', () => {
+  assert.equal(normalizePhoneNumber('123-4567'), '');
+  assert.equal(normalizePhoneNumber(''), '');
+  assert.equal(normalizePhoneNumber(undefined), '');
+});
+
+test('normalizeContact splits and normalizes an email and phone', () => {
+  assert.deepEqual(splitContact('Jane@Example.com, (555) 123-4567'), { email: 'Jane@Example.com', phone: '(555) 123-4567' });
+  assert.deepEqual(normalizeContact('Jane@Example.com, (555) 123-4567'), { email: 'jane@example.com', phone: '+15551234567' });
+  assert.deepEqual(normalizeContact('not an email'), { email: '', phone: '' });
+});
+
+test('canonicalizeISBN stores ISBN-13 with the ISBN-10 alongside', () => {
+  assert.deepEqual(canonicalizeISBN('0-306-40615-2'), { isbn: '9780306406157', isbn10: '0306406152', isbnIsSku: false });
+  assert.deepEqual(canonicalizeISBN('978-0-306-40615-7'), { isbn: '9780306406157', isbn10: '0306406152', isbnIsSku: false });
+  assert.deepEqual(canonicalizeISBN(' SKU-123 '), { isbn: 'SKU-123', isbn10: '', isbnIsSku: true });
+  assert.deepEqual(canonicalizeISBN(''), { isbn: '', isbn10: '', isbnIsSku: false });
+});
+
+test('validateISBN accepts valid ISBNs and rejects bad check digits', () => {
+  assert.equal(validateISBN('9780306406157').valid, true);
+  assert.equal(validateISBN('9780306406158').valid, false);
+});
+
+test('validateOrderNumber accepts the store formats', () => {
+  assert.equal(validateOrderNumber('12345').valid, true);
+  assert.equal(validateOrderNumber('D42').valid, true);
+  assert.equal(validateOrderNumber('1234567').valid, true);
+  assert.equal(validateOrderNumber('2234567').valid, false);
+});
+
+test('validateQuantity and validateAmount', () => {
+  assert.equal(validateQuantity('3').valid, true);
+  assert.equal(validateQuantity('0').valid, false);
+  assert.equal(validateQuantity('1.5').valid, false);
+  assert.equal(validateAmount('$1,042.50').valid, true);
+  assert.equal(validateAmount('0').valid, false);
+  assert.equal(validateAmount('12.345').valid, false);
+});
+
+test('escapeRegExp makes user input literal', () => {
+  assert.equal(new RegExp(escapeRegExp('a.b*(c)')).test('a.b*(c)'), true);
+  assert.equal(new RegExp(escapeRegExp('a.b')).test('axb'), false);
+});
+
+test('local dates round trip through the datepicker format', () => {
+  assert.equal(formatLocalDate(parseLocalDate('2026-02-28')), '2026-02-28');
+});